@@ -6,39 +6,108 @@
  *  - Robust, atomic read/write of warnings file
  *  - Back up corrupted JSON if detected
  *  - Queue saves within the process to avoid races
- *  - Graceful fallback to memory-only if disk is not writable
+ *  - Failed writes are retried (state stays in memory meanwhile) instead of disabling persistence
  *
  * Improvements:
  *  - Per-group admin detection (one non-admin group won't disable others)
  *  - Refresh group metadata before admin actions + retry delete
  *  - Robust own-id extraction (no client.getMe dependency)
  *  - Minimal HTTP health/status endpoint for Railway
- *  - Reset warnings on every startup (backs previous file up)
+ *  - Timestamped offence history with per-group warning expiry
+ *  - Configurable escalation ladder (warn -> mute -> temporary removal -> ban)
+ *  - Append-only JSONL audit log with evidence capture ("audit" commands, CSV export)
+ *  - Token-authenticated admin REST API under /api/ (ADMIN_API_TOKEN)
+ *  - Password-protected browser dashboard at /dashboard with the login QR (DASHBOARD_PASSWORD)
+ *  - Optional reset of warnings on startup (RESET_WARNINGS_ON_STARTUP, backs previous file up)
+ *  - Per-group rules from a hot-reloaded config file (GROUPS_CONFIG_FILE)
+ *  - Groups tracked by WhatsApp group id; "!mod register" / "!mod unregister" at runtime
+ *  - Obfuscation-resistant matching (leetspeak, homoglyphs, spacing) via lib/normalize.js
+ *  - Command registry with typed arguments, @mention / reply targets and a generated "!help"
+ *  - Roles (owner, moderator, helper, exempt) with per-command, per-group permissions
+ *  - Spam detection (message rate, near-duplicates, mass mentions, emoji/character runs)
+ *  - Per-group link policy (invite links, domain allow/deny lists, obfuscated URLs)
+ *  - Per-group media policy (types, size, file extensions, view-once) + blocked sticker/image hashes
+ *  - Edited messages are moderated again; the audit log keeps the text from before the edit
+ *  - New-member gate: welcome + rules, timed verification phrase/question, stricter rules until verified
+ *  - Raid protection (opt-in per group): join/violation bursts lock the group to admins-only until "!unlock"
+ *  - Bot-enforced mutes ("!mute @user 30m") and per-group / per-member slow mode, kept across restarts
+ *  - Persistent per-group ban list ("!ban", "!unban", "!banlist"); banned members who rejoin are removed again
+ *  - Member reports ("!report" as a reply): review queue, moderator DM, auto-hide after N reporters, "!accept" / "!dismiss"
+ *  - Reply-based moderator actions: "!del", "!warn [reason]", "!kick", "!ban", "!mute 1h" on the quoted message's author
+ *  - Storage shared with wwebjs-bot1: JSON files or embedded SQLite (STORAGE_BACKEND=sqlite), with migrations and a one-time import
+ *  - One key per member whether WhatsApp shows them as @lid or @c.us; LID -> phone mappings are cached in storage
+ *  - WhatsApp client behind a small adapter (lib/client.js); WHATSAPP_CLIENT=fake runs offline against an in-memory client
+ *  - Plugins from PLUGINS_DIR with message/join/leave/command hooks, switched on per group; the banned-word filter is one
+ *  - Prometheus metrics on /metrics: messages, violations, delete/remove/send results, handler latency, reconnects (METRICS_TOKEN)
  */
 
-/** ----------------- Moderation rules (exact snippet requested) ----------------- */
+/** ----------------- Moderation rules (built-in defaults for groups.json) ----------------- */
 const bannedWords = new Set((process.env.BANNED_WORDS || "fuck,shit,bitch,asshole,ass,damn,hell,bastard,dick,pussy,cunt,slut,whore,fag,faggot,dyke,prick,jerk,twat,bugger,bollocks,arse,arsehole,moron,idiot,retard,shithead,crap,douche,douchebag,motherfucker,son of a bitch,piss,pissed,pisser,ballbag,ballsack,knob,knobhead,knobend,clit,cooch,cooter,tits,boobs,boobies,scrote,scrotum,nutsack,boner,wang,schlong,deepthroat,handjob,blowjob,blow job,anal,anus,vulva,cock,suck my dick,suckmydick,dickhead,piss off,piss-off,shitbag,shitter,bullshit,bull shit,horse shit,batshit,bat shit,holy shit,fuck off,fuckoff,fuckface,fuck face,shitface,shit face,crackhead,dumbass,dumb ass,dumbfuck,dumb fuck,asshat,ass hat,asswipe,ass wipe,numbnuts,numb nuts,retarded,spaz,nonce,wanker,skank,thot,hoe, walao, shut up, Harish, femboy, sfs, f4f, f4p").split(",").map(s => s.trim().toLowerCase()).filter(Boolean));
 const allowedNumbers = (process.env.ALLOWED_NUMBERS || "6580480362,6585038335,6588112480,6581352028").split(",").map(s => s.replace(/\D/g,"")).filter(Boolean);
 /* ------------------------------------------------------------------------------ */
 
-const { Client, LocalAuth } = require("whatsapp-web.js");
+const { MessageMedia } = require("whatsapp-web.js");
 const qrcode = require("qrcode-terminal");
 const fs = require("fs");
-const fsp = fs.promises;
 const path = require("path");
 const http = require("http");
+const { log, warn, error } = require("./lib/log");
+const { createGroupConfig, formatNotification } = require("./lib/groupConfig");
+const { normaliseHistory, addOffence, activeStrikes, clearOffences, formatHistory } = require("./lib/offences");
+const { pickStep, isFinalStep, removalStrike } = require("./lib/escalation");
+const { parseDuration, formatDuration } = require("./lib/duration");
+const { createClient } = require("./lib/client");
+const { createStorage, createCollection, createStoredState } = require("./lib/storage");
+const { parseId, createIdentityService } = require("./lib/identity");
+const { createAuditLog, toCsv, formatEntry } = require("./lib/audit");
+const { createAdminApi, tokenMatches } = require("./lib/api");
+const { createDashboard } = require("./lib/dashboard");
+const { createCommandRegistry } = require("./lib/commands");
+const { atLeast, configuredRole, requiredRole } = require("./lib/roles");
+const { createSpamDetector } = require("./lib/spam");
+const { checkLinks, extractLinks } = require("./lib/links");
+const { mediaInfo, checkMedia, mediaHash } = require("./lib/media");
+const { isVerificationAnswer, welcomeText } = require("./lib/gate");
+const { createRaidDetector } = require("./lib/raid");
+const { describeSlowMode, createSlowModeTracker } = require("./lib/slowmode");
+const { newReporterRecord, reportRefusal, recordFiled, recordDismissal } = require("./lib/reports");
+const { createPluginHost } = require("./lib/plugins");
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, createMetricsRegistry } = require("./lib/metrics");
 
-// ---------- Configuration (hardcoded target group as requested) ----------
-const TARGET_GROUPS = ["6-3 of '25","chat gc <3"]; // ONLY target this group for now
+// ---------- Configuration ----------
+// Which groups are moderated, and with which rules, lives in the group config file.
+const GROUPS_CONFIG_FILE = path.resolve(process.env.GROUPS_CONFIG_FILE || path.join(__dirname, "groups.json"));
 
 const WARNINGS_FILE = path.resolve(process.env.WARNINGS_FILE || path.join(__dirname, "warnings.json"));
 const WARNINGS_THRESHOLD = parseInt(process.env.WARNINGS_THRESHOLD || "3", 10);
-let moderationActive = (process.env.MODERATION_ACTIVE || "true").toLowerCase() === "true";
+const WARNING_EXPIRY_DAYS = parseFloat(process.env.WARNING_EXPIRY_DAYS || "30"); // 0 = strikes never expire
+const RESET_WARNINGS_ON_STARTUP = (process.env.RESET_WARNINGS_ON_STARTUP || "false").toLowerCase() === "true";
+// Mutes, bans and pending re-adds from the escalation ladder
+const STATE_FILE = path.resolve(process.env.STATE_FILE || path.join(__dirname, "moderation-state.json"));
+// "json" keeps the files above; "sqlite" uses one database and imports them on first start (see lib/storage.js)
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || "json").toLowerCase();
+const SQLITE_FILE = path.resolve(process.env.SQLITE_FILE || path.join(__dirname, "moderation.db"));
+const READD_CHECK_INTERVAL_MS = 60 * 1000;
+const READD_MAX_ATTEMPTS = 3;
+const GATE_CHECK_INTERVAL_MS = 30 * 1000; // how often unverified new members are checked against their deadline
+// Extra moderation rules / group features, loaded after the built-in ones in lib/plugins/
+const PLUGINS_DIR = path.resolve(process.env.PLUGINS_DIR || path.join(__dirname, "plugins"));
+
+// Audit log of every moderation action (append-only) + downloaded media evidence
+const AUDIT_LOG_FILE = path.resolve(process.env.AUDIT_LOG_FILE || path.join(__dirname, "audit.jsonl"));
+const AUDIT_MEDIA_DIR = path.resolve(process.env.AUDIT_MEDIA_DIR || path.join(__dirname, "audit-media"));
+const AUDIT_CAPTURE_MEDIA = (process.env.AUDIT_CAPTURE_MEDIA || "true").toLowerCase() === "true";
+const MODERATION_ACTIVE_DEFAULT = (process.env.MODERATION_ACTIVE || "true").toLowerCase() === "true";
 
 const FORCE_QR = (process.env.FORCE_QR || "false").toLowerCase() === "true";
 const CLIENT_ID = process.env.CLIENT_ID || "modbot";
+// "whatsapp-web" (a real session through Puppeteer) or "fake" (in-memory, see lib/fakeClient.js)
+const WHATSAPP_CLIENT = process.env.WHATSAPP_CLIENT || "whatsapp-web";
 
 const HTTP_PORT = parseInt(process.env.PORT || process.env.HTTP_PORT || "3000", 10);
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || ""; // empty = admin API disabled
+const DASHBOARD_PASSWORD = process.env.DASHBOARD_PASSWORD || ""; // empty = dashboard disabled
+const METRICS_TOKEN = process.env.METRICS_TOKEN || ""; // empty = /metrics is open, like /status
 
 // Puppeteer options (Railway often needs a specific CHROMIUM_PATH)
 const puppeteerArgs = [
@@ -53,11 +122,6 @@ const puppeteerArgs = [
 const puppeteerOptions = { headless: true, args: puppeteerArgs };
 if (process.env.CHROMIUM_PATH) puppeteerOptions.executablePath = process.env.CHROMIUM_PATH;
 
-// ---------- Utilities ----------
-function timestamp() { return (new Date()).toISOString(); }
-function log(...args) { console.log(timestamp(), ...args); }
-function warn(...args) { console.warn(timestamp(), ...args); }
-
 // If user requested a forced QR, attempt to remove LocalAuth folder (best-effort)
 const LOCAL_AUTH_BASE = path.join(process.cwd(), ".wwebjs_auth", CLIENT_ID);
 if (FORCE_QR) {
@@ -74,128 +138,193 @@ if (FORCE_QR) {
   }
 }
 
-// Regex builder (Unicode-aware)
-function escapeRegExp(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-const bannedArray = Array.from(bannedWords).map(w => escapeRegExp(w)).filter(Boolean);
-const bannedRegex = bannedArray.length
-  ? new RegExp(`(^|[^\\p{L}\\p{N}])(${bannedArray.join("|")})([^\\p{L}\\p{N}]|$)`, "iu")
-  : null;
+// Per-group config (env lists above are the fallback for anything the file leaves out)
+const groupConfig = createGroupConfig(GROUPS_CONFIG_FILE, {
+  enabled: true,
+  bannedWords,
+  warningsThreshold: WARNINGS_THRESHOLD,
+  warningExpiryDays: WARNING_EXPIRY_DAYS,
+  admins: allowedNumbers
+});
+groupConfig.reload();
+groupConfig.watch();
 
-// Warnings store (in-memory cache)
-let warnings = {}; // keys: digits-only string
-let diskWritesDisabled = false; // if true, we fall back to memory-only
-let saveInProgress = false;
-let saveQueued = false;
+const store = createStorage({
+  backend: STORAGE_BACKEND,
+  files: { warnings: WARNINGS_FILE },
+  stateFile: STATE_FILE,
+  auditFile: AUDIT_LOG_FILE,
+  sqliteFile: SQLITE_FILE
+});
 
-// Ensure warnings directory exists
-async function ensureDirForFile(filePath) {
-  const dir = path.dirname(filePath);
-  try { await fsp.mkdir(dir, { recursive: true }); } catch (e) { /* ignore */ }
+// Runtime start/stop state per group id, kept in the "config" collection (falls back to MODERATION_ACTIVE)
+const configStore = createCollection(store, "config");
+function isModerationActive(group) {
+  const entry = configStore.data[group.id];
+  return entry && typeof entry.moderationActive === "boolean" ? entry.moderationActive : MODERATION_ACTIVE_DEFAULT;
+}
+function setModerationActive(groupId, active) {
+  configStore.data[groupId] = Object.assign({}, configStore.data[groupId], { moderationActive: active });
+  configStore.save();
+  log(`Moderation ${active ? "started" : "stopped"} for group ${groupId}`);
 }
 
-// ----------------- Reset warnings on redeploy/startup -----------------
-// Back up existing warnings file (if present) and start fresh on every startup.
+const stateStore = createStoredState(store, { mutes: {}, bans: {}, readds: [], blockedMedia: {}, pending: {}, raids: {}, slowMode: {}, reports: {} });
+const spamDetector = createSpamDetector();
+const slowModeTracker = createSlowModeTracker();
+const raidDetector = createRaidDetector();
+const audit = createAuditLog(store, AUDIT_MEDIA_DIR, { captureMedia: AUDIT_CAPTURE_MEDIA });
+
+// Warnings store (in-memory cache of the "warnings" collection)
+let warnings = {}; // keys: member key (see memberKey) -> offence records (see lib/offences.js)
+const warningsStore = createCollection(store, "warnings");
+
+// Members are tracked by one canonical key: their phone digits, or "<lid>@lid" while
+// WhatsApp hasn't told us the number behind a LID (see lib/identity.js)
+const identity = createIdentityService(store, () => client);
+identity.onLearn(({ lid, phone }) => adoptIdentity(lid, phone));
+
+// ----------------- Reset warnings on redeploy/startup (opt-in) -----------------
+// Back up the existing warnings (warnings.json.bak.<ts>, or a backup collection in
+// SQLite) and start fresh. Only runs when RESET_WARNINGS_ON_STARTUP=true; otherwise
+// history survives restarts.
 async function resetWarningsOnStartup() {
   try {
-    await ensureDirForFile(WARNINGS_FILE);
-    if (fs.existsSync(WARNINGS_FILE)) {
-      const ts = (new Date()).toISOString().replace(/[:.]/g, "-");
-      const bak = `${WARNINGS_FILE}.bak.${ts}`;
-      try {
-        await fsp.rename(WARNINGS_FILE, bak);
-        log(`Reset on startup — backed up previous warnings to: ${bak}`);
-      } catch (e) {
-        warn("Failed to back up warnings file during reset:", e?.message || e);
-        // try copy fallback
-        try { await fsp.copyFile(WARNINGS_FILE, bak); await fsp.unlink(WARNINGS_FILE); log(`Copied warnings to backup then removed original: ${bak}`); } catch (e2) { warn("Backup fallback failed:", e2?.message || e2); }
-      }
-    } else {
-      log("No existing warnings file to back up on startup.");
-    }
-    // start with empty warnings and persist empty file (best-effort)
+    const bak = await store.backup("warnings");
+    log(bak ? `Reset on startup — backed up previous warnings to: ${bak}` : "No existing warnings to back up on startup.");
     warnings = {};
-    try { await saveWarnings(); } catch (e) { warn("Failed to persist empty warnings on startup:", e?.message || e); }
+    warningsStore.data = warnings;
   } catch (e) {
     warn("Could not reset warnings on startup:", e?.message || e);
   }
 }
 
-// Load warnings from disk safely.
-// (This now only loads if reset on startup didn't already clear it — but we always reset above)
+// Load warnings from storage.
+// Legacy { digits: count } entries are upgraded to record lists on load, and histories
+// kept under a LID whose number is known are merged into the number's.
 async function loadWarnings() {
   try {
-    await ensureDirForFile(WARNINGS_FILE);
-    const exists = fs.existsSync(WARNINGS_FILE);
-    if (!exists) { warnings = {}; log("Warnings store empty (no file)."); return; }
-    const raw = await fsp.readFile(WARNINGS_FILE, "utf8");
-    try {
-      const parsed = JSON.parse(raw || "{}");
-      const normalised = {};
-      for (const key of Object.keys(parsed || {})) {
-        const digits = key.replace(/\D/g, "");
-        normalised[digits || key] = parsed[key];
-      }
-      warnings = normalised;
-      log("Loaded warnings from disk.");
-    } catch (parseErr) {
-      const ts = (new Date()).toISOString().replace(/[:.]/g, "-");
-      const corruptPath = `${WARNINGS_FILE}.corrupt.${ts}`;
-      try { await fsp.rename(WARNINGS_FILE, corruptPath); log(`Corrupted warnings moved to ${corruptPath}`); } catch (renameErr) { warn("Failed to back up corrupted warnings file:", renameErr?.message || renameErr); try { await fsp.copyFile(WARNINGS_FILE, corruptPath); } catch {} }
-      warnings = {};
+    const stored = await warningsStore.load();
+    const normalised = {};
+    for (const key of Object.keys(stored || {})) {
+      const member = memberKey(key) || key;
+      normalised[member] = mergeHistories(normalised[member], normaliseHistory(stored[key]));
     }
+    warnings = normalised;
+    log(`Loaded warnings (${store.kind} storage).`);
   } catch (err) {
-    warn("Failed to load warnings from disk — continuing with in-memory store. Error:", err?.message || err);
+    // nothing is overwritten: saves only write members that changed, and keep retrying
+    warn("Failed to load warnings — continuing with an empty in-memory store. Error:", err?.message || err);
     warnings = {};
-    diskWritesDisabled = true;
   }
+  warningsStore.data = warnings;
 }
 
-// Atomic save function with simple in-process queuing.
-// Writes to a temp file then renames into place. On failure sets diskWritesDisabled.
-async function saveWarnings() {
-  if (diskWritesDisabled) return;
-  if (saveInProgress) { saveQueued = true; return; }
-  saveInProgress = true;
-  try {
-    await ensureDirForFile(WARNINGS_FILE);
-    const tmpPath = `${WARNINGS_FILE}.tmp`;
-    const data = JSON.stringify(warnings, null, 2);
-    await fsp.writeFile(tmpPath, data, { encoding: "utf8", flag: "w" });
-    await fsp.rename(tmpPath, WARNINGS_FILE);
-    log("Saved warnings to disk.");
-  } catch (err) {
-    console.error("Failed to save warnings to disk. Disabling disk writes. Error:", err?.message || err);
-    diskWritesDisabled = true;
-    try { if (fs.existsSync(`${WARNINGS_FILE}.tmp`)) await fsp.unlink(`${WARNINGS_FILE}.tmp`); } catch {}
-  } finally {
-    saveInProgress = false;
-    if (saveQueued) { saveQueued = false; saveWarnings().catch(e => warn("Queued save failed:", e?.message || e)); }
+// Persist warnings. Only members whose history changed are written; a failed write is
+// retried and then kept for the next save rather than turning persistence off.
+function saveWarnings() {
+  warningsStore.data = warnings;
+  return warningsStore.save();
+}
+
+// Canonical member key for a WhatsApp id or number, from what is already known.
+// Call identity.resolve() first where a LID may be new (incoming messages, joins).
+function memberKey(id) { if (!id) return ""; return identity.keyOf(id); }
+
+function mergeHistories(a, b) {
+  if (!a) return b;
+  return a.concat(b).sort((x, y) => String(x.at).localeCompare(String(y.at)));
+}
+
+// A LID's number was just learned: move everything kept under the LID to the number.
+// Older versions keyed LIDs by their bare digits, so those are moved as well.
+function adoptIdentity(lid, phone) {
+  let warningsMoved = false;
+  let stateMoved = false;
+  for (const from of [`${lid}@lid`, lid]) {
+    if (warnings[from]) {
+      warnings[phone] = mergeHistories(warnings[phone], warnings[from]);
+      delete warnings[from];
+      warningsMoved = true;
+    }
+    const data = stateStore.data;
+    const maps = [data.mutes, data.bans, data.pending].flatMap(byGroup => Object.values(byGroup))
+      .concat(Object.values(data.slowMode).map(s => s.users || {}))
+      .concat(Object.values(data.reports).map(r => r.reporters));
+    for (const records of maps) {
+      if (!records[from]) continue;
+      if (!records[phone]) records[phone] = records[from];
+      delete records[from];
+      stateMoved = true;
+    }
+    for (const report of Object.values(data.reports).flatMap(r => Object.values(r.open))) {
+      if (report.author === from) { report.author = phone; stateMoved = true; }
+      for (const r of report.reporters) if (r.digits === from) { r.digits = phone; stateMoved = true; }
+    }
   }
+  if (warningsMoved) saveWarnings();
+  if (stateMoved) stateStore.save();
+  if (warningsMoved || stateMoved) log(`Merged records of ${lid}@lid into ${phone}.`);
 }
 
-// Normalise id -> digits string (used as key)
-function extractDigitsFromId(id) { if (!id) return ""; return id.replace(/\D/g, ""); }
+// Is this id one of the listed ones (the same member under either form)?
+function isAmong(ids, id) {
+  for (const other of ids) if (identity.same(other, id)) return true;
+  return false;
+}
 
-function isAllowedNumberDigits(digits) {
-  if (!digits) return false;
-  return allowedNumbers.some(n => { if (!n) return false; return digits === n || digits.endsWith(n) || n.endsWith(digits); });
+// "@<user>" as mention text has to match the id the mention points at
+function atMention(id) {
+  return `@${parseId(id).user}`;
 }
 
-function humanListAllowedNumbers() {
-  if (!allowedNumbers.length) return "No admin numbers configured.";
-  return allowedNumbers.map(n => (n.length > 6 ? "+" + n : n)).join(", ");
+function humanListRoleNumbers(group, role) {
+  const numbers = (group || groupConfig.defaults()).roles[role] || [];
+  if (!numbers.length) return "none configured";
+  return numbers.map(n => "+" + n).join(", ");
 }
 
-// Initialise WhatsApp client
-const client = new Client({
-  authStrategy: new LocalAuth({ clientId: CLIENT_ID }),
-  puppeteer: puppeteerOptions
-});
+// Initialise WhatsApp client (see lib/client.js for what the bot relies on)
+const client = createClient(WHATSAPP_CLIENT, { clientId: CLIENT_ID, puppeteer: puppeteerOptions });
 
 let myId = null;           // serialized id like "659xxxxxxxx@c.us"
 let clientReady = false;
+let readyCount = 0;        // "ready" events so far; WhatsApp fires another after every reconnect
+let latestQr = null;       // pending login QR payload (shown on the dashboard)
+let httpServer = null;
+const timers = [];         // periodic checks started once the client is ready
+const GROUP_ADMIN_CACHE_MS = 60 * 1000;
+const groupAdminCache = new Map(); // group id -> { at, ids: Set<admin id> }
+const connection = { state: "starting", since: new Date().toISOString(), detail: null };
+
+// ---------- Metrics (served on /metrics, see lib/metrics.js) ----------
+const metrics = createMetricsRegistry("modbot_");
+const stats = {
+  messages: metrics.counter("messages_processed_total", "Message events handled (kind: new or edit)", ["kind"]),
+  violations: metrics.counter("violations_total", "Messages acted on by a rule, by rule kind and group id", ["rule", "group"]),
+  deletions: metrics.counter("deletions_total", "Message deletions attempted (scope: everyone or me)", ["scope", "result"]),
+  removals: metrics.counter("removals_total", "Member removals attempted", ["result"]),
+  sends: metrics.counter("sends_total", "Messages the bot tried to send", ["result"]),
+  handlerSeconds: metrics.histogram("handler_duration_seconds", "Time taken to handle a WhatsApp event", ["handler"]),
+  disconnects: metrics.counter("disconnects_total", "Times the WhatsApp client disconnected", ["reason"]),
+  reconnects: metrics.counter("reconnects_total", "Times the client became ready again after start-up")
+};
+const startedAt = Date.now();
+let lastMessageAt = 0;     // when the last message event arrived (0 = none yet)
+metrics.gauge("ready", "1 while the WhatsApp client is ready", () => (clientReady ? 1 : 0));
+metrics.gauge("last_message_received_timestamp_seconds", "Unix time of the last message event (0 = none since start-up)", () => lastMessageAt / 1000);
+// a client that silently stops delivering events shows up here first
+metrics.gauge("seconds_since_last_message", "Seconds since the last message event (since start-up until the first one)", () => (Date.now() - (lastMessageAt || startedAt)) / 1000);
+
+// chat.sendMessage goes through client.sendMessage as well, so this sees every send
+const sendMessage = client.sendMessage.bind(client);
+client.sendMessage = (...args) => stats.sends.track({}, sendMessage(...args));
+
+function setConnectionState(state, detail) {
+  connection.state = state;
+  connection.since = new Date().toISOString();
+  connection.detail = detail || null;
+}
 
 // Robust extractor for the client's own ID — works across wwebjs versions & shapes
 function serializeWidObject(wid) {
@@ -244,23 +373,109 @@ async function refreshChatParticipants(chat) {
   }
 }
 
+// Serialized ids of a group's WhatsApp admins. Cached briefly for role checks;
+// "fresh" always refetches (used before the bot relies on its own admin rights).
+async function groupAdminIds(chat, { fresh = false } = {}) {
+  const key = chat.id._serialized;
+  const cached = groupAdminCache.get(key);
+  if (!fresh && cached && Date.now() - cached.at < GROUP_ADMIN_CACHE_MS) return cached.ids;
+  const refreshed = await refreshChatParticipants(chat);
+  const ids = new Set((refreshed.participants || []).filter(p => p.isAdmin || p.isSuperAdmin).map(p => p.id && p.id._serialized).filter(Boolean));
+  groupAdminCache.set(key, { at: Date.now(), ids });
+  return ids;
+}
+
 // Per-group admin check (returns boolean)
 async function isBotAdminIn(chat) {
   try {
-    const refreshed = await refreshChatParticipants(chat);
-    const participant = (refreshed.participants || []).find(p => (p.id && p.id._serialized) === myId);
-    return !!(participant && (participant.isAdmin || participant.isSuperAdmin));
+    return isAmong(await groupAdminIds(chat, { fresh: true }), myId);
   } catch (e) {
     return false;
   }
 }
 
+// A sender's role in a group: configured roles, plus WhatsApp group admins as
+// moderators when the group opts in with "groupAdminsAreModerators"
+async function roleOf(group, chat, senderId) {
+  const role = configuredRole(group || groupConfig.defaults(), (await identity.resolve(senderId)).phone);
+  if (atLeast(role, "moderator") || !group || !group.groupAdminsAreModerators) return role;
+  try {
+    if (isAmong(await groupAdminIds(chat), senderId)) return "moderator";
+  } catch (e) {
+    warn("Could not read group admins:", e?.message || e);
+  }
+  return role;
+}
+
+// Every group the bot is in, with registration / moderation / bot admin status
+async function listGroupsWithStatus() {
+  if (!clientReady) return [];
+  const chats = (await client.getChats()).filter(c => c.isGroup);
+  const out = [];
+  for (const chat of chats) {
+    const reg = groupConfig.get(chat.id._serialized);
+    out.push({
+      id: chat.id._serialized,
+      name: chat.name,
+      participants: (chat.participants || []).length,
+      botAdmin: await isBotAdminIn(chat),
+      registered: !!reg,
+      enabled: reg ? reg.enabled : false,
+      moderationActive: reg ? isModerationActive(reg) : false
+    });
+  }
+  return out;
+}
+
+// Admin REST API (mounted under /api/ on the HTTP server below)
+const adminApi = createAdminApi({
+  token: ADMIN_API_TOKEN,
+  groupConfig,
+  audit,
+  getWarnings: () => warnings,
+  saveWarnings,
+  memberKey,
+  isModerationActive,
+  setModerationActive,
+  listGroups: listGroupsWithStatus
+});
+
+// Browser dashboard (mounted under /dashboard)
+const dashboard = createDashboard({
+  password: DASHBOARD_PASSWORD,
+  groupConfig,
+  audit,
+  getWarnings: () => warnings,
+  getConnection: () => Object.assign({ ready: clientReady }, connection),
+  getQr: () => latestQr,
+  listGroups: listGroupsWithStatus
+});
+
 // HTTP health/status server (no external deps)
 function startHttpServer() {
-  const server = http.createServer(async (req, res) => {
+  const server = httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname.startsWith("/api/")) {
+      try { await adminApi(req, res, url); } catch (e) { warn("Admin API error:", e?.message || e); }
+      return;
+    }
+    if (url.pathname === "/dashboard" || url.pathname.startsWith("/dashboard/")) {
+      try { await dashboard(req, res, url); } catch (e) { warn("Dashboard error:", e?.message || e); }
+      return;
+    }
+    if (url.pathname === "/metrics") {
+      if (METRICS_TOKEN && !tokenMatches(req.headers.authorization, METRICS_TOKEN)) {
+        res.writeHead(401, { "Content-Type": "text/plain" });
+        res.end("Unauthorized");
+        return;
+      }
+      res.writeHead(200, { "Content-Type": METRICS_CONTENT_TYPE });
+      res.end(metrics.render());
+      return;
+    }
     if (req.url === "/health" || req.url === "/") {
       res.writeHead(200, { "Content-Type": "application/json" });
-      res.end(JSON.stringify({ ok: true, ready: clientReady }));
+      res.end(JSON.stringify({ ok: true, ready: clientReady, connection: connection.state }));
       return;
     }
     if (req.url === "/status") {
@@ -268,8 +483,7 @@ function startHttpServer() {
       res.end(JSON.stringify({
         ok: true,
         ready: clientReady,
-        moderationActive,
-        targetGroups: TARGET_GROUPS,
+        groups: groupConfig.list().map(g => ({ id: g.id, name: g.name, enabled: g.enabled, moderationActive: isModerationActive(g), warningsThreshold: g.warningsThreshold })),
         warningsCount: Object.keys(warnings).length
       }));
       return;
@@ -289,28 +503,47 @@ function startHttpServer() {
 
 // Event handlers
 client.on('qr', qr => {
+  latestQr = qr;
+  setConnectionState("qr", "waiting for the QR to be scanned");
   qrcode.generate(qr, { small: true });
-  log("QR generated — scan it in your terminal logs.");
+  log("QR generated — scan it in your terminal logs or on /dashboard.");
 });
 
 client.on('authenticated', () => {
+  latestQr = null;
+  setConnectionState("authenticated");
   log("Authenticated successfully.");
 });
 
 client.on('auth_failure', msg => {
-  console.error("Authentication failure:", msg);
+  setConnectionState("auth_failure", String(msg || ""));
+  error("Authentication failure:", msg);
 });
 
 client.on('ready', async () => {
   try {
     clientReady = true;
-    log("WhatsApp client is ready.");
+    const reconnect = readyCount++ > 0;
+    if (reconnect) stats.reconnects.inc();
+    setConnectionState("ready");
+    log(reconnect ? "WhatsApp client is ready again after a reconnect." : "WhatsApp client is ready.");
 
-    // Reset warnings on startup (backup previous file then start empty)
-    await resetWarningsOnStartup();
+    // WhatsApp fires "ready" again after every reconnect: storage is only read the first
+    // time (what's in memory by then is newer), and the periodic checks and plugins' onReady
+    // only run once
+    if (!reconnect) {
+      // Optionally reset warnings on startup (backup previous file then start empty)
+      if (RESET_WARNINGS_ON_STARTUP) await resetWarningsOnStartup();
 
-    // After reset, try load (will find empty file or just-initialised)
-    await loadWarnings();
+      await identity.load();
+      await loadWarnings();
+      await stateStore.load();
+      await configStore.load();
+      for (const { lid, phone } of identity.mappings()) adoptIdentity(lid, phone);
+      timers.push(setInterval(() => { processDueReadds().catch(e => warn("Re-add check failed:", e?.message || e)); }, READD_CHECK_INTERVAL_MS));
+      timers.push(setInterval(() => { processGateTimeouts().catch(e => warn("Verification check failed:", e?.message || e)); }, GATE_CHECK_INTERVAL_MS));
+      await plugins.ready();
+    }
 
     // determine own id robustly from client.info
     try {
@@ -319,6 +552,8 @@ client.on('ready', async () => {
       if (deduced) {
         myId = deduced;
         log("Determined own id from client.info:", myId);
+        // groups that address members by LID list the bot under its LID too
+        await identity.refresh(myId);
       } else {
         log("Warning: could not deduce own id from client.info; some admin features may not work until metadata is available.");
       }
@@ -326,234 +561,1394 @@ client.on('ready', async () => {
       warn("Could not fetch own contact id on ready (info extraction failed):", e?.message || e);
     }
 
-    log(`Moderation ${moderationActive ? "active" : "inactive"}. Target group: ${TARGET_GROUPS.join(" | ")}`);
+    log(`Moderation default ${MODERATION_ACTIVE_DEFAULT ? "active" : "inactive"}. Registered groups: ${groupConfig.list().map(g => g.name).join(" | ") || "(none)"}`);
 
-    // Inform the (single) target group that bot is online (best-effort) and log admin status
+    // Inform each registered group that bot is online (best-effort) and log admin status
     try {
       const chats = await client.getChats();
-      for (const groupName of TARGET_GROUPS) {
-        const targetChat = chats.find(c => c.isGroup && c.name === groupName);
-        if (!targetChat) {
-          warn(`Target group "${groupName}" not found. Startup notification not sent for that group.`);
-          continue;
-        }
+      const seen = new Set();
+      for (const targetChat of chats) {
+        if (!targetChat.isGroup) continue;
+        const group = groupConfig.forChat(targetChat);
+        if (!group || !group.enabled) continue;
+        seen.add(group.id);
+        const groupName = targetChat.name;
         // Per-group admin detection
         let amAdmin = false;
         try {
           const refreshed = await refreshChatParticipants(targetChat);
-          const participant = (refreshed.participants || []).find(p => (p.id && p.id._serialized) === myId);
+          const participant = (refreshed.participants || []).find(p => identity.same(p.id && p.id._serialized, myId));
           amAdmin = !!(participant && (participant.isAdmin || participant.isSuperAdmin));
         } catch (e) {
           // ignore
         }
 
-        const startupMsg = [
+        const startupMsg = group.notifications.startup ? formatNotification(group.notifications.startup, { group: groupName, threshold: group.warningsThreshold }) : [
           "🤖 Nueron0.3 modbot ONLINE",
           `Group: "${groupName}"`,
-          `Moderation state: ${moderationActive ? "**Active**" : "**Inactive**"}.`,
+          `Moderation state: ${isModerationActive(group) ? "**Active**" : "**Inactive**"}.`,
           `Bot admin: ${amAdmin ? "Yes" : "No (please make me admin to allow delete/remove actions)"}`,
           "",
           "How to control moderation:",
-          `• Admins listed in configuration can start moderation by sending the command: "start moderation"`,
-          `• To stop moderation send: "stop moderation"`,
-          `Configured admin numbers: ${humanListAllowedNumbers()}`,
+          `• Moderators can start moderation by sending the command: "!mod on"`,
+          `• To stop moderation send: "!mod off"`,
+          `• To stop moderating this group entirely send: "!mod unregister"`,
+          `• Send "!help" to see every command you can use`,
+          `Owners: ${humanListRoleNumbers(group, "owner")}`,
+          `Moderators: ${humanListRoleNumbers(group, "moderator")}${group.groupAdminsAreModerators ? " (plus group admins)" : ""}`,
           "",
           "Note: The bot needs to be a group admin to delete messages or remove participants. ",
           "For more info of the project click https://mabuk13.github.io/Nueron0.3-site/ , note this project is made by Cookie Developments all rights reserved"
         ].join("\n");
         await targetChat.sendMessage(startupMsg).catch(() => {});
       }
+      for (const group of groupConfig.list()) {
+        if (group.enabled && !seen.has(group.id)) warn(`Registered group "${group.name}" not found. Startup notification not sent for that group.`);
+      }
     } catch (e) {
       warn("Failed to send some startup notifications:", e?.message || e);
     }
   } catch (err) {
-    console.error("Error in ready handler:", err?.message || err);
+    error("Error in ready handler:", err?.message || err);
   }
 });
 
 client.on('disconnected', reason => {
+  clientReady = false;
+  stats.disconnects.inc({ reason: String(reason || "unknown") });
+  setConnectionState("disconnected", String(reason || ""));
   warn("Client disconnected:", reason);
 });
 
-// MAIN MESSAGE HANDLER
-client.on('message', async (message) => {
-  try {
-    log("MSG received");
+// ---------- Moderation actions (driven by the escalation ladder) ----------
 
-    // Ensure we can process this message
-    let chat;
-    try { chat = await message.getChat(); } catch (e) { console.error("ERROR reading message: failed to get chat:", e?.message || e); return; }
-
-    if (!chat.isGroup) return; // only moderate groups
-    if (!TARGET_GROUPS.includes(chat.name)) return; // ignore other groups
+// Every delete and removal goes through these, so /metrics counts successes and failures
+function deleteMessage(message, everyone = false) {
+  return stats.deletions.track({ scope: everyone ? "everyone" : "me" }, message.delete(everyone));
+}
 
-    // Determine author (in groups message.author is set)
-    const offenderId = message.author || message.from;
-    const offenderDigits = extractDigitsFromId(offenderId);
+function removeParticipants(chat, ids) {
+  return stats.removals.track({}, chat.removeParticipants(ids));
+}
 
-    // Ignore messages from the bot itself
-    if (myId && extractDigitsFromId(myId) && offenderDigits === extractDigitsFromId(myId)) return;
-
-    // skip non-text
-    const body = (message.body || "").trim();
-    if (!body) return;
-
-    // Accept commands from allowed numbers (author or sender)
-    const fromDigits = extractDigitsFromId(message.from);
-    const authorDigits = extractDigitsFromId(message.author || "");
-    const senderDigits = authorDigits || fromDigits;
-    const lowered = body.toLowerCase().replace(/\s+/g, " ").trim();
-
-    // ADMIN COMMANDS (from allowedNumbers)
-    if (isAllowedNumberDigits(senderDigits)) {
-      const startCommands = new Set(["start moderation", "startmod", "start moderation now", "start", "enable moderation", "enable"]);
-      const stopCommands  = new Set(["stop moderation", "stopmod", "stop", "disable moderation", "disable"]);
-      if (startCommands.has(lowered)) {
-        moderationActive = true;
-        await client.sendMessage(message.from, "✅ Moderation started.").catch(() => {});
-        log(`Moderation started by ${senderDigits}`);
-        return;
-      }
-      if (stopCommands.has(lowered)) {
-        moderationActive = false;
-        await client.sendMessage(message.from, "⛔ Moderation stopped.").catch(() => {});
-        log(`Moderation stopped by ${senderDigits}`);
-        return;
-      }
-      if (lowered === "check admin") {
-        const am = await isBotAdminIn(chat);
-        await client.sendMessage(message.from, `Bot admin in this group: ${am ? "Yes" : "No"}`).catch(() => {});
-        return;
-      }
-      if (lowered.startsWith("check warnings")) {
-        const parts = lowered.split(/\s+/);
-        const target = parts[2] || parts[1];
-        if (!target) {
-          await client.sendMessage(message.from, "Usage: check warnings <phoneDigits>").catch(() => {});
+// Delete an offending message (prefer everyone). If not admin, delete for me and notify.
+// Returns "everyone" | "me" | "none".
+async function deleteOffendingMessage(message, chat, amAdmin) {
+  let deleted = "none";
+  if (amAdmin) {
+    try {
+      await deleteMessage(message, true);
+      deleted = "everyone";
+      log("Deleted offending message for everyone.");
+    } catch (e) {
+      warn("Failed to delete for everyone on first attempt:", e?.message || e);
+      // Try one refresh + retry
+      try {
+        const refreshed = await refreshChatParticipants(chat);
+        const participant = (refreshed.participants || []).find(p => identity.same(p.id && p.id._serialized, myId));
+        const nowAdmin = !!(participant && (participant.isAdmin || participant.isSuperAdmin));
+        if (nowAdmin) {
+          try { await deleteMessage(message, true); deleted = "everyone"; log("Deleted offending message for everyone on retry after refresh."); }
+          catch (e2) { warn("Retry delete-for-everyone failed:", e2?.message || e2); await chat.sendMessage("⚠️ I detected banned content but I couldn't delete it for everyone even though I'm an admin. There may be a WhatsApp deletion limit or throttling in effect.").catch(()=>{}); }
         } else {
-          const targDigits = target.replace(/\D/g,"");
-          const count = warnings[targDigits] || 0;
-          await client.sendMessage(message.from, `Warnings for ${targDigits}: ${count}`).catch(() => {});
+          await chat.sendMessage("⚠️ I detected banned content but I couldn't delete it for everyone — I am not an admin. Please make me a group admin to enable full moderation.").catch(()=>{});
         }
-        return;
+      } catch (refreshErr) {
+        warn("Failed to refresh participants after delete failure:", refreshErr?.message || refreshErr);
+        await chat.sendMessage("⚠️ I detected banned content but couldn't delete the message. Please ensure I am a group admin.").catch(()=>{});
       }
-      if (lowered.startsWith("reset warnings")) {
-        const parts = lowered.split(/\s+/);
-        const target = parts[2] || parts[1];
-        if (!target) {
-          await client.sendMessage(message.from, "Usage: reset warnings <phoneDigits>").catch(() => {});
-        } else {
-          const targDigits = target.replace(/\D/g,"");
-          delete warnings[targDigits];
-          await saveWarnings();
-          await client.sendMessage(message.from, `Warnings for ${targDigits} reset to 0.`).catch(() => {});
-        }
-        return;
+    }
+  } else {
+    try { await deleteMessage(message); deleted = "me"; log("Deleted message for me (bot not admin)."); } catch (e) { /* ignore */ }
+    try { await chat.sendMessage("⚠️ I detected banned content but I couldn't delete it for everyone in this group. Please set me as group admin to allow moderation actions.").catch(()=>{}); } catch {}
+  }
+  return deleted;
+}
+
+// Notify offender privately, falling back to a mention in the group (best-effort)
+async function notifyOffender(chat, offenderId, text) {
+  try {
+    await client.sendMessage(offenderId, text);
+  } catch (e) {
+    try {
+      const contact = await client.getContactById(offenderId);
+      await chat.sendMessage(`${atMention(offenderId)} ${text}`, { mentions: contact ? [contact] : [] });
+    } catch (e2) {
+      warn("Failed to notify offender privately or mention in group:", e2?.message || e2);
+    }
+  }
+}
+
+// Remove a participant (per-group admin check again). Returns "removed" | "failed" | "not-admin".
+async function removeOffender(chat, offenderId, strikes, amAdmin) {
+  let canRemove = amAdmin;
+  if (!canRemove) {
+    try {
+      const refreshed = await refreshChatParticipants(chat);
+      const participant = (refreshed.participants || []).find(p => identity.same(p.id && p.id._serialized, myId));
+      canRemove = !!(participant && (participant.isAdmin || participant.isSuperAdmin));
+    } catch (e) { /* ignore */ }
+  }
+
+  if (canRemove) {
+    try {
+      await removeParticipants(chat, [offenderId]);
+      return "removed";
+    } catch (e) {
+      warn("Failed to remove participant (ensure bot is admin):", e?.message || e);
+      try {
+        const contact = await client.getContactById(offenderId);
+        await chat.sendMessage(`⚠️ I would remove ${atMention(offenderId)} for repeated banned language, but I couldn't — please make me a group admin or remove them manually.`, { mentions: contact ? [contact] : [] });
+      } catch {}
+      return "failed";
+    }
+  }
+  try {
+    const contact = await client.getContactById(offenderId);
+    await chat.sendMessage(`⚠️ User has reached ${strikes} warnings and should be removed, but I cannot remove participants because I'm not an admin. Please remove ${atMention(offenderId)} manually.`, { mentions: contact ? [contact] : [] });
+  } catch {
+    await chat.sendMessage(`⚠️ User has reached ${strikes} warnings and should be removed, but I cannot remove participants because I'm not an admin. Please remove them manually.`).catch(() => {});
+  }
+  return "not-admin";
+}
+
+// Bot-enforced mutes: everything the member sends in that group is deleted until expiry.
+// The member is told once, when the mute starts; deletions after that are silent.
+function muteMember(groupId, digits, durationMs, { reason = "", by = null } = {}) {
+  const mutes = stateStore.data.mutes;
+  if (!mutes[groupId]) mutes[groupId] = {};
+  mutes[groupId][digits] = { until: new Date(Date.now() + durationMs).toISOString(), reason, by };
+  stateStore.save();
+}
+
+function unmuteMember(groupId, digits) {
+  const mutes = stateStore.data.mutes[groupId];
+  if (!mutes || !mutes[digits]) return false;
+  delete mutes[digits];
+  stateStore.save();
+  return true;
+}
+
+function isMuted(groupId, digits) {
+  const entry = (stateStore.data.mutes[groupId] || {})[digits];
+  if (!entry) return false;
+  if (Date.parse(entry.until) > Date.now()) return true;
+  delete stateStore.data.mutes[groupId][digits];
+  stateStore.save();
+  return false;
+}
+
+// Slow mode set at runtime: slowMode[groupId] = { group: limit|null, users: { digits: limit } }.
+// A member's own limit beats the group's, which beats the config file (null = off).
+function slowModeLimit(group, digits) {
+  const runtime = stateStore.data.slowMode[group.id] || {};
+  if (runtime.users && runtime.users[digits]) return runtime.users[digits];
+  return Object.prototype.hasOwnProperty.call(runtime, "group") ? runtime.group : group.slowMode;
+}
+
+function setSlowMode(groupId, digits, limit) {
+  const all = stateStore.data.slowMode;
+  const runtime = all[groupId] || (all[groupId] = {});
+  if (digits) {
+    if (!runtime.users) runtime.users = {};
+    if (limit) runtime.users[digits] = limit;
+    else delete runtime.users[digits];
+  } else {
+    runtime.group = limit;
+  }
+  slowModeTracker.reset(groupId, digits);
+  stateStore.save();
+}
+
+// Delete a message without a strike (mutes, slow mode) and audit it
+async function deleteSilently(message, chat, group, rule, { body = (message.body || "").trim(), previous = [], trigger } = {}) {
+  const offenderId = message.author || message.from;
+  stats.violations.inc({ rule: rule.kind, group: group.id });
+  const evidence = await audit.captureEvidence(message);
+  let outcome = "none";
+  if (await isBotAdminIn(chat)) {
+    try { await deleteMessage(message, true); outcome = "everyone"; } catch (e) { warn(`Failed to delete message (${rule.kind}):`, e?.message || e); }
+  }
+  audit.append({ type: outcome === "none" ? "action-failed" : "delete", group: group.id, groupName: chat.name, author: memberKey(offenderId), authorId: offenderId, messageId: message.id?._serialized || null, body, media: evidence, rule, trigger, previousBodies: previous.length ? previous : undefined, outcome });
+  return outcome;
+}
+
+// Ban list: bans[groupId][digits] = { id, at, reason, until (null = permanent), by }.
+// Banned members who come back (invite link or added by someone) are removed again.
+function recordBan(groupId, offenderId, digits, { reason = "", untilMs = 0, by = null } = {}) {
+  const bans = stateStore.data.bans;
+  if (!bans[groupId]) bans[groupId] = {};
+  bans[groupId][digits] = { id: offenderId, at: new Date().toISOString(), reason, until: untilMs ? new Date(untilMs).toISOString() : null, by };
+  stateStore.save();
+}
+
+// The member's ban in this group, or null (expired bans are dropped here)
+function activeBan(groupId, digits) {
+  const entry = (stateStore.data.bans[groupId] || {})[digits];
+  if (!entry) return null;
+  if (!entry.until || Date.parse(entry.until) > Date.now()) return entry;
+  liftBan(groupId, digits);
+  return null;
+}
+
+function liftBan(groupId, digits) {
+  const bans = stateStore.data.bans[groupId];
+  if (!bans || !bans[digits]) return false;
+  delete bans[digits];
+  if (!Object.keys(bans).length) delete stateStore.data.bans[groupId];
+  stateStore.save();
+  return true;
+}
+
+function describeBan(entry) {
+  const expiry = entry.until ? `until ${entry.until.slice(0, 16).replace("T", " ")} UTC` : "permanent";
+  return `${entry.reason || "no reason given"} (${expiry})`;
+}
+
+// Blocked stickers/images per group, keyed by media hash (see lib/media.js)
+function hasBlockedMedia(groupId) {
+  return Object.keys(stateStore.data.blockedMedia[groupId] || {}).length > 0;
+}
+
+function blockedMediaEntry(groupId, hash) {
+  if (!hash) return null;
+  return (stateStore.data.blockedMedia[groupId] || {})[hash] || null;
+}
+
+function setMediaBlocked(groupId, hash, entry) {
+  const blocked = stateStore.data.blockedMedia;
+  if (!blocked[groupId]) blocked[groupId] = {};
+  if (entry) blocked[groupId][hash] = entry;
+  else delete blocked[groupId][hash];
+  stateStore.save();
+}
+
+// Temporary removals: re-add the member once the period is over (survives restarts)
+function scheduleReadd(groupId, offenderId, afterMs) {
+  stateStore.data.readds.push({ group: groupId, id: offenderId, at: new Date(Date.now() + afterMs).toISOString(), attempts: 0 });
+  stateStore.save();
+}
+
+async function processDueReadds() {
+  const now = Date.now();
+  const pending = stateStore.data.readds;
+  const due = pending.filter(r => Date.parse(r.at) <= now);
+  if (!due.length) return;
+  for (const r of due) {
+    // banned while they were out (e.g. under another id than the one !ban cleared)
+    if (activeBan(r.group, memberKey(r.id))) {
+      log(`Not re-adding ${r.id} to ${r.group}: they have been banned since.`);
+      r.done = true;
+      continue;
+    }
+    try {
+      const chat = await client.getChatById(r.group);
+      await chat.addParticipants([r.id]);
+      log(`Re-added ${r.id} to "${chat.name}" after temporary removal.`);
+      audit.append({ type: "readd", group: r.group, groupName: chat.name, author: memberKey(r.id), authorId: r.id, outcome: "re-added" });
+      r.done = true;
+    } catch (e) {
+      r.attempts = (r.attempts || 0) + 1;
+      warn(`Failed to re-add ${r.id} (attempt ${r.attempts}):`, e?.message || e);
+      if (r.attempts >= READD_MAX_ATTEMPTS) {
+        r.done = true;
+        audit.append({ type: "action-failed", group: r.group, author: memberKey(r.id), authorId: r.id, outcome: "readd-failed", detail: e?.message || String(e) });
       }
     }
+  }
+  stateStore.data.readds = pending.filter(r => !r.done);
+  await stateStore.save();
+}
 
-    if (!moderationActive) return;
+// ---------- New members (see lib/gate.js) ----------
+// Unverified members are kept in the state file: pending[groupId][digits] = { id, joinedAt, deadline, flagged }
 
-    // Check banned words
-    let matched = false;
-    if (bannedRegex) matched = bannedRegex.test(body);
-    if (!matched) return;
+function pendingVerification(groupId, digits) {
+  return (stateStore.data.pending[groupId] || {})[digits] || null;
+}
 
-    log(`Banned content detected from ${offenderDigits} in "${chat.name}":`, body);
+function clearPending(groupId, digits) {
+  const pending = stateStore.data.pending[groupId];
+  if (!pending || !pending[digits]) return false;
+  delete pending[digits];
+  stateStore.save();
+  return true;
+}
 
-    // Per-group admin check (refresh participants)
-    let amAdmin = false;
-    try { amAdmin = await isBotAdminIn(chat); } catch (e) { warn("Could not determine admin status:", e?.message || e); }
+async function mentionContact(id) {
+  try { return await client.getContactById(id); } catch (e) { return null; }
+}
 
-    // Try to delete the offending message (prefer everyone). If not admin, skip and notify.
-    if (amAdmin) {
-      try {
-        await message.delete(true);
-        log("Deleted offending message for everyone.");
-      } catch (e) {
-        warn("Failed to delete for everyone on first attempt:", e?.message || e);
-        // Try one refresh + retry
+// Greet a member who just joined and, if the group verifies, start their timer
+async function welcomeMember(chat, group, memberId) {
+  const gate = group.newMembers;
+  const digits = memberKey(memberId);
+  if (!gate || !digits || identity.same(memberId, myId)) return;
+  // people with a role (exempt and above) are trusted already
+  const trusted = atLeast(configuredRole(group, identity.phoneOf(memberId)), "exempt");
+  if (gate.verify && !trusted) {
+    const pending = stateStore.data.pending;
+    if (!pending[group.id]) pending[group.id] = {};
+    pending[group.id][digits] = { id: memberId, joinedAt: new Date().toISOString(), deadline: new Date(Date.now() + gate.timeoutMs).toISOString(), flagged: false };
+    stateStore.save();
+  }
+  const text = welcomeText(trusted ? Object.assign({}, gate, { verify: null }) : gate, { user: atMention(memberId), group: chat.name, timeout: formatDuration(gate.timeoutMs) });
+  if (!text) return;
+  const contact = await mentionContact(memberId);
+  await chat.sendMessage(text, { mentions: contact ? [contact] : [] }).catch(e => warn("Failed to send welcome message:", e?.message || e));
+}
+
+async function verifyMember(chat, group, memberId, trigger) {
+  const digits = memberKey(memberId);
+  if (!clearPending(group.id, digits)) return false;
+  audit.append({ type: "verify", group: group.id, groupName: chat.name, author: digits, authorId: memberId, trigger });
+  const contact = await mentionContact(memberId);
+  await chat.sendMessage(`✅ Thanks ${atMention(memberId)}, you're verified — welcome!`, { mentions: contact ? [contact] : [] }).catch(() => {});
+  return true;
+}
+
+// What an unverified member just tried to post that the gate doesn't allow yet
+function gateRestriction(gate, message, body) {
+  if (gate.restrict.includes("media") && message.hasMedia) return "media";
+  if (gate.restrict.includes("links") && extractLinks(body).length) return "links";
+  if (gate.restrict.includes("mentions") && (message.mentionedIds || []).length) return "mentions";
+  return null;
+}
+
+// Members who missed their deadline are removed, or flagged to the group
+async function processGateTimeouts() {
+  const now = Date.now();
+  let changed = false;
+  for (const [groupId, members] of Object.entries(stateStore.data.pending)) {
+    const group = groupConfig.get(groupId);
+    for (const [digits, p] of Object.entries(members)) {
+      if (!group || !group.enabled || !group.newMembers || !group.newMembers.verify) { delete members[digits]; changed = true; continue; }
+      if (p.flagged || Date.parse(p.deadline) > now) continue;
+      let chat;
+      try { chat = await client.getChatById(groupId); } catch (e) { warn("Verification check: group not available:", e?.message || e); continue; }
+      if (group.newMembers.onTimeout === "remove" && await isBotAdminIn(chat)) {
         try {
-          const refreshed = await refreshChatParticipants(chat);
-          const participant = (refreshed.participants || []).find(p => (p.id && p.id._serialized) === myId);
-          const nowAdmin = !!(participant && (participant.isAdmin || participant.isSuperAdmin));
-          if (nowAdmin) {
-            try { await message.delete(true); log("Deleted offending message for everyone on retry after refresh."); }
-            catch (e2) { warn("Retry delete-for-everyone failed:", e2?.message || e2); await chat.sendMessage("⚠️ I detected banned content but I couldn't delete it for everyone even though I'm an admin. There may be a WhatsApp deletion limit or throttling in effect.").catch(()=>{}); }
-          } else {
-            await chat.sendMessage("⚠️ I detected banned content but I couldn't delete it for everyone — I am not an admin. Please make me a group admin to enable full moderation.").catch(()=>{});
-          }
-        } catch (refreshErr) {
-          warn("Failed to refresh participants after delete failure:", refreshErr?.message || refreshErr);
-          await chat.sendMessage("⚠️ I detected banned content but couldn't delete the message. Please ensure I am a group admin.").catch(()=>{});
+          await removeParticipants(chat, [p.id]);
+          delete members[digits];
+          changed = true;
+          log(`Removed ${digits} from "${chat.name}" — not verified in time.`);
+          audit.append({ type: "remove", group: groupId, groupName: chat.name, author: digits, authorId: p.id, rule: { kind: "gate", term: "gate:timeout" }, outcome: "removed" });
+          continue;
+        } catch (e) {
+          warn("Failed to remove unverified member:", e?.message || e);
         }
       }
+      p.flagged = true;
+      changed = true;
+      const contact = await mentionContact(p.id);
+      await chat.sendMessage(`⚠️ ${atMention(p.id)} hasn't verified within ${formatDuration(group.newMembers.timeoutMs)}. Moderators: "!verify ${atMention(p.id)}" to let them in, or remove them.`, { mentions: contact ? [contact] : [] }).catch(() => {});
+      audit.append({ type: "flag", group: groupId, groupName: chat.name, author: digits, authorId: p.id, rule: { kind: "gate", term: "gate:timeout" }, outcome: "flagged" });
+    }
+    if (!Object.keys(members).length) { delete stateStore.data.pending[groupId]; changed = true; }
+  }
+  if (changed) await stateStore.save();
+}
+
+// A banned member came back (invite link or added by someone): remove them again and
+// tell whoever added them. Returns true if the member is banned here.
+async function enforceBanOnJoin(chat, group, memberId, addedBy) {
+  const digits = memberKey(memberId);
+  const ban = digits && activeBan(group.id, digits);
+  if (!ban) return false;
+  let removed = false;
+  if (await isBotAdminIn(chat)) {
+    try { await removeParticipants(chat, [memberId]); removed = true; } catch (e) { warn(`Failed to remove banned member ${digits}:`, e?.message || e); }
+  }
+  const adder = addedBy && !identity.same(addedBy, memberId) ? memberKey(addedBy) : null;
+  log(`Banned member ${digits} rejoined "${chat.name}"${adder ? ` (added by ${adder})` : ""} — ${removed ? "removed again" : "could not remove"}.`);
+  audit.append({ type: removed ? "remove" : "action-failed", group: group.id, groupName: chat.name, author: digits, authorId: memberId, rule: { kind: "ban", term: "ban:rejoin" }, trigger: adder ? `added-by:${adder}` : "invite", outcome: removed ? "removed" : "removal-needed", detail: describeBan(ban) });
+
+  const contact = await mentionContact(memberId);
+  await chat.sendMessage(removed
+    ? `⛔ ${atMention(memberId)} is banned from this group and has been removed again.`
+    : `⚠️ ${atMention(memberId)} is banned from this group, but I can't remove them (I'm not an admin). Please remove them manually.`, { mentions: contact ? [contact] : [] }).catch(() => {});
+  if (adder) {
+    const text = `⛔ You added ${digits} to "${chat.name}", but they are banned there: ${describeBan(ban)}. ${removed ? "I've removed them again." : "Please remove them."} Ask a moderator to "!unban" them first if this was intended.`;
+    await client.sendMessage(addedBy, text).catch(e => warn(`Failed to tell ${adder} about the ban:`, e?.message || e));
+  }
+  return true;
+}
+
+client.on('group_join', async notification => {
+  const done = stats.handlerSeconds.startTimer({ handler: "group_join" });
+  try {
+    const chat = await notification.getChat();
+    const group = groupConfig.forChat(chat);
+    if (!group || !group.enabled || !isModerationActive(group)) return;
+    // banned members are removed before anything else and don't count towards a raid
+    const joined = [];
+    if (notification.author) await identity.resolve(notification.author);
+    for (const memberId of notification.recipientIds || []) {
+      await identity.resolve(memberId);
+      if (identity.same(notification.author, myId) || !(await enforceBanOnJoin(chat, group, memberId, notification.author))) joined.push(memberId);
+    }
+    if (!joined.length) return;
+    const trigger = raidDetector.recordJoin(group.raid, group.id, joined);
+    if (trigger) await startLockdown(chat, group, trigger);
+    if (raidLock(group.id)) {
+      // no welcomes during a raid; joiners are removed straight away if the group asks for it
+      if (group.raid.removeJoiners) await removeRaidJoiners(chat, group, joined);
+      return;
+    }
+    for (const memberId of joined) await welcomeMember(chat, group, memberId);
+    await plugins.join(group, { chat, memberIds: joined, addedBy: notification.author || null });
+  } catch (e) {
+    warn("Failed to handle group join:", e?.message || e);
+  } finally {
+    done();
+  }
+});
+
+client.on('group_leave', async notification => {
+  const done = stats.handlerSeconds.startTimer({ handler: "group_leave" });
+  try {
+    for (const memberId of notification.recipientIds || []) clearPending(notification.chatId, (await identity.resolve(memberId)).key);
+    const group = groupConfig.get(notification.chatId);
+    if (!group || !group.enabled || !isModerationActive(group)) return;
+    await plugins.leave(group, { chat: await notification.getChat(), memberIds: notification.recipientIds || [], removedBy: notification.author || null });
+  } catch (e) {
+    warn("Failed to handle group leave:", e?.message || e);
+  } finally {
+    done();
+  }
+});
+
+// ---------- Raid protection (see lib/raid.js) ----------
+// While a group is locked: admins-only messaging, no new strikes or warnings, no
+// welcomes. The lock is kept in the state file until a moderator sends "!unlock".
+
+function raidLock(groupId) {
+  return stateStore.data.raids[groupId] || null;
+}
+
+// Moderators and owners to DM, as WhatsApp ids
+function staffContacts(group) {
+  return Array.from(new Set((group.roles.owner || []).concat(group.roles.moderator || []))).map(n => `${n}@c.us`);
+}
+
+async function removeRaidJoiners(chat, group, memberIds) {
+  if (!(await isBotAdminIn(chat))) return 0;
+  let removed = 0;
+  for (const id of memberIds) {
+    if (identity.same(id, myId) || atLeast(configuredRole(group, identity.phoneOf(id)), "exempt")) continue;
+    try {
+      await removeParticipants(chat, [id]);
+      removed++;
+      clearPending(group.id, memberKey(id));
+      audit.append({ type: "remove", group: group.id, groupName: chat.name, author: memberKey(id), authorId: id, rule: { kind: "raid", term: "raid:joiner" }, outcome: "removed" });
+    } catch (e) {
+      warn(`Failed to remove raid joiner ${id}:`, e?.message || e);
+    }
+  }
+  return removed;
+}
+
+async function startLockdown(chat, group, trigger) {
+  if (raidLock(group.id)) return;
+  stateStore.data.raids[group.id] = { since: new Date().toISOString(), reason: trigger.reason, joiners: trigger.joiners };
+  stateStore.save();
+  warn(`Raid detected in "${chat.name}" (${trigger.reason}) — locking the group.`);
+
+  const amAdmin = await isBotAdminIn(chat);
+  let locked = false;
+  if (amAdmin) {
+    try { await chat.setMessagesAdminsOnly(true); locked = true; } catch (e) { warn("Failed to switch group to admins-only:", e?.message || e); }
+  }
+  const removed = group.raid.removeJoiners ? await removeRaidJoiners(chat, group, trigger.joiners) : 0;
+  audit.append({ type: "lockdown", group: group.id, groupName: chat.name, rule: { kind: "raid", term: "raid", match: trigger.reason }, outcome: locked ? "admins-only" : "not-admin", detail: removed ? `removed ${removed} joiner(s)` : undefined });
+
+  await chat.sendMessage([
+    `🚨 Raid protection: ${trigger.reason}.`,
+    locked ? "The group is now admins-only and warnings are paused." : "I couldn't lock the group (I'm not an admin) — warnings are paused.",
+    removed ? `Removed ${removed} account(s) that joined during the burst.` : "",
+    'Moderators: send "!unlock" once it\'s over.'
+  ].filter(Boolean).join("\n")).catch(() => {});
+
+  if (group.raid.notifyAdmins) {
+    const text = `🚨 Raid detected in "${chat.name}": ${trigger.reason}. ${locked ? "Group locked to admins-only." : "Could not lock the group (bot is not admin)."} Send "!unlock" in the group to restore it.`;
+    for (const id of staffContacts(group)) {
+      await client.sendMessage(id, text).catch(e => warn(`Failed to DM ${id} about the raid:`, e?.message || e));
+    }
+  }
+}
+
+// ---------- Rule violations ----------
+// Which notification template a first-rung warning uses, per rule kind
+const WARNING_TEMPLATES = { "banned-word": "warning", spam: "spam", link: "link", media: "media", manual: "manualWarning", report: "manualWarning" };
+
+// Shared by every rule (banned words, spam, links, media): capture evidence, delete, record a
+// weighted strike and run the group's escalation ladder. With strike: false the
+// message is only deleted (e.g. the rest of a flood that already cost a strike).
+// For edits, "body" is the edited text and "previous" what it said before; "trigger"
+// is set when a moderator asked for it (e.g. "!warn" as a reply).
+async function enforceViolation(message, chat, group, rule, { weight = 1, strike = true, reason = "", body = (message.body || "").trim(), previous = [], trigger } = {}) {
+  const offenderId = message.author || message.from;
+  const offenderDigits = memberKey(offenderId);
+  stats.violations.inc({ rule: rule.kind, group: group.id });
+
+  // Per-group admin check (refresh participants)
+  let amAdmin = false;
+  try { amAdmin = await isBotAdminIn(chat); } catch (e) { warn("Could not determine admin status:", e?.message || e); }
+
+  // Evidence first — once deleted the content can't be fetched again
+  const auditBase = {
+    group: group.id,
+    groupName: chat.name,
+    author: offenderDigits,
+    authorId: offenderId,
+    messageId: message.id?._serialized || null,
+    body,
+    media: await audit.captureEvidence(message),
+    rule,
+    trigger,
+    previousBodies: previous.length ? previous : undefined
+  };
+
+  const deleted = await deleteOffendingMessage(message, chat, amAdmin);
+  audit.append(Object.assign({}, auditBase, { type: deleted === "none" ? "action-failed" : "delete", outcome: deleted }));
+
+  // A burst of violations from several members is a raid: lock down instead of warning
+  // people one by one (deletions without a strike, like the rest of a flood, don't count)
+  const raid = strike ? raidDetector.recordViolation(group.raid, group.id, offenderDigits) : null;
+  if (raid) await startLockdown(chat, group, raid);
+  if (!strike || raidLock(group.id)) return;
+
+  await escalate(chat, group, offenderId, rule, { weight, reason, auditBase, amAdmin, deleted });
+}
+
+// Record a weighted strike and run the group's escalation ladder. auditBase is what
+// every audit entry for this offence carries (evidence, rule, trigger).
+async function escalate(chat, group, offenderId, rule, { weight = 1, reason = "", auditBase, amAdmin, deleted = "none" }) {
+  const offenderDigits = memberKey(offenderId);
+
+  // Record the offence (member key); only active strikes in this group count
+  const offence = addOffence(warnings, offenderDigits, {
+    group: group.id,
+    groupName: chat.name,
+    term: rule.term,
+    weight,
+    action: "deleted",
+    deleted,
+    messageId: auditBase.messageId || null
+  });
+  const strikes = activeStrikes(warnings, offenderDigits, group.id, group.warningExpiryMs);
+  const step = pickStep(group.escalation, strikes);
+  if (step) offence.step = { strike: step.strike, action: step.action };
+  try { await saveWarnings(); } catch (e) { warn("Failed to persist warnings (will continue in-memory):", e?.message || e); }
+  if (!step) return;
+
+  log(`Escalation step ${step.strike} (${step.action}) for ${offenderDigits} in "${chat.name}" at ${strikes} strike(s).`);
+  const vars = { group: chat.name, count: strikes, threshold: removalStrike(group.escalation) || group.warningsThreshold, user: offenderDigits, duration: formatDuration(step.durationMs || step.readdAfterMs), reason };
+
+  if (step.action === "warn") {
+    offence.action = "warned";
+    await notifyOffender(chat, offenderId, formatNotification(group.notifications[WARNING_TEMPLATES[rule.kind] || "warning"], vars));
+    audit.append(Object.assign({}, auditBase, { type: "warn", outcome: `strike ${strikes}` }));
+  } else if (step.action === "mute") {
+    offence.action = "muted";
+    muteMember(group.id, offenderDigits, step.durationMs, { reason: `strike ${strikes}` });
+    await notifyOffender(chat, offenderId, formatNotification(group.notifications.mute, vars));
+    audit.append(Object.assign({}, auditBase, { type: "mute", outcome: `strike ${strikes}`, detail: `muted for ${vars.duration}` }));
+  } else {
+    const result = await removeOffender(chat, offenderId, strikes, amAdmin);
+    if (result === "removed") {
+      offence.action = step.action === "ban" ? "banned" : "removed";
+      spamDetector.reset(group.id, offenderDigits);
+      // removals are banned until the re-add (or "banFor"), so nobody can add them straight back
+      const banMs = (step.action === "remove" && step.readdAfterMs) || step.banForMs;
+      recordBan(group.id, offenderId, offenderDigits, { reason: `strike ${strikes}`, untilMs: banMs ? Date.now() + banMs : 0 });
+      if (step.action === "remove" && step.readdAfterMs) scheduleReadd(group.id, offenderId, step.readdAfterMs);
+      const template = step.action === "ban" ? group.notifications.ban : (step.readdAfterMs ? group.notifications.tempRemoval : group.notifications.removal);
+      await chat.sendMessage(formatNotification(template, vars)).catch(() => {});
+      audit.append(Object.assign({}, auditBase, { type: step.action, outcome: `strike ${strikes}`, detail: step.readdAfterMs && step.action === "remove" ? `re-add in ${vars.duration}` : undefined }));
     } else {
-      // Not admin — attempt delete for me (best-effort) and notify group
-      try { await message.delete(); log("Deleted message for me (bot not admin)."); } catch (e) { /* ignore */ }
-      try { await chat.sendMessage("⚠️ I detected banned content but I couldn't delete it for everyone in this group. Please set me as group admin to allow moderation actions.").catch(()=>{}); } catch {}
+      offence.action = result === "failed" ? "removal-failed" : "removal-needed";
+      audit.append(Object.assign({}, auditBase, { type: "action-failed", outcome: offence.action, detail: `${step.action} at strike ${strikes}` }));
     }
+  }
+
+  // The top rung resets the ladder once it has fired
+  if (isFinalStep(group.escalation, step) && offence.action !== "removal-failed" && offence.action !== "removal-needed") {
+    clearOffences(warnings, offenderDigits, group.id, offence.action);
+  }
+  try { await saveWarnings(); } catch (e) { warn("Failed to persist warnings (will continue in-memory):", e?.message || e); }
+}
+
+// ---------- Member reports (see lib/reports.js) ----------
+// reports[groupId] = { next, open: { n: report }, reporters: { digits: record } }. A report
+// is one reported message with everyone who reported it; resolved reports leave the
+// queue and live on in the audit log.
+
+function reportState(groupId) {
+  const all = stateStore.data.reports;
+  if (!all[groupId]) all[groupId] = { next: 1, open: {}, reporters: {} };
+  return all[groupId];
+}
+
+function reporterRecord(groupId, digits) {
+  const state = reportState(groupId);
+  if (!state.reporters[digits]) state.reporters[digits] = newReporterRecord();
+  return state.reporters[digits];
+}
+
+// The moderator who reviews a report: moderators take turns, owners if there are none
+function reviewerFor(group, reportId) {
+  const pool = (group.roles.moderator || []).length ? group.roles.moderator : (group.roles.owner || []);
+  return pool.length ? `${pool[reportId % pool.length]}@c.us` : null;
+}
+
+async function notifyReviewer(group, report, text, quoted) {
+  const reviewer = reviewerFor(group, report.id);
+  if (!reviewer) return;
+  try {
+    await client.sendMessage(reviewer, text);
+    if (quoted && quoted.hasMedia) await quoted.forward(reviewer);
+  } catch (e) {
+    warn(`Failed to DM report #${report.id} to ${reviewer}:`, e?.message || e);
+  }
+}
+
+function reportSummary(report) {
+  const reasons = report.reporters.map(r => r.reason).filter(Boolean);
+  return `#${report.id} — ${report.author}: "${(report.body || (report.hasMedia ? "[media]" : "")).slice(0, 200)}" (${report.reporters.length} report(s)${reasons.length ? `: ${reasons.join("; ")}` : ""})${report.hidden ? " [hidden]" : ""}`;
+}
+
+// The reported message can only be acted on while WhatsApp still has it
+async function reportedMessage(report) {
+  if (!report.messageId) return null;
+  try { return await client.getMessageById(report.messageId); } catch (e) { return null; }
+}
+
+// ---------- Chat commands (see lib/commands.js) ----------
+// "!help" lists what the sender may run. The old unprefixed phrases ("start moderation",
+// "check warnings <n>", "audit") still work as legacy aliases.
+const commands = createCommandRegistry({
+  prefix: "!",
+  identify: async id => ({ id, digits: (await identity.resolve(id)).key })
+});
+
+// Record an admin command in the audit log
+function auditCommand(chat, senderDigits, body, outcome) {
+  return audit.append({ type: "command", group: chat.id._serialized, groupName: chat.name, author: senderDigits, body, trigger: `admin:${senderDigits}`, outcome });
+}
+
+// Every admin command is audited before it runs
+function registerCommand(def) {
+  const run = def.run;
+  commands.register(Object.assign({}, def, {
+    run: async (ctx, args) => {
+      if (def.permission !== "everyone") auditCommand(ctx.chat, ctx.senderDigits, ctx.message.body);
+      return run(ctx, args);
+    }
+  }));
+}
+
+registerCommand({
+  name: "help",
+  args: [{ name: "command", type: "text", optional: true }],
+  permission: "everyone",
+  description: "List the commands you can use",
+  run: async (ctx, args) => ctx.reply(await commands.helpText(ctx, args.command))
+});
+
+registerCommand({
+  name: "mod register",
+  aliases: ["register"],
+  permission: "owner",
+  scope: "any",
+  description: "Start moderating this group",
+  run: async (ctx) => {
+    try {
+      const added = await groupConfig.register(ctx.chat);
+      await ctx.chat.sendMessage(added ? `✅ Registered "${ctx.chat.name}" for moderation.` : "This group is already registered.").catch(() => {});
+    } catch (e) {
+      warn("Failed to update group registry:", e?.message || e);
+      await ctx.chat.sendMessage("⚠️ I couldn't save the group registry. Please try again.").catch(() => {});
+    }
+  }
+});
+
+registerCommand({
+  name: "mod unregister",
+  aliases: ["unregister"],
+  permission: "owner",
+  scope: "any",
+  description: "Stop moderating this group and forget it",
+  run: async (ctx) => {
+    try {
+      const removed = await groupConfig.unregister(ctx.chat);
+      delete configStore.data[ctx.chat.id._serialized];
+      configStore.save();
+      await ctx.chat.sendMessage(removed ? `⛔ Unregistered "${ctx.chat.name}" — I will no longer moderate it.` : "This group is not registered.").catch(() => {});
+    } catch (e) {
+      warn("Failed to update group registry:", e?.message || e);
+      await ctx.chat.sendMessage("⚠️ I couldn't save the group registry. Please try again.").catch(() => {});
+    }
+  }
+});
+
+registerCommand({
+  name: "mod on",
+  aliases: ["modon", "start"],
+  legacy: ["start moderation", "startmod", "start moderation now", "start", "enable moderation", "enable"],
+  description: "Turn moderation on in this group",
+  run: async (ctx) => {
+    setModerationActive(ctx.group.id, true);
+    await ctx.reply("✅ Moderation started.");
+    log(`Moderation started in "${ctx.group.name}" by ${ctx.senderDigits}`);
+  }
+});
+
+registerCommand({
+  name: "mod off",
+  aliases: ["modoff", "stop"],
+  legacy: ["stop moderation", "stopmod", "stop", "disable moderation", "disable"],
+  description: "Turn moderation off in this group",
+  run: async (ctx) => {
+    setModerationActive(ctx.group.id, false);
+    await ctx.reply("⛔ Moderation stopped.");
+    log(`Moderation stopped in "${ctx.group.name}" by ${ctx.senderDigits}`);
+  }
+});
+
+registerCommand({
+  name: "checkadmin",
+  legacy: ["check admin"],
+  permission: "helper",
+  description: "Check whether the bot is a group admin here",
+  run: async (ctx) => {
+    const am = await isBotAdminIn(ctx.chat);
+    await ctx.reply(`Bot admin in this group: ${am ? "Yes" : "No"}`);
+  }
+});
+
+registerCommand({
+  name: "warnings",
+  aliases: ["warns"],
+  legacy: ["check warnings"],
+  args: [{ name: "user", type: "user" }],
+  permission: "helper",
+  description: "Show a member's strikes and offence history",
+  run: async (ctx, { user }) => {
+    const group = ctx.group;
+    const active = activeStrikes(warnings, user.digits, group.id, group.warningExpiryMs);
+    const history = formatHistory(warnings[user.digits], group.id, group.warningExpiryMs);
+    await ctx.reply(`Warnings for ${user.digits}: ${active}/${removalStrike(group.escalation) || group.warningsThreshold} active strike(s) in this group\n${history}`);
+  }
+});
 
-    // Increment warning count using digits-only key
-    warnings[offenderDigits] = (warnings[offenderDigits] || 0) + 1;
+registerCommand({
+  name: "resetwarnings",
+  legacy: ["reset warnings"],
+  args: [{ name: "user", type: "user" }],
+  description: "Clear a member's active strikes (history is kept)",
+  run: async (ctx, { user }) => {
+    clearOffences(warnings, user.digits, ctx.group.id, `reset by ${ctx.senderDigits}`);
+    await saveWarnings();
+    await ctx.reply(`Warnings for ${user.digits} reset to 0 (history kept).`);
+  }
+});
+
+// Staff and the bot itself can't be muted, kicked or banned by command
+async function refuseStaffTarget(ctx, user, action) {
+  if (identity.same(user.id, myId)) { await ctx.reply(`⚠️ I can't ${action} myself.`); return true; }
+  if (atLeast(configuredRole(ctx.group, identity.phoneOf(user.id)), "helper")) { await ctx.reply(`⚠️ ${user.digits} has a staff role here — remove their role before you ${action} them.`); return true; }
+  return false;
+}
+
+// Moderator actions sent as a reply also take down the message replied to (evidence
+// is captured first, like for automatic deletions)
+function deleteQuoted(ctx, user, action, reason) {
+  if (!user.quoted) return null;
+  return deleteSilently(user.quoted, ctx.chat, ctx.group, { kind: "manual", term: `manual:${action}`, match: reason || undefined }, { trigger: `admin:${ctx.senderDigits}` });
+}
+
+// Take a member out of the group. Returns "removed" | "absent" | "not-admin" | "failed".
+async function removeMember(chat, user) {
+  // the chat a message came with can be behind on joins and leaves
+  const fresh = await refreshChatParticipants(chat);
+  const present = (fresh.participants || []).some(p => p.id?._serialized === user.id || memberKey(p.id?._serialized) === user.digits);
+  if (!present) return "absent";
+  if (!(await isBotAdminIn(chat))) return "not-admin";
+  try {
+    await removeParticipants(chat, [user.id]);
+    return "removed";
+  } catch (e) {
+    warn(`Failed to remove ${user.digits}:`, e?.message || e);
+    return "failed";
+  }
+}
+
+registerCommand({
+  name: "del",
+  aliases: ["delete"],
+  args: [{ name: "message", type: "quoted" }],
+  permission: "helper",
+  description: "Delete the message you reply to",
+  run: async (ctx, { message }) => {
+    const outcome = await deleteSilently(message, ctx.chat, ctx.group, { kind: "manual", term: "manual:del" }, { trigger: `admin:${ctx.senderDigits}` });
+    if (outcome === "none") await ctx.reply("⚠️ I couldn't delete that message (am I an admin?).");
+  }
+});
+
+registerCommand({
+  name: "warn",
+  args: [{ name: "user", type: "user" }, { name: "reason", type: "text", optional: true }],
+  description: "Give a member a strike (as a reply, the message is deleted too)",
+  run: async (ctx, { user, reason }) => {
+    if (await refuseStaffTarget(ctx, user, "warn")) return;
+    const rule = { kind: "manual", term: "manual:warn", match: reason || undefined };
+    const trigger = `admin:${ctx.senderDigits}`;
+    if (user.quoted) {
+      await enforceViolation(user.quoted, ctx.chat, ctx.group, rule, { reason: reason || "no reason given", trigger });
+    } else {
+      const auditBase = { group: ctx.group.id, groupName: ctx.chat.name, author: user.digits, authorId: user.id, rule, trigger };
+      await escalate(ctx.chat, ctx.group, user.id, rule, { reason: reason || "no reason given", auditBase, amAdmin: await isBotAdminIn(ctx.chat) });
+    }
+    const strikes = activeStrikes(warnings, user.digits, ctx.group.id, ctx.group.warningExpiryMs);
+    await ctx.reply(`⚠️ Warned ${user.digits} — ${strikes}/${removalStrike(ctx.group.escalation) || ctx.group.warningsThreshold} active strike(s).`);
+  }
+});
+
+registerCommand({
+  name: "kick",
+  args: [{ name: "user", type: "user" }, { name: "reason", type: "text", optional: true }],
+  description: "Remove a member (they can be added back)",
+  run: async (ctx, { user, reason }) => {
+    if (await refuseStaffTarget(ctx, user, "kick")) return;
+    await deleteQuoted(ctx, user, "kick", reason);
+    const result = await removeMember(ctx.chat, user);
+    if (result === "removed") { spamDetector.reset(ctx.group.id, user.digits); clearPending(ctx.group.id, user.digits); }
+    audit.append({ type: result === "removed" ? "remove" : "action-failed", group: ctx.group.id, groupName: ctx.chat.name, author: user.digits, authorId: user.id, rule: { kind: "manual", term: "manual:kick", match: reason || undefined }, trigger: `admin:${ctx.senderDigits}`, outcome: result });
+    if (result === "removed") await ctx.reply(`👢 Removed ${user.digits}.`);
+    else if (result === "absent") await ctx.reply(`${user.digits} isn't in this group.`);
+    else await ctx.reply(`⚠️ I couldn't remove ${user.digits} (am I an admin?). Please remove them manually.`);
+  }
+});
+
+registerCommand({
+  name: "mute",
+  args: [{ name: "user", type: "user" }, { name: "duration", type: "duration" }, { name: "reason", type: "text", optional: true }],
+  description: "Delete everything a member sends here for a while",
+  run: async (ctx, { user, duration, reason }) => {
+    if (await refuseStaffTarget(ctx, user, "mute")) return;
+    await deleteQuoted(ctx, user, "mute", reason);
+    muteMember(ctx.group.id, user.digits, duration, { reason: reason || "", by: ctx.senderDigits });
+    const vars = { group: ctx.chat.name, user: user.digits, duration: formatDuration(duration), reason: reason ? ` (${reason})` : "" };
+    await notifyOffender(ctx.chat, user.id, formatNotification(ctx.group.notifications.manualMute, vars));
+    audit.append({ type: "mute", group: ctx.group.id, groupName: ctx.chat.name, author: user.digits, authorId: user.id, trigger: `admin:${ctx.senderDigits}`, outcome: `muted for ${vars.duration}`, detail: reason || undefined });
+    await ctx.reply(`🔇 ${user.digits} is muted for ${vars.duration}.`);
+  }
+});
+
+registerCommand({
+  name: "unmute",
+  args: [{ name: "user", type: "user" }],
+  description: "Lift a member's mute",
+  run: async (ctx, { user }) => {
+    if (!unmuteMember(ctx.group.id, user.digits)) { await ctx.reply(`${user.digits} isn't muted here.`); return; }
+    await ctx.reply(`🔊 ${user.digits} is no longer muted.`);
+  }
+});
+
+registerCommand({
+  name: "slowmode",
+  aliases: ["slow"],
+  args: [{ name: "user", type: "user", optional: true }, { name: "limit", type: "word", optional: true }],
+  description: 'Limit the group (or one member) to one message per interval, e.g. "!slowmode 60s" or "!slowmode off"',
+  run: async (ctx, { user, limit }) => {
+    const digits = user ? user.digits : null;
+    const who = user ? user.digits : "this group";
+    if (!limit) { await ctx.reply(`🐢 Slow mode for ${who}: ${describeSlowMode(slowModeLimit(ctx.group, digits || ""))}.`); return; }
+    let next = null;
+    if (limit.toLowerCase() !== "off") {
+      const ms = parseDuration(limit);
+      if (!ms) { await ctx.reply("⚠️ That's not a duration (try 30s, 1m or 5m) or \"off\"."); return; }
+      next = { messages: 1, seconds: ms / 1000 };
+    }
+    if (user && next && await refuseStaffTarget(ctx, user, "slow down")) return;
+    setSlowMode(ctx.group.id, digits, next);
+    audit.append({ type: "slow-mode", group: ctx.group.id, groupName: ctx.chat.name, author: digits || undefined, authorId: user ? user.id : undefined, trigger: `admin:${ctx.senderDigits}`, outcome: describeSlowMode(next) });
+    await ctx.reply(`🐢 Slow mode for ${who}: ${describeSlowMode(slowModeLimit(ctx.group, digits || ""))}.`);
+  }
+});
+
+registerCommand({
+  name: "ban",
+  args: [{ name: "user", type: "user" }, { name: "duration", type: "duration", optional: true }, { name: "reason", type: "text", optional: true }],
+  description: "Remove a member and keep them out (optionally for a while)",
+  run: async (ctx, { user, duration, reason }) => {
+    const group = ctx.group;
+    if (await refuseStaffTarget(ctx, user, "ban")) return;
+    recordBan(group.id, user.id, user.digits, { reason: reason || null, untilMs: duration ? Date.now() + duration : 0, by: ctx.senderDigits });
+    // a pending re-add from an earlier temporary removal would undo the ban
+    stateStore.data.readds = stateStore.data.readds.filter(r => !(r.group === group.id && memberKey(r.id) === user.digits));
+    stateStore.save();
+
+    await deleteQuoted(ctx, user, "ban", reason);
+    const result = await removeMember(ctx.chat, user);
+    const removed = result === "removed";
+    clearOffences(warnings, user.digits, group.id, "banned");
     try { await saveWarnings(); } catch (e) { warn("Failed to persist warnings (will continue in-memory):", e?.message || e); }
+    spamDetector.reset(group.id, user.digits);
+    clearPending(group.id, user.digits);
+    audit.append({ type: "ban", group: group.id, groupName: ctx.chat.name, author: user.digits, authorId: user.id, trigger: `admin:${ctx.senderDigits}`, outcome: removed ? "removed" : (result === "absent" ? "listed" : "removal-needed"), detail: describeBan(activeBan(group.id, user.digits)) });
+
+    const how = duration ? `for ${formatDuration(duration)}` : "permanently";
+    if (removed || result === "absent") await ctx.reply(`⛔ ${user.digits} is banned ${how}${removed ? " and has been removed" : ""}. They'll be removed again if they rejoin.`);
+    else await ctx.reply(`⛔ ${user.digits} is banned ${how}, but I couldn't remove them (am I an admin?). Please remove them manually.`);
+  }
+});
+
+registerCommand({
+  name: "unban",
+  args: [{ name: "user", type: "user" }],
+  description: "Lift a member's ban so they can be added back",
+  run: async (ctx, { user }) => {
+    if (!liftBan(ctx.group.id, user.digits)) { await ctx.reply(`${user.digits} isn't banned here.`); return; }
+    await ctx.reply(`✅ ${user.digits} is no longer banned — they can be added back.`);
+  }
+});
+
+registerCommand({
+  name: "banlist",
+  aliases: ["bans"],
+  permission: "helper",
+  description: "List the members banned from this group",
+  run: async (ctx) => {
+    const digits = Object.keys(stateStore.data.bans[ctx.group.id] || {});
+    const lines = digits.map(d => {
+      const ban = activeBan(ctx.group.id, d);
+      return ban ? `• ${d} — ${describeBan(ban)}${ban.by ? `, by ${ban.by}` : ""}` : null;
+    }).filter(Boolean);
+    await ctx.reply(lines.length ? `⛔ Banned here (${lines.length}):\n${lines.join("\n")}` : "Nobody is banned here.");
+  }
+});
+
+registerCommand({
+  name: "report",
+  args: [{ name: "message", type: "quoted" }, { name: "reason", type: "text", optional: true }],
+  permission: "everyone",
+  description: "Report the message you reply to; moderators review it privately",
+  run: async (ctx, { message, reason }) => {
+    const group = ctx.group;
+    const config = group.reports;
+    const dm = text => client.sendMessage(ctx.senderId, text).catch(() => {});
+    if (!config.enabled) { await ctx.reply("Reporting is turned off in this group."); return; }
+    const authorId = message.author || message.from;
+    const author = (await identity.resolve(authorId)).key;
+    if (identity.same(authorId, myId) || author === ctx.senderDigits) { await ctx.reply("⚠️ You can't report that message."); return; }
+
+    const record = reporterRecord(group.id, ctx.senderDigits);
+    const refusal = reportRefusal(config, record);
+    if (refusal) { await dm(`⚠️ You can't report in "${ctx.chat.name}" right now (${refusal.reason}). Try again in ${formatDuration(refusal.until - Date.now())}.`); return; }
+    const state = reportState(group.id);
+    const messageId = message.id?._serialized || null;
+    let report = Object.values(state.open).find(r => r.messageId && r.messageId === messageId);
+    if (report && report.reporters.some(r => r.digits === ctx.senderDigits)) { await dm(`You've already reported that message (#${report.id}).`); return; }
+
+    recordFiled(record);
+    const isNew = !report;
+    if (isNew) {
+      report = { id: state.next++, messageId, author, authorId, body: (message.body || "").trim(), hasMedia: !!message.hasMedia, at: new Date().toISOString(), reporters: [], hidden: false };
+      state.open[report.id] = report;
+    }
+    report.reporters.push({ digits: ctx.senderDigits, reason: reason || "", at: new Date().toISOString() });
+    stateStore.save();
+    const rule = { kind: "report", term: `report:#${report.id}`, match: reason || undefined };
+    audit.append({ type: "report", group: group.id, groupName: ctx.chat.name, author, authorId, messageId, body: report.body, rule, trigger: `member:${ctx.senderDigits}`, outcome: isNew ? "opened" : `${report.reporters.length} reporters` });
+
+    // Enough distinct reporters: hide it until a moderator has looked (staff messages stay up)
+    let hiddenNow = false;
+    if (!report.hidden && config.hideAfter && report.reporters.length >= config.hideAfter && !atLeast(await roleOf(group, ctx.chat, authorId), "exempt")) {
+      hiddenNow = (await deleteSilently(message, ctx.chat, group, Object.assign({}, rule, { match: `${report.reporters.length} reporters` }), { trigger: "reports" })) !== "none";
+      report.hidden = hiddenNow;
+      stateStore.save();
+    }
+    if (isNew) await notifyReviewer(group, report, `🚩 New report in "${ctx.chat.name}":\n${reportSummary(report)}\nSend "!accept ${report.id}" or "!dismiss ${report.id}" in the group.`, message);
+    else if (hiddenNow) await notifyReviewer(group, report, `🚩 Report #${report.id} in "${ctx.chat.name}" has ${report.reporters.length} reporters — the message was hidden pending review.`);
+
+    // Keep the reporter anonymous: take the "!report" down and acknowledge privately
+    if (await isBotAdminIn(ctx.chat)) await deleteMessage(ctx.message, true).catch(() => {});
+    await dm(`✅ Thanks — your report (#${report.id}) was sent to the moderators of "${ctx.chat.name}".`);
+  }
+});
 
-    // Notify offender privately (best-effort)
-    const warnCount = warnings[offenderDigits];
-    const warnTextPrivate = `You have received a warning for using banned language in "${chat.name}". Warning ${warnCount}/${WARNINGS_THRESHOLD}. Please follow group rules.`;
+registerCommand({
+  name: "reports",
+  permission: "helper",
+  description: "List open member reports",
+  run: async (ctx) => {
+    const open = Object.values(reportState(ctx.group.id).open);
+    await ctx.reply(open.length ? `🚩 Open reports (${open.length}):\n${open.map(reportSummary).join("\n")}` : "No open reports.");
+  }
+});
+
+registerCommand({
+  name: "accept",
+  args: [{ name: "report", type: "number" }],
+  description: "Accept a member report: the message is deleted and its author gets a strike",
+  run: async (ctx, { report: id }) => {
+    const group = ctx.group;
+    const state = reportState(group.id);
+    const report = state.open[id];
+    if (!report) { await ctx.reply(`There's no open report #${id}.`); return; }
+    delete state.open[id];
+    stateStore.save();
+    const reasons = report.reporters.map(r => r.reason).filter(Boolean).join("; ");
+    const rule = { kind: "report", term: `report:#${id}`, match: reasons || undefined };
+    const trigger = `admin:${ctx.senderDigits}`;
+    const message = report.hidden ? null : await reportedMessage(report);
+    if (message) {
+      await enforceViolation(message, ctx.chat, group, rule, { reason: reasons || "reported by members", trigger });
+    } else {
+      const auditBase = { group: group.id, groupName: ctx.chat.name, author: report.author, authorId: report.authorId, messageId: report.messageId, body: report.body, rule, trigger };
+      await escalate(ctx.chat, group, report.authorId, rule, { reason: reasons || "reported by members", auditBase, amAdmin: await isBotAdminIn(ctx.chat), deleted: report.hidden ? "everyone" : "none" });
+    }
+    audit.append({ type: "report", group: group.id, groupName: ctx.chat.name, author: report.author, authorId: report.authorId, messageId: report.messageId, rule, trigger, outcome: "accepted" });
+    await ctx.reply(`✅ Report #${id} accepted — ${report.author} has been given a strike.`);
+  }
+});
+
+registerCommand({
+  name: "dismiss",
+  args: [{ name: "report", type: "number" }],
+  description: "Dismiss a member report; members with too many dismissed reports are paused",
+  run: async (ctx, { report: id }) => {
+    const group = ctx.group;
+    const state = reportState(group.id);
+    const report = state.open[id];
+    if (!report) { await ctx.reply(`There's no open report #${id}.`); return; }
+    delete state.open[id];
+    const paused = report.reporters.filter(r => recordDismissal(group.reports, reporterRecord(group.id, r.digits))).map(r => r.digits);
+    stateStore.save();
+    audit.append({ type: "report", group: group.id, groupName: ctx.chat.name, author: report.author, authorId: report.authorId, messageId: report.messageId, rule: { kind: "report", term: `report:#${id}` }, trigger: `admin:${ctx.senderDigits}`, outcome: "dismissed", detail: paused.length ? `reporting paused for ${paused.join(", ")}` : undefined });
+    await ctx.reply([
+      `Report #${id} dismissed.`,
+      report.hidden ? "The message was already hidden and can't be restored." : "",
+      paused.length ? `Reporting paused for ${formatDuration(group.reports.blockForMs)}: ${paused.join(", ")}.` : ""
+    ].filter(Boolean).join(" "));
+  }
+});
+
+registerCommand({
+  name: "blockmedia",
+  aliases: ["blocksticker"],
+  args: [{ name: "media", type: "quoted" }],
+  description: "Delete a sticker/image and every later copy of it",
+  run: async (ctx, { media }) => {
+    if (!media.hasMedia) { await ctx.reply("⚠️ That message has no sticker or image to block."); return; }
+    const hash = await mediaHash(media);
+    if (!hash) { await ctx.reply("⚠️ I couldn't read that media — try again once it has loaded."); return; }
+    setMediaBlocked(ctx.group.id, hash, { type: mediaInfo(media)?.type || media.type, by: ctx.senderDigits, at: new Date().toISOString(), messageId: media.id?._serialized || null });
+    const removed = (await isBotAdminIn(ctx.chat)) && (await deleteMessage(media, true).then(() => true).catch(() => false));
+    await ctx.reply(`🚫 Blocked${removed ? " and deleted" : ""} — copies sent here from now on are removed automatically.`);
+  }
+});
+
+registerCommand({
+  name: "unblockmedia",
+  aliases: ["unblocksticker"],
+  args: [{ name: "media", type: "quoted" }],
+  description: "Allow a previously blocked sticker/image again",
+  run: async (ctx, { media }) => {
+    const hash = media.hasMedia ? await mediaHash(media) : null;
+    if (!blockedMediaEntry(ctx.group.id, hash)) { await ctx.reply("That sticker/image isn't blocked here."); return; }
+    setMediaBlocked(ctx.group.id, hash, null);
+    await ctx.reply("✅ Unblocked.");
+  }
+});
+
+registerCommand({
+  name: "verify",
+  args: [{ name: "user", type: "user" }],
+  description: "Verify a new member by hand",
+  run: async (ctx, { user }) => {
+    if (!(await verifyMember(ctx.chat, ctx.group, user.id, `admin:${ctx.senderDigits}`))) await ctx.reply(`${user.digits} isn't waiting for verification.`);
+  }
+});
+
+registerCommand({
+  name: "unlock",
+  description: "End a raid lockdown: reopen the group and resume warnings",
+  run: async (ctx) => {
+    const lock = raidLock(ctx.group.id);
+    let reopened = false;
+    if (await isBotAdminIn(ctx.chat)) {
+      try { await ctx.chat.setMessagesAdminsOnly(false); reopened = true; } catch (e) { warn("Failed to reopen group:", e?.message || e); }
+    }
+    delete stateStore.data.raids[ctx.group.id];
+    stateStore.save();
+    raidDetector.reset(ctx.group.id);
+    audit.append({ type: "unlock", group: ctx.group.id, groupName: ctx.chat.name, trigger: `admin:${ctx.senderDigits}`, outcome: reopened ? "reopened" : "not-admin", detail: lock ? `locked since ${lock.since} (${lock.reason})` : undefined });
+    await ctx.reply(reopened ? "🔓 Group unlocked — everyone can send messages again." : "🔓 Raid lock cleared, but I couldn't reopen the group (am I an admin?).");
+  }
+});
+
+async function replyWithAudit(ctx, filter) {
+  const entries = await audit.read(Object.assign({ group: ctx.group.id }, filter));
+  const text = entries.length ? entries.map(formatEntry).join("\n") : "No audit entries.";
+  await ctx.reply(`🗂️ Audit log (latest ${entries.length}):\n${text}`);
+}
+
+registerCommand({
+  name: "audit",
+  legacy: ["audit"],
+  args: [{ name: "count", type: "number", optional: true }],
+  description: "Show the latest audit log entries for this group",
+  run: async (ctx, { count }) => replyWithAudit(ctx, { limit: Math.min(count || 10, 50) })
+});
+
+registerCommand({
+  name: "audit user",
+  legacy: ["audit user"],
+  args: [{ name: "user", type: "user" }],
+  description: "Show the latest audit log entries about one member",
+  run: async (ctx, { user }) => replyWithAudit(ctx, { author: user.digits, limit: 10 })
+});
+
+registerCommand({
+  name: "audit export",
+  legacy: ["audit export"],
+  description: "Send this group's full audit log to you privately as CSV",
+  run: async (ctx) => {
+    const entries = await audit.read({ group: ctx.group.id });
+    const media = new MessageMedia("text/csv", Buffer.from(toCsv(entries), "utf8").toString("base64"), `audit-${ctx.chat.name.replace(/[^\w-]+/g, "_")}.csv`);
     try {
-      await client.sendMessage(offenderId, warnTextPrivate);
+      await client.sendMessage(ctx.senderId, media, { sendMediaAsDocument: true });
+      await ctx.reply(`📄 Sent ${entries.length} audit entries to you privately as CSV.`);
     } catch (e) {
-      try {
-        const contact = await client.getContactById(offenderId);
-        await chat.sendMessage(`@${offenderDigits} ${warnTextPrivate}`, { mentions: contact ? [contact] : [] });
-      } catch (e2) {
-        warn("Failed to notify offender privately or mention in group:", e2?.message || e2);
-      }
+      warn("Failed to send audit export:", e?.message || e);
+      await ctx.reply("⚠️ I couldn't send the audit export.");
     }
+  }
+});
 
-    // If threshold reached, attempt removal (per-group admin check again)
-    if (warnCount >= WARNINGS_THRESHOLD) {
-      let canRemove = amAdmin;
-      if (!canRemove) {
-        try {
-          const refreshed = await refreshChatParticipants(chat);
-          const participant = (refreshed.participants || []).find(p => (p.id && p.id._serialized) === myId);
-          canRemove = !!(participant && (participant.isAdmin || participant.isSuperAdmin));
-        } catch (e) { /* ignore */ }
+// ---------- Plugins (see lib/plugins.js) ----------
+// Every hook gets these helpers as "api"; none of them throws, so a plugin can't take
+// the message pipeline down with a failed send or delete.
+const plugins = createPluginHost({
+  dirs: [PLUGINS_DIR],
+  store,
+  registerCommand,
+  api: {
+    client,
+    roleOf,
+    atLeast,
+    memberKey,
+    resolveMember: id => identity.resolve(id),
+    isBotAdmin: chat => isBotAdminIn(chat),
+    isModerationActive,
+    send: (to, content, options) => client.sendMessage(to, content, options).then(() => true, e => { warn(`Plugin send to ${to} failed:`, e?.message || e); return false; }),
+    // delete without a strike, audited like a mute deletion; returns "everyone" | "none"
+    deleteMessage: (message, chat, group, rule, options) => deleteSilently(message, chat, group, Object.assign({ kind: "plugin" }, rule), options).catch(e => { warn("Plugin delete failed:", e?.message || e); return "none"; }),
+    // delete, strike and escalate, like the built-in rules
+    enforceViolation: (message, chat, group, rule, options) => enforceViolation(message, chat, group, rule, options).catch(e => warn("Plugin enforcement failed:", e?.message || e)),
+    audit: entry => audit.append(entry)
+  }
+});
+
+registerCommand({
+  name: "plugins",
+  permission: "helper",
+  description: "List the loaded plugins and which are on in this group",
+  run: async (ctx) => {
+    const lines = plugins.list().map(p => `${plugins.isEnabled(ctx.group, p.name) ? "✅" : "⛔"} ${p.name}${p.builtIn ? " (built-in)" : ""}${p.description ? ` — ${p.description}` : ""}`);
+    await ctx.reply(lines.length ? `🧩 Plugins:\n${lines.join("\n")}` : "No plugins loaded.");
+  }
+});
+
+// after the core commands, so theirs come later in "!help"
+plugins.load();
+
+// Recent message texts by message id, so an edit can be audited against what the
+// message said before (bounded; oldest entries are dropped first)
+const MESSAGE_HISTORY_LIMIT = 5000;
+const messageHistory = new Map(); // message id -> [{ at, body }]
+
+function rememberBody(messageId, body) {
+  if (!messageId) return [];
+  const versions = messageHistory.get(messageId) || [];
+  if (!versions.length || versions[versions.length - 1].body !== body) versions.push({ at: new Date().toISOString(), body });
+  messageHistory.delete(messageId);
+  messageHistory.set(messageId, versions);
+  if (messageHistory.size > MESSAGE_HISTORY_LIMIT) messageHistory.delete(messageHistory.keys().next().value);
+  return versions;
+}
+
+// MAIN MESSAGE HANDLER — new messages and edits go through the same pipeline.
+// For an edit, "edit" is { newBody, prevBody } from the message_edit event.
+async function handleMessage(message, edit = null) {
+  lastMessageAt = Date.now();
+  stats.messages.inc({ kind: edit ? "edit" : "new" });
+  const done = stats.handlerSeconds.startTimer({ handler: edit ? "message_edit" : "message" });
+  try {
+    log(edit ? "MSG edited" : "MSG received");
+
+    // Ensure we can process this message
+    let chat;
+    try { chat = await message.getChat(); } catch (e) { warn("Failed to read message: could not get its chat:", e?.message || e); return; }
+
+    if (!chat.isGroup) return; // only moderate groups
+    const group = groupConfig.forChat(chat);
+
+    // Determine author (in groups message.author is set)
+    const offenderId = message.author || message.from;
+    const offenderDigits = (await identity.resolve(offenderId)).key;
+
+    // Ignore messages from the bot itself
+    if (myId && identity.same(offenderId, myId)) return;
+
+    // skip messages with neither text nor media (media captions arrive as the body)
+    const body = ((edit ? edit.newBody : message.body) || "").trim();
+    if (!body && !message.hasMedia) return;
+
+    // Every version of the text this message has had (the first is the original).
+    // A previous version we never saw (edit-then-revert faster than we got the events)
+    // is checked together with the new text.
+    const messageId = message.id?._serialized || null;
+    let unseen = "";
+    if (edit && messageId && edit.prevBody) {
+      const prev = String(edit.prevBody).trim();
+      if (!(messageHistory.get(messageId) || []).some(v => v.body === prev)) { unseen = prev; rememberBody(messageId, prev); }
+    }
+    const versions = rememberBody(messageId, body);
+    const previous = edit ? versions.slice(0, -1).map(v => v.body) : [];
+    const checkText = unseen && unseen !== body ? `${body}\n${unseen}` : body;
+
+    // Commands, gated by the sender's role; unregistered groups only accept "!mod register"
+    let senderRole = null;
+    const getSenderRole = () => (senderRole = senderRole || roleOf(group, chat, offenderId));
+    // Edits never run commands
+    const ran = !edit && await commands.dispatch({
+      message,
+      chat,
+      group,
+      senderId: offenderId,
+      senderDigits: offenderDigits,
+      registered: !!(group && group.enabled),
+      requiredRole: cmd => requiredRole(group || groupConfig.defaults(), cmd),
+      hasPermission: async permission => atLeast(await getSenderRole(), permission),
+      reply: text => client.sendMessage(message.from, text).catch(() => {})
+    });
+    // A command that ran only ends here for staff, who aren't auto-moderated anyway;
+    // members' commands (run, refused or malformed) still go through every check below
+    if (ran && (!group || !group.enabled || atLeast(await getSenderRole(), "exempt"))) return;
+
+    if (!group || !group.enabled) return; // ignore unregistered / disabled groups
+
+    if (!isModerationActive(group)) return;
+
+    // Enforce bot-side mutes: delete anything a muted member sends (they were told when muted)
+    if (isMuted(group.id, offenderDigits)) {
+      await deleteSilently(message, chat, group, { kind: "mute" }, { body, previous });
+      return;
+    }
+
+    // Unverified new members: the phrase / answer verifies them; until then they're held to stricter rules
+    if (group.newMembers && pendingVerification(group.id, offenderDigits)) {
+      if (!edit && isVerificationAnswer(group.newMembers, body)) {
+        await verifyMember(chat, group, offenderId, "auto");
+        return;
       }
+      const restricted = gateRestriction(group.newMembers, message, body);
+      if (restricted) {
+        await enforceViolation(message, chat, group, { kind: "gate", term: `gate:${restricted}`, match: `no ${restricted} until verified` }, { body, previous, strike: false });
+        return;
+      }
+    }
 
-      if (canRemove) {
-        try {
-          await chat.removeParticipants([offenderId]);
-          await chat.sendMessage(`User removed for repeated use of banned language (warnings: ${warnCount}).`);
-          delete warnings[offenderDigits];
-          await saveWarnings();
-        } catch (e) {
-          console.error("Failed to remove participant (ensure bot is admin):", e?.message || e);
-          try {
-            const contact = await client.getContactById(offenderId);
-            await chat.sendMessage(`⚠️ I would remove @${offenderDigits} for repeated banned language, but I couldn't — please make me a group admin or remove them manually.`, { mentions: contact ? [contact] : [] });
-          } catch {}
-        }
-      } else {
-        try {
-          const contact = await client.getContactById(offenderId);
-          await chat.sendMessage(`⚠️ User has reached ${warnCount} warnings and should be removed, but I cannot remove participants because I'm not an admin. Please remove @${offenderDigits} manually.`, { mentions: contact ? [contact] : [] });
-        } catch {
-          await chat.sendMessage(`⚠️ User has reached ${warnCount} warnings and should be removed, but I cannot remove participants because I'm not an admin. Please remove them manually.`);
-        }
+    // Exempt members (and every role above) are never auto-moderated
+    if (atLeast(await getSenderRole(), "exempt")) return;
+
+    // Slow mode: messages over the member's limit are deleted; they're told once per setting
+    const slowLimit = edit ? null : slowModeLimit(group, offenderDigits);
+    const slowHit = slowLimit && slowModeTracker.check(slowLimit, group.id, offenderDigits);
+    if (slowHit) {
+      await deleteSilently(message, chat, group, { kind: "slow-mode", term: "slow-mode", match: describeSlowMode(slowLimit) }, { body, previous });
+      if (!slowHit.told) await client.sendMessage(offenderId, formatNotification(group.notifications.slowMode, { group: chat.name, user: offenderDigits, limit: describeSlowMode(slowLimit) })).catch(() => {});
+      return;
+    }
+
+    // Spam signals first so every message counts towards the rate / duplicate windows
+    const spamHit = spamDetector.check(group.spam, { groupId: group.id, user: offenderDigits, text: body, mentions: (message.mentionedIds || []).length, at: Date.now(), edit: !!edit });
+    if (spamHit) {
+      log(`Spam (${spamHit.signal}: ${spamHit.detail}) from ${offenderDigits} in "${chat.name}"${spamHit.repeat ? " — repeat, no new strike" : ""}`);
+      await enforceViolation(message, chat, group, { kind: "spam", term: `spam:${spamHit.signal}`, match: spamHit.detail }, { body, previous, weight: group.spam.weight, strike: !spamHit.repeat, reason: spamHit.detail });
+      return;
+    }
+
+    // Media policy (types, size, document extensions, view-once) and blocked stickers/images;
+    // an edit only changes the caption, so the media itself was already checked
+    if (message.hasMedia && !edit) {
+      let mediaHit = checkMedia(group.media, mediaInfo(message));
+      if (!mediaHit && hasBlockedMedia(group.id) && blockedMediaEntry(group.id, await mediaHash(message))) {
+        mediaHit = { term: "media:blocked", reason: "that sticker/image is blocked here" };
       }
+      if (mediaHit) {
+        log(`Blocked media from ${offenderDigits} in "${chat.name}" (${mediaHit.reason})`);
+        await enforceViolation(message, chat, group, { kind: "media", term: mediaHit.term, match: mediaHit.reason }, { body, previous, weight: group.media.weight, reason: mediaHit.reason });
+        return;
+      }
+    }
+
+    // Link policy (invite links, block-all / allow-list / deny-list)
+    const linkHit = checkLinks(group.links, checkText);
+    if (linkHit) {
+      log(`Blocked link from ${offenderDigits} in "${chat.name}" (${linkHit.reason}):`, linkHit.url);
+      await enforceViolation(message, chat, group, { kind: "link", term: linkHit.invite ? "link:invite" : `link:${linkHit.host}`, match: linkHit.url }, { body, previous, weight: group.links.weight, reason: linkHit.reason });
+      return;
     }
 
+    // Plugins: the built-in banned-word filter (lib/plugins/bannedWords.js), then the group's own
+    await plugins.message(group, { message, chat, sender: { id: offenderId, key: offenderDigits }, body, previous, edit: !!edit, checkText });
+
   } catch (err) {
-    console.error("ERROR reading message:", err?.message || err);
+    error("Failed to read message:", err?.message || err);
+  } finally {
+    done();
   }
-});
+}
 
-// Start HTTP server for health/status and start WhatsApp client
-startHttpServer();
-client.initialize().catch(err => {
-  console.error("Failed to start WhatsApp client:", err?.message || err);
-});
+client.on('message', message => handleMessage(message));
+
+// Edited messages are moderated again (clean message edited into a banned one, etc.)
+client.on('message_edit', (message, newBody, prevBody) => handleMessage(message, { newBody, prevBody }));
+
+// Open storage (migrating / importing if needed), then start the HTTP server and WhatsApp client.
+// Resolves once the client has initialised; rejects only if storage can't be opened.
+async function start() {
+  await store.open();
+  startHttpServer();
+  return client.initialize().catch(err => {
+    error("Failed to start WhatsApp client:", err?.message || err);
+  });
+}
+
+// Stop timers, the HTTP server and config polling, flush storage and close the client
+async function stop() {
+  for (const t of timers.splice(0)) clearInterval(t);
+  if (httpServer) { await new Promise(resolve => httpServer.close(() => resolve())); httpServer = null; }
+  groupConfig.unwatch();
+  await Promise.all([saveWarnings(), stateStore.save(), configStore.save(), plugins.flush(), audit.flush()]);
+  await store.close();
+  await client.destroy();
+  clientReady = false;
+}
+
+if (require.main === module) {
+  start().catch(err => {
+    error(`Failed to open ${store.kind} storage:`, err?.message || err);
+    process.exit(1);
+  });
+}
+
+// For tests and embedding: with WHATSAPP_CLIENT=fake, "client" is the scriptable fake;
+// metrics.render() is what /metrics serves
+module.exports = { client, metrics, start, stop };
 
@@ -0,0 +1,230 @@
+/**
+ * lib/api.js — token-authenticated admin REST API for the built-in HTTP server
+ *
+ * Every request needs "Authorization: Bearer <ADMIN_API_TOKEN>". Bodies are JSON,
+ * responses are JSON ({ ok: true, ... } or { ok: false, error }).
+ *
+ *   GET    /api/groups                          groups the bot is in (+ bot admin status)
+ *   GET    /api/groups/:id                      one registered group's settings
+ *   PUT    /api/groups/:id/moderation           { "active": true|false }
+ *   GET    /api/groups/:id/banned-words         (":id" may be "defaults")
+ *   PUT    /api/groups/:id/banned-words         { "words": [...] }  replace the list
+ *   POST   /api/groups/:id/banned-words         { "words": [...] }  add words
+ *   DELETE /api/groups/:id/banned-words/:word
+ *   GET    /api/warnings[?group=:id]            users with offences
+ *   GET    /api/warnings/:user                  full history for one user
+ *   POST   /api/warnings/:user                  { "group": id, "adjust": 2 | -1, "reason": "..." }
+ *   DELETE /api/warnings/:user?group=:id        reset active strikes (history kept)
+ *
+ * Group ids contain "@", so URL-encode them (120363...%40g.us). ":user" is a phone
+ * number or a WhatsApp id; a "<lid>@lid" id is matched to the member's number if known.
+ */
+
+const crypto = require("crypto");
+const { addOffence, activeStrikes, clearOffences, clearLatestOffences } = require("./offences");
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+  res.end(JSON.stringify(payload));
+}
+
+function tokenMatches(header, token) {
+  const m = /^Bearer\s+(.+)$/i.exec(header || "");
+  if (!m) return false;
+  const a = Buffer.from(m[1].trim());
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", chunk => {
+      size += chunk.length;
+      // past the limit the rest is read and dropped, so the 413 still reaches the client
+      if (size > MAX_BODY_BYTES) { chunks.length = 0; reject(httpError(413, "request body too large")); return; }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (size > MAX_BODY_BYTES) return;
+      const raw = Buffer.concat(chunks).toString("utf8");
+      if (!raw.trim()) return resolve({});
+      try {
+        const body = JSON.parse(raw);
+        if (!body || typeof body !== "object" || Array.isArray(body)) return reject(httpError(400, "body must be a JSON object"));
+        resolve(body);
+      } catch (e) {
+        reject(httpError(400, "body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function requireWords(body) {
+  if (!Array.isArray(body.words) || !body.words.length || body.words.some(w => typeof w !== "string" || !w.trim())) {
+    throw httpError(400, '"words" must be a non-empty array of strings');
+  }
+  return body.words;
+}
+
+// A phone number, "<digits>@c.us" or "<lid>@lid" -> the member's key (see lib/identity.js)
+function userKey(raw, memberKey) {
+  const digits = String(raw || "").replace(/\D/g, "");
+  if (!digits) throw httpError(400, "user must be a phone number / id");
+  return memberKey ? memberKey(String(raw).includes("@") ? String(raw) : digits) : digits;
+}
+
+/**
+ * deps: {
+ *   token, groupConfig, audit, getWarnings(), saveWarnings(), memberKey(id),
+ *   isModerationActive(group), setModerationActive(groupId, active),
+ *   listGroups() -> [{ id, name, participants, botAdmin, registered, enabled, moderationActive }]
+ * }
+ * Returns async (req, res, url) => void for paths under /api/.
+ */
+function createAdminApi(deps) {
+  const routes = [];
+  function route(method, pattern, handler) { routes.push({ method, pattern, handler }); }
+
+  // A registered group by id ("defaults" is not a group)
+  function requireGroup(id) {
+    if (!id) throw httpError(400, '"group" is required');
+    const group = deps.groupConfig.get(id);
+    if (!group || !group.id) throw httpError(404, `group ${id} is not registered`);
+    return group;
+  }
+
+  function recordApiAction(req, url, group, body) {
+    deps.audit.append({ type: "command", group: group || null, body: `${req.method} ${url.pathname}`, trigger: "api", detail: body && Object.keys(body).length ? JSON.stringify(body) : undefined });
+  }
+
+  function describeGroup(g) {
+    return {
+      id: g.id,
+      name: g.name,
+      enabled: g.enabled,
+      moderationActive: deps.isModerationActive(g),
+      warningsThreshold: g.warningsThreshold,
+      warningExpiryDays: g.warningExpiryMs / (24 * 3600 * 1000),
+      escalation: g.escalation,
+      bannedWordsCount: g.bannedWords.size
+    };
+  }
+
+  route("GET", /^\/api\/groups$/, async () => ({ groups: await deps.listGroups() }));
+
+  route("GET", /^\/api\/groups\/([^/]+)$/, async (req, url, [id]) => ({ group: describeGroup(requireGroup(id)) }));
+
+  route("PUT", /^\/api\/groups\/([^/]+)\/moderation$/, async (req, url, [id], body) => {
+    const group = requireGroup(id);
+    if (typeof body.active !== "boolean") throw httpError(400, '"active" must be true or false');
+    deps.setModerationActive(group.id, body.active);
+    recordApiAction(req, url, group.id, body);
+    return { group: describeGroup(group) };
+  });
+
+  route("GET", /^\/api\/groups\/([^/]+)\/banned-words$/, async (req, url, [id]) => {
+    const g = id === "defaults" ? deps.groupConfig.defaults() : requireGroup(id);
+    return { words: Array.from(g.bannedWords).sort() };
+  });
+
+  for (const [method, op] of [["PUT", "setBannedWords"], ["POST", "addBannedWords"]]) {
+    route(method, /^\/api\/groups\/([^/]+)\/banned-words$/, async (req, url, [id], body) => {
+      if (id !== "defaults") requireGroup(id);
+      await deps.groupConfig[op](id, requireWords(body));
+      recordApiAction(req, url, id === "defaults" ? null : id, body);
+      return { words: Array.from(deps.groupConfig.get(id).bannedWords).sort() };
+    });
+  }
+
+  route("DELETE", /^\/api\/groups\/([^/]+)\/banned-words\/([^/]+)$/, async (req, url, [id, word]) => {
+    const g = id === "defaults" ? deps.groupConfig.defaults() : requireGroup(id);
+    const w = word.trim().toLowerCase();
+    if (!Array.from(g.bannedWords).includes(w)) throw httpError(404, `"${w}" is not on the list`);
+    await deps.groupConfig.removeBannedWords(id, [w]);
+    recordApiAction(req, url, id === "defaults" ? null : id);
+    return { words: Array.from(deps.groupConfig.get(id).bannedWords).sort() };
+  });
+
+  route("GET", /^\/api\/warnings$/, async (req, url) => {
+    const groupId = url.searchParams.get("group");
+    const group = groupId ? requireGroup(groupId) : null;
+    const warnings = deps.getWarnings();
+    const users = Object.keys(warnings).map(user => ({
+      user,
+      activeStrikes: group ? activeStrikes(warnings, user, group.id, group.warningExpiryMs) : deps.groupConfig.list().filter(g => g.id).reduce((n, g) => n + activeStrikes(warnings, user, g.id, g.warningExpiryMs), 0),
+      offences: (warnings[user] || []).filter(r => !group || r.group === group.id).length
+    })).filter(u => u.offences > 0);
+    return { users };
+  });
+
+  route("GET", /^\/api\/warnings\/([^/]+)$/, async (req, url, [user]) => {
+    const key = userKey(user, deps.memberKey);
+    const warnings = deps.getWarnings();
+    const perGroup = deps.groupConfig.list().filter(g => g.id).map(g => ({ group: g.id, name: g.name, activeStrikes: activeStrikes(warnings, key, g.id, g.warningExpiryMs) }));
+    return { user: key, groups: perGroup, history: warnings[key] || [] };
+  });
+
+  route("POST", /^\/api\/warnings\/([^/]+)$/, async (req, url, [user], body) => {
+    const key = userKey(user, deps.memberKey);
+    const group = requireGroup(body.group);
+    const adjust = body.adjust;
+    if (!Number.isInteger(adjust) || adjust === 0 || Math.abs(adjust) > 20) throw httpError(400, '"adjust" must be a non-zero integer between -20 and 20');
+    const warnings = deps.getWarnings();
+    const reason = typeof body.reason === "string" ? body.reason.slice(0, 200) : "adjusted via API";
+    if (adjust > 0) {
+      for (let i = 0; i < adjust; i++) addOffence(warnings, key, { group: group.id, groupName: group.name, term: null, weight: 1, action: "manual", deleted: null, messageId: null, reason });
+    } else {
+      clearLatestOffences(warnings, key, group.id, group.warningExpiryMs, -adjust, reason);
+    }
+    await deps.saveWarnings();
+    recordApiAction(req, url, group.id, body);
+    return { user: key, group: group.id, activeStrikes: activeStrikes(warnings, key, group.id, group.warningExpiryMs) };
+  });
+
+  route("DELETE", /^\/api\/warnings\/([^/]+)$/, async (req, url, [user]) => {
+    const key = userKey(user, deps.memberKey);
+    const group = requireGroup(url.searchParams.get("group"));
+    const cleared = clearOffences(deps.getWarnings(), key, group.id, "reset via API");
+    await deps.saveWarnings();
+    recordApiAction(req, url, group.id);
+    return { user: key, group: group.id, cleared };
+  });
+
+  return async function handle(req, res, url) {
+    try {
+      if (!deps.token) throw httpError(503, "admin API disabled — set ADMIN_API_TOKEN");
+      if (!tokenMatches(req.headers.authorization, deps.token)) throw httpError(401, "missing or invalid bearer token");
+
+      const candidates = routes.filter(r => r.pattern.test(url.pathname));
+      if (!candidates.length) throw httpError(404, "not found");
+      const r = candidates.find(c => c.method === req.method);
+      if (!r) {
+        res.setHeader("Allow", candidates.map(c => c.method).join(", "));
+        throw httpError(405, `method ${req.method} not allowed`);
+      }
+      let params;
+      try { params = r.pattern.exec(url.pathname).slice(1).map(decodeURIComponent); } catch (e) { throw httpError(400, "malformed URL"); }
+      const body = req.method === "POST" || req.method === "PUT" ? await readJsonBody(req) : {};
+      const result = await r.handler(req, url, params, body);
+      sendJson(res, 200, Object.assign({ ok: true }, result));
+    } catch (e) {
+      const status = e.status || 500;
+      if (status === 413) res.setHeader("Connection", "close");
+      sendJson(res, status, { ok: false, error: status === 500 ? "internal error" : e.message });
+      if (status === 500) throw e;
+    }
+  };
+}
+
+module.exports = { createAdminApi, sendJson, tokenMatches, readJsonBody, httpError };
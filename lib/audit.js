@@ -0,0 +1,130 @@
+/**
+ * lib/audit.js — append-only moderation audit log (JSONL) with evidence capture
+ *
+ * Every moderation action is one JSON line:
+ *
+ *   { "id": 42, "at": "...", "type": "delete", "group": "1203...@g.us", "groupName": "...",
+ *     "author": "6581234567", "authorId": "6581234567@c.us", "messageId": "...",
+ *     "body": "original text", "media": { "file": "audit-media/42.jpg", "mimetype": "image/jpeg", "size": 1234 },
+ *     "rule": { "kind": "banned-word", "term": "shit", "match": "sh1t" },
+ *     "trigger": "auto" | "admin:6581234567", "outcome": "everyone", "detail": "...",
+ *     "previousBodies": ["text before an edit"] }
+ *
+ * Types: delete, warn, mute, slow-mode, remove, ban, readd, verify, flag, lockdown, unlock, report, action-failed, command.
+ * Entries go to the storage backend (see lib/storage.js): a JSONL file that is only
+ * ever appended to, or the SQLite audit table. Nothing here rewrites or deletes them.
+ */
+
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+const { warn } = require("./log");
+const { withRetry } = require("./storage");
+
+const CSV_COLUMNS = ["id", "at", "type", "groupName", "group", "author", "messageId", "body", "previousBodies", "media", "rule", "trigger", "outcome", "detail"];
+
+const MEDIA_EXT = {
+  "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp", "image/gif": "gif",
+  "video/mp4": "mp4", "audio/ogg": "ogg", "audio/mpeg": "mp3", "application/pdf": "pdf"
+};
+
+// Message text is attacker-controlled: a cell a spreadsheet would run as a formula
+// ("=HYPERLINK(...)", "+1+cmd|...") gets a leading ' so it is shown as text
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let s = typeof value === "object" ? (value.term || value.file || JSON.stringify(value)) : String(value);
+  const formula = /^[=+\-@]/.test(s);
+  if (formula) s = `'${s}`;
+  if (formula || /[",\r\n]/.test(s)) s = `"${s.replace(/"/g, '""')}"`;
+  return s;
+}
+
+function toCsv(entries) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const e of entries) lines.push(CSV_COLUMNS.map(c => csvCell(e[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+function createAuditLog(store, mediaDir, options = {}) {
+  const captureMedia = options.captureMedia !== false;
+  let nextId = null;
+  let chain = Promise.resolve();
+
+  // Continue numbering from the last entry already stored
+  async function initId() {
+    if (nextId !== null) return;
+    nextId = (await store.lastAuditId()) + 1;
+  }
+
+  /**
+   * Append one entry. Writes are serialised so ids stay ordered.
+   * @returns {Promise<object>} the entry as written
+   */
+  function append(entry) {
+    const p = chain.then(async () => {
+      await initId();
+      const full = Object.assign({ id: nextId++, at: new Date().toISOString(), trigger: "auto" }, entry);
+      await withRetry("Writing audit entry", () => store.appendAudit(full));
+      return full;
+    });
+    chain = p.catch(e => warn("Failed to append audit entry:", e?.message || e));
+    return p.catch(() => null);
+  }
+
+  /**
+   * Download a message's media as evidence (call before deleting it).
+   * @returns {Promise<{file: string, mimetype: string, size: number, filename: string|null}|null>}
+   */
+  async function captureEvidence(message) {
+    if (!captureMedia || !message || !message.hasMedia) return null;
+    try {
+      const media = await message.downloadMedia();
+      if (!media || !media.data) return null;
+      await fsp.mkdir(mediaDir, { recursive: true });
+      const ext = MEDIA_EXT[(media.mimetype || "").split(";")[0]] || "bin";
+      const stamp = (new Date()).toISOString().replace(/[:.]/g, "-");
+      const name = `${stamp}-${(message.id?.id || "msg").replace(/[^\w-]/g, "")}.${ext}`;
+      const buf = Buffer.from(media.data, "base64");
+      await fsp.writeFile(path.join(mediaDir, name), buf);
+      return { file: path.join(path.basename(mediaDir), name), mimetype: media.mimetype, size: buf.length, filename: media.filename || null };
+    } catch (e) {
+      warn("Failed to capture media evidence:", e?.message || e);
+      return null;
+    }
+  }
+
+  /**
+   * Read entries back, newest last.
+   * filter: { group, author, type, since (ISO), limit }
+   */
+  async function read(filter = {}) {
+    await chain;
+    try {
+      return await store.readAudit(filter);
+    } catch (e) {
+      warn("Failed to read the audit log:", e?.message || e);
+      return [];
+    }
+  }
+
+  // Resolves once every entry appended so far has been written (or given up on)
+  function flush() {
+    return chain;
+  }
+
+  return { append, captureEvidence, read, flush, toCsv };
+}
+
+// One-line summary for chat replies
+function formatEntry(e) {
+  const when = String(e.at || "").replace("T", " ").slice(0, 16);
+  const who = e.author ? ` ${e.author}` : "";
+  const rule = e.rule && e.rule.term ? ` [${e.rule.term}]` : "";
+  const body = e.body ? ` "${String(e.body).slice(0, 60)}${String(e.body).length > 60 ? "…" : ""}"` : "";
+  const media = e.media ? " +media" : "";
+  const edited = e.previousBodies && e.previousBodies.length ? ` (edited from "${String(e.previousBodies[e.previousBodies.length - 1]).slice(0, 40)}")` : "";
+  const by = e.trigger && e.trigger !== "auto" ? ` by ${e.trigger.replace(/^admin:/, "")}` : "";
+  return `#${e.id} ${when} ${e.type}${who}${rule}${body}${edited}${media}${by}${e.outcome ? ` → ${e.outcome}` : ""}`;
+}
+
+module.exports = { createAuditLog, toCsv, formatEntry };
@@ -0,0 +1,39 @@
+/**
+ * lib/client.js — the WhatsApp client both bots talk to
+ *
+ * The moderation logic only uses this slice of whatsapp-web.js, so anything that
+ * provides it can stand in for a live WhatsApp Web session (lib/fakeClient.js does,
+ * for tests and offline runs):
+ *
+ *   events   qr, authenticated, auth_failure, ready, disconnected,
+ *            message, message_edit (message, newBody, prevBody), group_join, group_leave
+ *            (notification: { chatId, author, recipientIds, getChat() })
+ *   client   initialize(), destroy(), info.wid, getChats(), getChatById(id),
+ *            getContactById(id), getMessageById(id), sendMessage(id, content, options),
+ *            getContactLidAndPhone(ids) (optional, see lib/identity.js)
+ *   chat     id, name, isGroup, participants [{ id, isAdmin, isSuperAdmin }],
+ *            sendMessage(text, options), removeParticipants(ids), addParticipants(ids),
+ *            setMessagesAdminsOnly(on), fetchMessages({ limit })
+ *   message  id, body, from, author, fromMe, timestamp, type, hasMedia, mentionedIds,
+ *            hasQuotedMsg, getChat(), getContact(), getQuotedMessage(), delete(everyone),
+ *            forward(chatId), downloadMedia()
+ *
+ * WHATSAPP_CLIENT picks the implementation: "whatsapp-web" (default) or "fake".
+ */
+
+const CLIENT_KINDS = ["whatsapp-web", "fake"];
+
+/**
+ * options: { clientId, puppeteer } for whatsapp-web; passed through to createFakeClient for "fake"
+ */
+function createClient(kind, options = {}) {
+  const k = String(kind || "whatsapp-web").toLowerCase();
+  if (k === "whatsapp-web") {
+    const { Client, LocalAuth } = require("whatsapp-web.js");
+    return new Client({ authStrategy: new LocalAuth({ clientId: options.clientId }), puppeteer: options.puppeteer });
+  }
+  if (k === "fake") return require("./fakeClient").createFakeClient(options);
+  throw new Error(`Unknown WhatsApp client "${kind}" (use ${CLIENT_KINDS.join(" or ")})`);
+}
+
+module.exports = { CLIENT_KINDS, createClient };
@@ -0,0 +1,231 @@
+/**
+ * lib/commands.js — chat command registry shared by both bot variants
+ *
+ * A command declares everything the parser and !help need:
+ *
+ *   registry.register({
+ *     name: "warnings",                 // typed as "!warnings"; names may contain spaces ("mod on")
+ *     aliases: ["warns"],               // also typed with the prefix
+ *     legacy: ["check warnings"],       // old phrases accepted without the prefix
+ *     args: [{ name: "user", type: "user" }, { name: "reason", type: "text", optional: true }],
+ *     permission: "moderator",          // lowest role allowed (lib/roles.js); "everyone" for all
+ *     scope: "registered",              // "registered" (default) or "any" group
+ *     description: "Show a member's offence history",
+ *     run: async (ctx, args) => { ... }
+ *   });
+ *
+ * Argument types:
+ *   user     @mention, a quoted reply's author, or raw phone digits -> { id, digits }
+ *            (with options.identify, digits is the member's canonical key, see lib/identity.js)
+ *   duration "30m", "1h", "2d", "1h30m" -> milliseconds
+ *   number   positive integer
+ *   word     a single token
+ *   text     the rest of the message (must be last)
+ *   quoted   the message being replied to (takes no text)
+ *
+ * An optional argument whose token doesn't parse is skipped, so "!ban @x spamming"
+ * and "!ban @x 7d spamming" both work. Usage errors are reported the same way for
+ * every command. Unauthorised prefixed commands get a refusal; unauthorised legacy
+ * phrases are ignored so ordinary chat like "start" from a member isn't answered.
+ * Replies never quote what the sender typed back to the group.
+ *
+ * dispatch() is only true when a command ran: a refused or malformed command is
+ * still an ordinary message as far as moderation is concerned.
+ */
+
+const { parseDuration } = require("./duration");
+
+const ARG_HINTS = {
+  user: "@user|reply|number",
+  duration: "30m|1h|1d",
+  number: "n",
+  word: "word",
+  text: "text",
+  quoted: "reply"
+};
+
+const MISSING = {
+  user: "Tell me who: @mention them, reply to their message, or give their number.",
+  quoted: "Send this command as a reply to the message you mean."
+};
+
+class UsageError extends Error {}
+
+function normalisePhrase(s) {
+  return String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function createCommandRegistry(options = {}) {
+  const prefix = options.prefix || "!";
+  // id -> { id, digits }; by default the digits are just the id's
+  const identify = options.identify || (async id => ({ id, digits: String(id).replace(/\D/g, "") }));
+  const commands = [];
+  let phrases = []; // { phrase, command, prefixed } longest first
+
+  function rebuild() {
+    phrases = [];
+    for (const cmd of commands) {
+      for (const p of [cmd.name].concat(cmd.aliases || [])) phrases.push({ phrase: normalisePhrase(p), command: cmd, prefixed: true });
+      for (const p of cmd.legacy || []) phrases.push({ phrase: normalisePhrase(p), command: cmd, prefixed: false });
+    }
+    phrases.sort((a, b) => b.phrase.length - a.phrase.length);
+  }
+
+  function register(def) {
+    if (!def || !def.name || typeof def.run !== "function") throw new Error("command needs a name and a run() function");
+    const args = def.args || [];
+    args.forEach((a, i) => {
+      if (!ARG_HINTS[a.type]) throw new Error(`command ${def.name}: unknown argument type "${a.type}"`);
+      if (a.type === "text" && i !== args.length - 1) throw new Error(`command ${def.name}: a text argument must be last`);
+    });
+    commands.push(Object.assign({ aliases: [], legacy: [], args, permission: "moderator", scope: "registered", description: "" }, def));
+    rebuild();
+  }
+
+  function usage(cmd) {
+    const parts = cmd.args.map(a => (a.type === "quoted" ? "(as a reply)" : a.optional ? `[${a.name}:${ARG_HINTS[a.type]}]` : `<${a.name}:${ARG_HINTS[a.type]}>`));
+    return [`${prefix}${cmd.name}`].concat(parts).join(" ");
+  }
+
+  /**
+   * Find the command a message body invokes.
+   * @returns {{ command: object, rest: string, prefixed: boolean }|null}
+   */
+  function parse(body) {
+    const text = String(body || "").trim();
+    const prefixed = text.startsWith(prefix);
+    const bare = normalisePhrase(prefixed ? text.slice(prefix.length) : text);
+    for (const p of phrases) {
+      if (p.prefixed !== prefixed) continue;
+      if (bare === p.phrase || bare.startsWith(p.phrase + " ")) {
+        // keep the original casing / spacing of the arguments
+        const words = p.phrase.split(" ").length;
+        const rest = (prefixed ? text.slice(prefix.length) : text).trim().split(/\s+/).slice(words).join(" ");
+        // legacy phrases take no surprise arguments unless the command declares some
+        if (!prefixed && rest && !p.command.args.length) continue;
+        return { command: p.command, rest, prefixed };
+      }
+    }
+    return null;
+  }
+
+  // Resolve a "user" argument from a token, the message's mentions or its quoted reply
+  async function resolveUser(token, ctx, state) {
+    const mentions = ctx.message.mentionedIds || [];
+    if (token && token.startsWith("@")) {
+      const digits = token.replace(/\D/g, "");
+      const ids = mentions.map(m => (typeof m === "string" ? m : m._serialized));
+      const id = ids.find(m => m.replace(/\D/g, "") === digits) || ids[state.mentionIndex] || `${digits}@c.us`;
+      state.mentionIndex++;
+      return { consumed: true, value: await identify(id) };
+    }
+    if (token && /^\+?[\d\s-]{6,}$/.test(token)) {
+      return { consumed: true, value: await identify(`${token.replace(/\D/g, "")}@c.us`) };
+    }
+    if (ctx.message.hasQuotedMsg && typeof ctx.message.getQuotedMessage === "function") {
+      const quoted = await ctx.message.getQuotedMessage().catch(() => null);
+      const id = quoted && (quoted.author || quoted.from);
+      if (id) return { consumed: false, value: Object.assign(await identify(id), { quoted }) };
+    }
+    return { consumed: false, value: null };
+  }
+
+  async function resolveArgs(cmd, rest, ctx) {
+    const tokens = rest ? rest.split(/\s+/) : [];
+    const out = {};
+    const state = { mentionIndex: 0 };
+    for (const a of cmd.args) {
+      const token = tokens[0];
+      let value = null;
+      if (a.type === "user") {
+        const r = await resolveUser(token, ctx, state);
+        if (r.consumed) tokens.shift();
+        value = r.value;
+      } else if (a.type === "quoted") {
+        if (ctx.message.hasQuotedMsg && typeof ctx.message.getQuotedMessage === "function") {
+          value = await ctx.message.getQuotedMessage().catch(() => null);
+        }
+      } else if (a.type === "text") {
+        value = tokens.length ? tokens.splice(0).join(" ") : null;
+      } else if (token !== undefined) {
+        let problem = null;
+        if (a.type === "duration") {
+          value = parseDuration(token);
+          if (!value) problem = `The ${a.name} must be a duration (try 30m, 1h or 2d).`;
+        } else if (a.type === "number") {
+          value = parseInt(token, 10);
+          if (!(value > 0) || String(value) !== token) problem = `The ${a.name} must be a positive number.`;
+        } else {
+          value = token;
+        }
+        // an optional argument that doesn't fit is skipped, leaving the token for the next one
+        if (problem && (!a.optional || a === cmd.args[cmd.args.length - 1])) throw new UsageError(problem);
+        if (problem) value = null;
+        else tokens.shift();
+      }
+      if (value === null || value === undefined) {
+        if (!a.optional) throw new UsageError(MISSING[a.type] || `Missing ${a.name}.`);
+        value = null;
+      }
+      out[a.name] = value;
+    }
+    if (tokens.length) throw new UsageError("Too many arguments.");
+    return out;
+  }
+
+  const roleFor = (ctx, cmd) => (ctx.requiredRole ? ctx.requiredRole(cmd) : cmd.permission);
+
+  /**
+   * Run the command a message invokes, if any.
+   * ctx: { message, registered: boolean, reply(text), hasPermission(role, command) } plus
+   * whatever the host adds for its commands. ctx.requiredRole(command), if given, is the role
+   * a command needs where it was sent (e.g. per-group overrides); otherwise its permission.
+   * @returns {Promise<boolean>} true if a command ran (refusals and usage errors are answered but return false)
+   */
+  async function dispatch(ctx) {
+    const hit = parse(ctx.message.body);
+    if (!hit) return false;
+    const cmd = hit.command;
+    if (cmd.scope !== "any" && !ctx.registered) return false;
+    if (!(await ctx.hasPermission(roleFor(ctx, cmd), cmd))) {
+      if (hit.prefixed) await ctx.reply(`❌ You are not authorized to use ${prefix}${cmd.name}.`);
+      return false;
+    }
+    let args;
+    try {
+      args = await resolveArgs(cmd, hit.rest, ctx);
+    } catch (e) {
+      if (!(e instanceof UsageError)) throw e;
+      await ctx.reply(`⚠️ ${e.message}\nUsage: ${usage(cmd)}`);
+      return false;
+    }
+    ctx.command = cmd;
+    await cmd.run(ctx, args);
+    return true;
+  }
+
+  // Generated help: everything the sender may run, or details for one command
+  async function helpText(ctx, name) {
+    if (name) {
+      const hit = parse(name.startsWith(prefix) ? name : prefix + name);
+      if (!hit) return `There's no such command. Send ${prefix}help for the list.`;
+      const cmd = hit.command;
+      const lines = [`${usage(cmd)}`, cmd.description];
+      if (cmd.aliases.length) lines.push(`Aliases: ${cmd.aliases.map(a => prefix + a).join(", ")}`);
+      if (cmd.legacy.length) lines.push(`Also: ${cmd.legacy.map(a => `"${a}"`).join(", ")}`);
+      lines.push(`Permission: ${roleFor(ctx, cmd)}`);
+      return lines.filter(Boolean).join("\n");
+    }
+    const lines = [];
+    for (const cmd of commands) {
+      if (cmd.scope !== "any" && !ctx.registered) continue;
+      if (!(await ctx.hasPermission(roleFor(ctx, cmd), cmd))) continue;
+      lines.push(`• ${usage(cmd)} — ${cmd.description}`);
+    }
+    return `🤖 Commands:\n${lines.join("\n")}\n\nSend ${prefix}help <command> for details.`;
+  }
+
+  return { register, parse, dispatch, helpText, usage, list: () => commands.slice(), prefix };
+}
+
+module.exports = { createCommandRegistry, UsageError };
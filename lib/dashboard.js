@@ -0,0 +1,287 @@
+/**
+ * lib/dashboard.js — password-protected browser dashboard served by the bot
+ *
+ *   GET  /dashboard            single page (inline CSS/JS, no CDN)
+ *   GET  /dashboard/login      login form; POST checks DASHBOARD_PASSWORD
+ *   POST /dashboard/logout
+ *   GET  /dashboard/data       JSON snapshot: connection, groups, recent actions, offenders, words
+ *   GET  /dashboard/qr.svg     current login QR (rendered locally from qrcode-terminal's encoder)
+ *   POST /dashboard/words      { group, add: [...] } | { group, remove: [...] }
+ *
+ * Sessions are random ids in an HttpOnly, SameSite=Strict cookie kept in memory;
+ * a restart logs everyone out. Repeated wrong passwords from one address are
+ * throttled.
+ */
+
+const crypto = require("crypto");
+const QRCode = require("qrcode-terminal/vendor/QRCode");
+const QRErrorCorrectLevel = require("qrcode-terminal/vendor/QRCode/QRErrorCorrectLevel");
+const { activeStrikes } = require("./offences");
+const { sendJson, readJsonBody, httpError } = require("./api");
+
+const SESSION_COOKIE = "modbot_session";
+const SESSION_TTL_MS = 12 * 3600 * 1000;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 5;
+const MAX_FORM_BYTES = 4 * 1024;
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+// Render a QR payload as a standalone SVG
+function qrSvg(text) {
+  const qr = new QRCode(-1, QRErrorCorrectLevel.L);
+  qr.addData(text);
+  qr.make();
+  const n = qr.getModuleCount();
+  const quiet = 4;
+  let path = "";
+  for (let r = 0; r < n; r++) {
+    for (let c = 0; c < n; c++) if (qr.isDark(r, c)) path += `M${c + quiet} ${r + quiet}h1v1h-1z`;
+  }
+  const size = n + quiet * 2;
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges"><rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+function sameSecret(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i > 0) out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return out;
+}
+
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+    let size = 0;
+    req.on("data", chunk => {
+      size += chunk.length;
+      // past the limit the rest is read and dropped, so the 413 still reaches the browser
+      if (size > MAX_FORM_BYTES) { raw = ""; reject(httpError(413, "form too large")); return; }
+      raw += chunk;
+    });
+    req.on("end", () => { if (size <= MAX_FORM_BYTES) resolve(new URLSearchParams(raw)); });
+    req.on("error", reject);
+  });
+}
+
+function sendHtml(res, status, html, headers = {}) {
+  res.writeHead(status, Object.assign({
+    "Content-Type": "text/html; charset=utf-8",
+    "Cache-Control": "no-store",
+    "Content-Security-Policy": "default-src 'self'; img-src 'self' data:; style-src 'unsafe-inline'; script-src 'unsafe-inline'; frame-ancestors 'none'",
+    "X-Frame-Options": "DENY"
+  }, headers));
+  res.end(html);
+}
+
+function loginPage(message) {
+  return `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>Modbot login</title>
+<style>body{font-family:system-ui,sans-serif;background:#f4f5f7;display:flex;justify-content:center;padding-top:15vh}form{background:#fff;padding:2em;border-radius:8px;box-shadow:0 1px 4px #0002}input{display:block;margin:.5em 0 1em;padding:.5em;width:16em}.err{color:#b00}</style></head>
+<body><form method="post" action="/dashboard/login"><h2>🤖 Modbot dashboard</h2>${message ? `<p class="err">${escapeHtml(message)}</p>` : ""}
+<label>Admin password<input type="password" name="password" autofocus required></label><button type="submit">Log in</button></form></body></html>`;
+}
+
+const DASHBOARD_PAGE = `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>Modbot dashboard</title>
+<style>
+body{font-family:system-ui,sans-serif;margin:0;background:#f4f5f7;color:#222}
+header{background:#075e54;color:#fff;padding:.8em 1.2em;display:flex;justify-content:space-between;align-items:center}
+main{display:grid;grid-template-columns:repeat(auto-fit,minmax(340px,1fr));gap:1em;padding:1em}
+section{background:#fff;border-radius:8px;padding:1em;box-shadow:0 1px 3px #0001;overflow:auto}
+h2{margin-top:0;font-size:1.1em}table{border-collapse:collapse;width:100%;font-size:.9em}
+td,th{text-align:left;padding:.3em .4em;border-bottom:1px solid #eee;vertical-align:top}
+.ok{color:#080}.bad{color:#b00}.muted{color:#777}#qr img{width:260px;height:260px}
+.word{display:inline-block;background:#eef;border-radius:4px;padding:.1em .4em;margin:.15em}
+.word button{border:0;background:none;color:#b00;cursor:pointer}
+</style></head><body>
+<header><strong>🤖 Nueron0.3 modbot</strong><form method="post" action="/dashboard/logout"><button>Log out</button></form></header>
+<main>
+<section><h2>Connection</h2><p id="conn">…</p><div id="qr"></div></section>
+<section><h2>Groups</h2><table id="groups"></table></section>
+<section><h2>Top offenders</h2><table id="offenders"></table></section>
+<section><h2>Recent moderation actions</h2><table id="actions"></table></section>
+<section><h2>Banned words</h2><select id="wordGroup"></select><div id="words"></div>
+<form id="addWord"><input id="newWord" placeholder="add word or phrase"><button>Add</button></form></section>
+</main>
+<script>
+let data = null;
+function el(tag, text, cls) { const e = document.createElement(tag); if (text !== undefined) e.textContent = text; if (cls) e.className = cls; return e; }
+function row(table, cells, head) { const tr = el("tr"); for (const c of cells) { const td = el(head ? "th" : "td"); if (c instanceof Node) td.appendChild(c); else td.textContent = c; tr.appendChild(td); } table.appendChild(tr); }
+function yes(v) { return el("span", v ? "Yes" : "No", v ? "ok" : "bad"); }
+async function post(url, body) {
+  const r = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+  const j = await r.json(); if (!j.ok) alert(j.error); return j;
+}
+function render() {
+  const c = data.connection;
+  document.getElementById("conn").textContent = c.state + " since " + new Date(c.since).toLocaleString() + (c.detail ? " — " + c.detail : "");
+  const qr = document.getElementById("qr"); qr.textContent = "";
+  if (data.hasQr) { const img = el("img"); img.src = "/dashboard/qr.svg?t=" + Date.now(); img.alt = "Login QR"; qr.appendChild(el("p", "Scan with WhatsApp → Linked devices:")); qr.appendChild(img); }
+  const g = document.getElementById("groups"); g.textContent = "";
+  row(g, ["Group", "Registered", "Moderation", "Bot admin"], true);
+  for (const x of data.groups) row(g, [x.name, yes(x.registered), x.registered ? yes(x.moderationActive) : el("span", "—", "muted"), yes(x.botAdmin)]);
+  const o = document.getElementById("offenders"); o.textContent = "";
+  row(o, ["User", "Active strikes", "Offences"], true);
+  for (const x of data.offenders) row(o, [x.label, String(x.activeStrikes), String(x.offences)]);
+  const a = document.getElementById("actions"); a.textContent = "";
+  row(a, ["When", "Action", "Group", "User", "Rule / text"], true);
+  for (const x of data.recent) row(a, [new Date(x.at).toLocaleString(), x.type + (x.outcome ? " (" + x.outcome + ")" : ""), x.groupName || "", x.author || "", ((x.rule && x.rule.term) ? "[" + x.rule.term + "] " : "") + (x.body || "")]);
+  const sel = document.getElementById("wordGroup"); const keep = sel.value;
+  sel.textContent = "";
+  for (const w of data.wordLists) { const op = el("option", w.name); op.value = w.id; sel.appendChild(op); }
+  if (keep) sel.value = keep;
+  renderWords();
+}
+function renderWords() {
+  const id = document.getElementById("wordGroup").value;
+  const list = data.wordLists.find(w => w.id === id) || data.wordLists[0];
+  const box = document.getElementById("words"); box.textContent = "";
+  if (!list) return;
+  for (const w of list.words) {
+    const s = el("span", w, "word"); const b = el("button", "×"); b.title = "remove";
+    b.onclick = async () => { await post("/dashboard/words", { group: list.id, remove: [w] }); refresh(); };
+    s.appendChild(b); box.appendChild(s);
+  }
+}
+document.getElementById("wordGroup").onchange = renderWords;
+document.getElementById("addWord").onsubmit = async (ev) => {
+  ev.preventDefault(); const input = document.getElementById("newWord");
+  if (!input.value.trim()) return;
+  await post("/dashboard/words", { group: document.getElementById("wordGroup").value, add: [input.value] });
+  input.value = ""; refresh();
+};
+async function refresh() {
+  const r = await fetch("/dashboard/data");
+  if (r.status === 401) { location.href = "/dashboard/login"; return; }
+  data = await r.json(); render();
+}
+refresh(); setInterval(refresh, 5000);
+</script></body></html>`;
+
+/**
+ * deps: {
+ *   password, groupConfig, audit, getWarnings(), getConnection(), getQr(),
+ *   listGroups() -> [{ id, name, registered, moderationActive, botAdmin }]
+ * }
+ * Returns async (req, res, url) => void for paths under /dashboard.
+ */
+function createDashboard(deps) {
+  const sessions = new Map(); // id -> expiresAt
+  const failures = new Map(); // ip -> [timestamps]
+
+  function sessionValid(req) {
+    const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const exp = id && sessions.get(id);
+    if (!exp) return false;
+    if (exp < Date.now()) { sessions.delete(id); return false; }
+    return true;
+  }
+
+  function throttled(ip) {
+    const recent = (failures.get(ip) || []).filter(t => Date.now() - t < LOGIN_WINDOW_MS);
+    failures.set(ip, recent);
+    return recent.length >= LOGIN_MAX_FAILURES;
+  }
+
+  async function snapshot() {
+    const warnings = deps.getWarnings();
+    const registered = deps.groupConfig.list().filter(g => g.id);
+    const offenders = Object.keys(warnings).map(user => ({
+      user,
+      // member keys are phone digits, or "<lid>@lid" while the number isn't known
+      label: /^\d+$/.test(user) ? `+${user}` : user,
+      activeStrikes: registered.reduce((n, g) => n + activeStrikes(warnings, user, g.id, g.warningExpiryMs), 0),
+      offences: (warnings[user] || []).length
+    })).filter(u => u.offences > 0).sort((a, b) => b.activeStrikes - a.activeStrikes || b.offences - a.offences).slice(0, 10);
+    const recent = (await deps.audit.read({ limit: 30 })).reverse()
+      .map(e => ({ at: e.at, type: e.type, outcome: e.outcome, groupName: e.groupName, author: e.author, body: e.body ? String(e.body).slice(0, 120) : "", rule: e.rule }));
+    const wordLists = [{ id: "defaults", name: "Defaults (inherited)", words: Array.from(deps.groupConfig.defaults().bannedWords).sort() }]
+      .concat(registered.map(g => ({ id: g.id, name: g.name, words: Array.from(g.bannedWords).sort() })));
+    return { ok: true, connection: deps.getConnection(), hasQr: !!deps.getQr(), groups: await deps.listGroups(), offenders, recent, wordLists };
+  }
+
+  return async function handle(req, res, url) {
+    if (!deps.password) { sendHtml(res, 503, "<p>Dashboard disabled — set DASHBOARD_PASSWORD.</p>"); return; }
+    const p = url.pathname.replace(/\/+$/, "") || "/dashboard";
+    const ip = req.socket.remoteAddress || "unknown";
+
+    if (p === "/dashboard/login") {
+      if (req.method === "GET") { sendHtml(res, 200, loginPage()); return; }
+      if (req.method !== "POST") { sendHtml(res, 405, "Method not allowed"); return; }
+      if (throttled(ip)) { sendHtml(res, 429, loginPage("Too many attempts — try again later.")); return; }
+      let form;
+      try {
+        form = await readForm(req);
+      } catch (e) {
+        const status = e.status || 400;
+        sendHtml(res, status, loginPage(status === 413 ? "That form was too large." : "The form could not be read."), { Connection: "close" });
+        return;
+      }
+      if (!sameSecret(form.get("password") || "", deps.password)) {
+        failures.get(ip).push(Date.now());
+        sendHtml(res, 401, loginPage("Wrong password."));
+        return;
+      }
+      failures.delete(ip);
+      const id = crypto.randomBytes(24).toString("hex");
+      sessions.set(id, Date.now() + SESSION_TTL_MS);
+      res.writeHead(303, { Location: "/dashboard", "Set-Cookie": `${SESSION_COOKIE}=${id}; HttpOnly; SameSite=Strict; Path=/dashboard; Max-Age=${SESSION_TTL_MS / 1000}` });
+      res.end();
+      return;
+    }
+
+    if (!sessionValid(req)) {
+      if (p === "/dashboard") { res.writeHead(303, { Location: "/dashboard/login" }); res.end(); return; }
+      sendJson(res, 401, { ok: false, error: "login required" });
+      return;
+    }
+
+    try {
+      if (p === "/dashboard/logout" && req.method === "POST") {
+        sessions.delete(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+        res.writeHead(303, { Location: "/dashboard/login", "Set-Cookie": `${SESSION_COOKIE}=; HttpOnly; SameSite=Strict; Path=/dashboard; Max-Age=0` });
+        res.end();
+        return;
+      }
+      if (p === "/dashboard" && req.method === "GET") { sendHtml(res, 200, DASHBOARD_PAGE); return; }
+      if (p === "/dashboard/data" && req.method === "GET") { sendJson(res, 200, await snapshot()); return; }
+      if (p === "/dashboard/qr.svg" && req.method === "GET") {
+        const qr = deps.getQr();
+        if (!qr) { sendJson(res, 404, { ok: false, error: "no QR pending" }); return; }
+        res.writeHead(200, { "Content-Type": "image/svg+xml", "Cache-Control": "no-store" });
+        res.end(qrSvg(qr));
+        return;
+      }
+      if (p === "/dashboard/words" && req.method === "POST") {
+        if (!/^application\/json/.test(req.headers["content-type"] || "")) throw httpError(415, "expected application/json");
+        const body = await readJsonBody(req);
+        const id = body.group;
+        if (!id || !deps.groupConfig.get(id)) throw httpError(404, "unknown group");
+        const add = Array.isArray(body.add) ? body.add.filter(w => typeof w === "string" && w.trim()) : [];
+        const remove = Array.isArray(body.remove) ? body.remove.filter(w => typeof w === "string" && w.trim()) : [];
+        if (!add.length && !remove.length) throw httpError(400, 'send "add" or "remove" with at least one word');
+        if (add.length) await deps.groupConfig.addBannedWords(id, add);
+        if (remove.length) await deps.groupConfig.removeBannedWords(id, remove);
+        deps.audit.append({ type: "command", group: id === "defaults" ? null : id, body: "dashboard word list edit", trigger: "dashboard", detail: JSON.stringify({ add, remove }) });
+        sendJson(res, 200, { ok: true, words: Array.from(deps.groupConfig.get(id).bannedWords).sort() });
+        return;
+      }
+      sendJson(res, 404, { ok: false, error: "not found" });
+    } catch (e) {
+      const status = e.status || 500;
+      sendJson(res, status, { ok: false, error: status === 500 ? "internal error" : e.message });
+      if (status === 500) throw e;
+    }
+  };
+}
+
+module.exports = { createDashboard, qrSvg };
@@ -0,0 +1,30 @@
+/**
+ * lib/duration.js — parse and print short durations ("30m", "1h", "2d", "1h30m")
+ */
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 3600 * 1000, d: 24 * 3600 * 1000, w: 7 * 24 * 3600 * 1000 };
+
+// Returns milliseconds, or null if the text isn't a duration. Bare numbers are minutes.
+function parseDuration(text) {
+  if (typeof text === "number") return text > 0 ? text * UNITS.m : null;
+  const s = String(text || "").replace(/\s+/g, "").toLowerCase();
+  if (/^\d+(\.\d+)?$/.test(s)) return parseFloat(s) * UNITS.m;
+  if (!/^(\d+(\.\d+)?[smhdw])+$/.test(s)) return null;
+  let total = 0, m;
+  const re = /(\d+(?:\.\d+)?)([smhdw])/g;
+  while ((m = re.exec(s))) total += parseFloat(m[1]) * UNITS[m[2]];
+  if (!total) return null;
+  return total;
+}
+
+function formatDuration(ms) {
+  if (!(ms > 0)) return "0m";
+  const parts = [];
+  for (const [unit, size] of [["d", UNITS.d], ["h", UNITS.h], ["m", UNITS.m]]) {
+    const n = Math.floor(ms / size);
+    if (n) { parts.push(`${n}${unit}`); ms -= n * size; }
+  }
+  return parts.join("") || `${Math.ceil(ms / 1000)}s`;
+}
+
+module.exports = { parseDuration, formatDuration };
@@ -0,0 +1,77 @@
+/**
+ * lib/escalation.js — strike ladder that decides what happens after an offence
+ *
+ * A group's "escalation" config is a list of steps keyed by active strike count:
+ *
+ *   "escalation": [
+ *     { "strike": 1, "action": "warn" },
+ *     { "strike": 2, "action": "mute", "duration": "1h" },
+ *     { "strike": 3, "action": "remove", "readdAfter": "24h" },
+ *     { "strike": 4, "action": "ban" }
+ *   ]
+ *
+ * Removals and bans go on the group's ban list so members can't simply be added
+ * back. A "remove" stays banned until its "readdAfter" (else "banFor"), a "ban" until
+ * its "banFor"; without either the entry lasts until "!unban".
+ *
+ * The step that fires is the highest one at or below the user's active strikes.
+ * Strikes are weighted by "wordSeverity" ({ "cunt": 3 }), so a severe term can
+ * jump straight up the ladder. Without an "escalation" block the ladder is the
+ * classic one: warn until warningsThreshold, then remove.
+ */
+
+const { parseDuration } = require("./duration");
+
+const ACTIONS = ["warn", "mute", "remove", "ban"];
+
+function defaultLadder(threshold) {
+  const steps = [];
+  if (threshold > 1) steps.push({ strike: 1, action: "warn", durationMs: 0, readdAfterMs: 0, banForMs: 0 });
+  steps.push({ strike: threshold, action: "remove", durationMs: 0, readdAfterMs: 0, banForMs: 0 });
+  return steps;
+}
+
+// Validate and normalise a ladder; throws with a readable message on bad config
+function compileLadder(steps, threshold) {
+  if (steps === undefined || steps === null) return defaultLadder(threshold);
+  if (!Array.isArray(steps) || !steps.length) throw new Error('"escalation" must be a non-empty array');
+  const out = steps.map((s, i) => {
+    const strike = parseInt(s && s.strike, 10);
+    if (!(strike > 0)) throw new Error(`escalation[${i}].strike must be a positive number`);
+    if (!ACTIONS.includes(s.action)) throw new Error(`escalation[${i}].action must be one of ${ACTIONS.join(", ")}`);
+    const durationMs = s.duration !== undefined ? parseDuration(s.duration) : 0;
+    if (s.action === "mute" && !durationMs) throw new Error(`escalation[${i}] (mute) needs a "duration" like "1h"`);
+    const readdAfterMs = s.readdAfter !== undefined ? parseDuration(s.readdAfter) : 0;
+    if (s.readdAfter !== undefined && !readdAfterMs) throw new Error(`escalation[${i}].readdAfter must be a duration like "24h"`);
+    const banForMs = s.banFor !== undefined ? parseDuration(s.banFor) : 0;
+    if (s.banFor !== undefined && !banForMs) throw new Error(`escalation[${i}].banFor must be a duration like "7d"`);
+    return { strike, action: s.action, durationMs: durationMs || 0, readdAfterMs: readdAfterMs || 0, banForMs: banForMs || 0 };
+  });
+  out.sort((a, b) => a.strike - b.strike);
+  if (new Set(out.map(s => s.strike)).size !== out.length) throw new Error("escalation has two steps for the same strike");
+  return out;
+}
+
+function pickStep(ladder, strikes) {
+  let step = null;
+  for (const s of ladder) if (s.strike <= strikes) step = s;
+  return step;
+}
+
+// The top rung clears the user's strikes once it has fired (nothing left to escalate to)
+function isFinalStep(ladder, step) {
+  return !!step && ladder[ladder.length - 1] === step;
+}
+
+// Strike count at which the ladder first takes someone out of the group (for "x/N" texts)
+function removalStrike(ladder) {
+  const step = ladder.find(s => s.action === "remove" || s.action === "ban");
+  return step ? step.strike : null;
+}
+
+function strikeWeight(term, severity) {
+  const w = severity && term ? parseInt(severity[String(term).toLowerCase()], 10) : NaN;
+  return w > 0 ? w : 1;
+}
+
+module.exports = { ACTIONS, compileLadder, pickStep, isFinalStep, removalStrike, strikeWeight };
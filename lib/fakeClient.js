@@ -0,0 +1,211 @@
+/**
+ * lib/fakeClient.js — an in-memory WhatsApp client for tests and offline runs
+ *
+ * Implements the client interface in lib/client.js without a browser. Groups,
+ * participants and admin rights are set up by hand; what the bot does comes back
+ * as a list of actions to assert on:
+ *
+ *   const client = createFakeClient({ me: "6500000000@c.us" });
+ *   client.addGroup({ id: "g1@g.us", name: "Test", members: ["6511111111@c.us"], admins: [], botAdmin: true });
+ *   await client.initialize();                                  // "ready" handlers have run
+ *   await client.receive("g1@g.us", "6511111111@c.us", "hello"); // "message" handlers have run
+ *   client.actions   // [{ type: "send", to, body }, { type: "delete", chat, messageId, everyone }, ...]
+ *
+ * Events are delivered to every listener and awaited, so a scripted conversation
+ * can check the outcome of each message right after sending it. Things that need
+ * admin rights on WhatsApp (deleting for everyone, removing or adding members,
+ * locking the group) throw unless the bot is an admin of that group.
+ */
+
+const { EventEmitter } = require("events");
+
+function serialise(id) {
+  const [user, server] = id.split("@");
+  return { _serialized: id, user, server };
+}
+
+function createFakeClient(options = {}) {
+  const client = new EventEmitter();
+  const me = options.me || "6500000000@c.us";
+  const chats = new Map(); // chat id -> chat
+  const messages = new Map(); // message id -> message
+  const lids = new Map(); // "<lid>@lid" -> "<phone>@c.us"
+  const actions = [];
+  let counter = 0;
+
+  // Run every listener for an event and wait for all of them
+  async function deliver(event, ...args) {
+    await Promise.all(client.listeners(event).map(fn => fn(...args)));
+  }
+
+  function chatOf(id) {
+    const chat = chats.get(id);
+    if (!chat) throw new Error(`no such chat ${id}`);
+    return chat;
+  }
+
+  function participant(chat, id) {
+    return chat.participants.find(p => p.id._serialized === id) || null;
+  }
+
+  function requireAdmin(chat, what) {
+    const self = participant(chat, me);
+    if (!self || !(self.isAdmin || self.isSuperAdmin)) throw new Error(`${what}: not an admin of ${chat.name}`);
+  }
+
+  function record(action) {
+    actions.push(action);
+    return action;
+  }
+
+  function contact(id) {
+    const pn = id.endsWith("@lid") ? lids.get(id) : id;
+    return { id: serialise(id), number: pn ? pn.split("@")[0] : null, isMe: id === me, pushname: id.split("@")[0] };
+  }
+
+  function createMessage(chatId, author, body, extra = {}) {
+    const n = ++counter;
+    const isGroup = chatId.endsWith("@g.us");
+    const message = {
+      id: Object.assign(serialise(`${author === me ? "true" : "false"}_${chatId}_FAKE${n}`), { id: `FAKE${n}`, fromMe: author === me }),
+      body,
+      from: author === me ? me : chatId,
+      to: author === me ? chatId : me,
+      author: isGroup ? author : undefined,
+      fromMe: author === me,
+      timestamp: Math.floor(Date.now() / 1000),
+      type: extra.type || "chat",
+      hasMedia: !!extra.media,
+      mentionedIds: (extra.mentions || []).slice(),
+      hasQuotedMsg: !!extra.quoted,
+      deleted: false,
+      async getChat() { return chatOf(chatId); },
+      async getContact() { return contact(author); },
+      async getQuotedMessage() { return extra.quoted ? messages.get(extra.quoted.id ? extra.quoted.id._serialized : extra.quoted) || null : null; },
+      async downloadMedia() { return extra.media || null; },
+      async delete(everyone) {
+        const chat = chats.get(chatId);
+        if (everyone && chat && !message.fromMe) requireAdmin(chat, "delete");
+        if (everyone) message.deleted = true;
+        record({ type: "delete", chat: chatId, messageId: message.id._serialized, author, body: message.body, everyone: !!everyone });
+      },
+      async forward(to) {
+        record({ type: "forward", to, messageId: message.id._serialized });
+      }
+    };
+    messages.set(message.id._serialized, message);
+    return message;
+  }
+
+  function createChat({ id, name, members = [], admins = [], botAdmin = false }) {
+    const chat = {
+      id: serialise(id),
+      name: name || id,
+      isGroup: true,
+      participants: [],
+      async sendMessage(text, opts = {}) { return client.sendMessage(id, text, opts); },
+      async removeParticipants(ids) {
+        requireAdmin(chat, "removeParticipants");
+        for (const pid of ids) {
+          if (!participant(chat, pid)) throw new Error(`${pid} is not in ${chat.name}`);
+          chat.participants = chat.participants.filter(p => p.id._serialized !== pid);
+          record({ type: "remove", chat: id, id: pid });
+        }
+      },
+      async addParticipants(ids) {
+        requireAdmin(chat, "addParticipants");
+        for (const pid of ids) {
+          if (!participant(chat, pid)) chat.participants.push({ id: serialise(pid), isAdmin: false, isSuperAdmin: false });
+          record({ type: "add", chat: id, id: pid });
+        }
+      },
+      async setMessagesAdminsOnly(on) {
+        requireAdmin(chat, "setMessagesAdminsOnly");
+        chat.adminsOnly = !!on;
+        record({ type: "admins-only", chat: id, on: !!on });
+      },
+      async fetchMessages({ limit = 50 } = {}) {
+        return Array.from(messages.values()).filter(m => (m.fromMe ? m.to : m.from) === id).slice(-limit);
+      }
+    };
+    for (const m of members) chat.participants.push({ id: serialise(m), isAdmin: admins.includes(m), isSuperAdmin: false });
+    chat.participants.push({ id: serialise(me), isAdmin: !!botAdmin, isSuperAdmin: false });
+    return chat;
+  }
+
+  Object.assign(client, {
+    info: { wid: serialise(me), pushname: "fake bot" },
+    actions,
+
+    async initialize() {
+      await deliver("authenticated");
+      await deliver("ready");
+    },
+    async destroy() {},
+
+    async getChats() { return Array.from(chats.values()); },
+    async getChatById(id) { return chatOf(id); },
+    async getContactById(id) { return contact(id); },
+    async getMessageById(id) { return messages.get(id) || null; },
+    async getContactLidAndPhone(ids) {
+      return ids.map(id => {
+        if (id.endsWith("@lid")) return lids.has(id) ? { lid: id, pn: lids.get(id) } : {};
+        const lid = Array.from(lids.keys()).find(k => lids.get(k) === id);
+        return lid ? { lid, pn: id } : {};
+      });
+    },
+    async sendMessage(to, content, opts = {}) {
+      const body = typeof content === "string" ? content : `[${content && content.mimetype ? content.mimetype : "media"}]`;
+      const message = createMessage(to, me, body);
+      record({ type: "send", to, body, mentions: (opts.mentions || []).map(c => (c && c.id ? c.id._serialized : c)) });
+      return message;
+    },
+
+    // ----- scripting -----
+    addGroup(group) {
+      const chat = createChat(group);
+      chats.set(group.id, chat);
+      return chat;
+    },
+    setAdmin(chatId, id, isAdmin = true) {
+      const p = participant(chatOf(chatId), id);
+      if (!p) throw new Error(`${id} is not in ${chatId}`);
+      p.isAdmin = !!isAdmin;
+    },
+    // Tell the client a LID belongs to a phone number (answers getContactLidAndPhone)
+    linkLid(lid, phone) { lids.set(lid, phone); },
+    // A member sends a message; resolves once every "message" handler has finished
+    async receive(chatId, author, body, extra = {}) {
+      const message = createMessage(chatId, author, body, extra);
+      await deliver("message", message);
+      return message;
+    },
+    async edit(message, newBody) {
+      const prevBody = message.body;
+      message.body = newBody;
+      await deliver("message_edit", message, newBody, prevBody);
+      return message;
+    },
+    async join(chatId, ids, { by } = {}) {
+      const chat = chatOf(chatId);
+      for (const id of ids) if (!participant(chat, id)) chat.participants.push({ id: serialise(id), isAdmin: false, isSuperAdmin: false });
+      await deliver("group_join", { chatId, author: by, recipientIds: ids.slice(), getChat: async () => chat });
+    },
+    async leave(chatId, ids, { by } = {}) {
+      const chat = chatOf(chatId);
+      chat.participants = chat.participants.filter(p => !ids.includes(p.id._serialized));
+      await deliver("group_leave", { chatId, author: by, recipientIds: ids.slice(), getChat: async () => chat });
+    },
+    // The session drops and comes back: "disconnected", then "ready" again
+    async reconnect(reason = "NAVIGATION") {
+      await deliver("disconnected", reason);
+      await deliver("ready");
+    },
+    members(chatId) { return chatOf(chatId).participants.map(p => p.id._serialized); },
+    // Actions since a given index (e.g. client.actions.length before a step)
+    since(index) { return actions.slice(index); }
+  });
+  return client;
+}
+
+module.exports = { createFakeClient };
@@ -0,0 +1,87 @@
+/**
+ * lib/gate.js — welcome message and timed verification for new members
+ *
+ * A group's "newMembers" block:
+ *
+ *   "newMembers": {
+ *     "welcome": "Welcome {user} to \"{group}\"!{rules}{verify}",
+ *     "rules": "1. Be kind  2. No spam",
+ *     "verify": { "phrase": "I agree" },                  // or { "question": "3 + 4?", "answer": "7" }, or false
+ *     "timeout": "10m",
+ *     "onTimeout": "remove",                              // or "flag" (tell the group, keep them)
+ *     "restrict": ["links", "media"]                      // blocked until verified
+ *   }
+ *
+ * Without a "newMembers" block nobody is greeted or gated. "{rules}" and "{verify}"
+ * expand to their own paragraphs (leading blank line included), "{verify}" being the
+ * instruction for the configured phrase / question. Answers are compared
+ * case-insensitively, ignoring spacing and punctuation.
+ */
+
+const { parseDuration } = require("./duration");
+
+const RESTRICTIONS = ["links", "media", "mentions"];
+const DEFAULT_WELCOME = 'Welcome {user} to "{group}"!{rules}{verify}';
+
+function compileGateConfig(block, inherited) {
+  if (block === undefined) return inherited || null;
+  if (block === null || block === false) return null;
+  if (typeof block !== "object" || Array.isArray(block)) throw new Error('"newMembers" must be an object or false');
+  const out = Object.assign({ welcome: DEFAULT_WELCOME, rules: "", verify: null, timeoutMs: 10 * 60 * 1000, onTimeout: "remove", restrict: ["links", "media"] }, inherited || {});
+  if (block.welcome !== undefined) out.welcome = String(block.welcome || "");
+  if (block.rules !== undefined) out.rules = String(block.rules || "");
+  if (block.verify !== undefined) {
+    const v = block.verify;
+    if (!v) out.verify = null;
+    else if (typeof v.phrase === "string" && v.phrase.trim()) out.verify = { phrase: v.phrase.trim() };
+    else if (typeof v.question === "string" && typeof v.answer === "string" && v.answer.trim()) out.verify = { question: v.question.trim(), answer: v.answer.trim() };
+    else throw new Error('newMembers.verify needs a "phrase", or a "question" and an "answer"');
+  }
+  if (block.timeout !== undefined) {
+    out.timeoutMs = parseDuration(block.timeout);
+    if (!out.timeoutMs) throw new Error('newMembers.timeout must be a duration like "10m"');
+  }
+  if (block.onTimeout !== undefined) {
+    if (block.onTimeout !== "remove" && block.onTimeout !== "flag") throw new Error('newMembers.onTimeout must be "remove" or "flag"');
+    out.onTimeout = block.onTimeout;
+  }
+  if (block.restrict !== undefined) {
+    if (!Array.isArray(block.restrict) || block.restrict.some(r => !RESTRICTIONS.includes(r))) {
+      throw new Error(`newMembers.restrict must be a list of ${RESTRICTIONS.join(", ")}`);
+    }
+    out.restrict = block.restrict.slice();
+  }
+  return out;
+}
+
+function simplify(text) {
+  return String(text || "").toLowerCase().normalize("NFKC").replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+}
+
+function isVerificationAnswer(gate, text) {
+  if (!gate || !gate.verify) return false;
+  const expected = gate.verify.phrase || gate.verify.answer;
+  return simplify(text) === simplify(expected);
+}
+
+function verifyInstruction(gate, timeoutText) {
+  if (!gate || !gate.verify) return "";
+  if (gate.verify.phrase) return `To confirm you've read the rules, reply with "${gate.verify.phrase}" within ${timeoutText}.`;
+  return `To confirm you've read the rules, answer within ${timeoutText}: ${gate.verify.question}`;
+}
+
+/**
+ * The welcome text for a new member.
+ * vars: { user, group, timeout } — timeout is already human-readable
+ */
+function welcomeText(gate, vars) {
+  const rules = gate.rules ? `\n\nRules:\n${gate.rules}` : "";
+  const verify = gate.verify ? `\n\n${verifyInstruction(gate, vars.timeout)}` : "";
+  return String(gate.welcome || DEFAULT_WELCOME).replace(/\{(\w+)\}/g, (m, k) => {
+    if (k === "rules") return rules;
+    if (k === "verify") return verify;
+    return vars[k] !== undefined ? String(vars[k]) : m;
+  }).trim();
+}
+
+module.exports = { RESTRICTIONS, compileGateConfig, isVerificationAnswer, verifyInstruction, welcomeText };
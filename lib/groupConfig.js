@@ -0,0 +1,315 @@
+/**
+ * lib/groupConfig.js — per-group moderation config with hot reload
+ *
+ * The config file is plain JSON:
+ *
+ *   {
+ *     "defaults": { "enabled": true, "bannedWords": [...], "warningsThreshold": 3,
+ *                   "roles": { "owner": [...], "moderator": [...] }, "notifications": { ... } },
+ *     "groups": [
+ *       { "id": "1203...@g.us", "name": "6-3 of '25", "warningsThreshold": 2, "extraBannedWords": [...] },
+ *       { "id": "1203...@g.us", "name": "chat gc <3", "bannedWords": [...], "warningsThreshold": 5 }
+ *     ]
+ *   }
+ *
+ * Groups are matched by WhatsApp group id (chat.id._serialized); "name" is only a
+ * label. An entry with a name but no id is matched by name once and then pinned
+ * to that group's id, so later renames don't stop moderation. The file doubles as
+ * the group registry: register()/unregister() rewrite it atomically.
+ *
+ * Every group entry inherits from "defaults" (which in turn falls back to the
+ * built-in defaults passed in by index.js). "bannedWords" replaces the inherited
+ * list, "extraBannedWords" adds to it, and "allowedWords" lists normal words the
+ * obfuscation-tolerant matcher (lib/normalize.js) must never flag. "escalation" and
+ * "wordSeverity" configure the strike ladder (see lib/escalation.js); "roles", "permissions"
+ * and "groupAdminsAreModerators" configure who may do what (see lib/roles.js), "spam"
+ * tunes the flood / duplicate / mention detector (see lib/spam.js), "links" sets
+ * the link and invite policy (see lib/links.js), "media" the media rules (see
+ * lib/media.js), "newMembers" the welcome / verification gate (see lib/gate.js),
+ * "raid" the lockdown thresholds (see lib/raid.js), "slowMode" the per-member
+ * message limit (see lib/slowmode.js), "reports" the member report queue (see
+ * lib/reports.js) and "plugins" which plugins run in the group (see lib/plugins.js).
+ * The file is polled for changes and re-applied in place; a broken edit is logged and
+ * the previous config is kept.
+ */
+
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+const { log, warn } = require("./log");
+const { buildMatcher } = require("./normalize");
+const { DAY_MS } = require("./offences");
+const { compileLadder } = require("./escalation");
+const { toE164, normaliseNumbers, compileRoles, compilePermissions } = require("./roles");
+const { DEFAULT_SPAM, compileSpamConfig } = require("./spam");
+const { DEFAULT_LINKS, compileLinkPolicy } = require("./links");
+const { DEFAULT_MEDIA, compileMediaPolicy } = require("./media");
+const { compileGateConfig } = require("./gate");
+const { DEFAULT_RAID, compileRaidConfig } = require("./raid");
+const { compileSlowMode } = require("./slowmode");
+const { DEFAULT_REPORTS, compileReportsConfig } = require("./reports");
+const { compilePluginConfig } = require("./plugins");
+
+const WATCH_INTERVAL_MS = 2000;
+
+const DEFAULT_NOTIFICATIONS = {
+  warning: 'You have received a warning for using banned language in "{group}". Warning {count}/{threshold}. Please follow group rules.',
+  removal: "User removed for repeated use of banned language (warnings: {count}).",
+  tempRemoval: "User removed for {duration} for repeated use of banned language (strikes: {count}).",
+  ban: "User banned for repeated use of banned language (strikes: {count}).",
+  mute: 'You have been muted in "{group}" for {duration} (strike {count}) — anything you send there will be deleted until then.',
+  spam: 'Please don\'t spam in "{group}" ({reason}). Warning {count}/{threshold}.',
+  link: 'That link isn\'t allowed in "{group}" ({reason}). Warning {count}/{threshold}.',
+  media: 'Your media was removed from "{group}" ({reason}). Warning {count}/{threshold}.',
+  manualWarning: 'A moderator warned you in "{group}" ({reason}). Warning {count}/{threshold}.',
+  manualMute: 'You have been muted in "{group}" for {duration}{reason} — anything you send there will be deleted until then.',
+  slowMode: 'Slow mode is on for you in "{group}" ({limit}). Messages sent faster than that are deleted.',
+  startup: ""
+};
+
+// Fill "{placeholder}" tokens in a notification template
+function formatNotification(template, vars) {
+  return String(template || "").replace(/\{(\w+)\}/g, (m, k) => (vars && vars[k] !== undefined ? String(vars[k]) : m));
+}
+
+function normaliseWordList(list) {
+  if (typeof list === "string") list = list.split(",");
+  if (!Array.isArray(list)) return [];
+  return list.map(s => String(s).trim().toLowerCase()).filter(Boolean);
+}
+
+function normaliseSeverity(map) {
+  const out = {};
+  for (const [word, weight] of Object.entries(map || {})) {
+    const w = parseInt(weight, 10);
+    if (!(w > 0)) throw new Error(`wordSeverity["${word}"] must be a positive number`);
+    out[String(word).trim().toLowerCase()] = w;
+  }
+  return out;
+}
+
+function validateConfig(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("config root must be an object");
+  if (raw.defaults !== undefined && (typeof raw.defaults !== "object" || Array.isArray(raw.defaults))) throw new Error('"defaults" must be an object');
+  if (raw.groups !== undefined && !Array.isArray(raw.groups)) throw new Error('"groups" must be an array');
+  (raw.groups || []).forEach((g, i) => {
+    if (!g || typeof g !== "object") throw new Error(`groups[${i}] must be an object`);
+    if (!g.id && !g.name) throw new Error(`groups[${i}] needs an "id" (or a "name" to pin on first sight)`);
+    if (g.id && !/@g\.us$/.test(String(g.id))) throw new Error(`groups[${i}].id must be a group id ending in @g.us`);
+    if (g.warningsThreshold !== undefined && !(parseInt(g.warningsThreshold, 10) > 0)) throw new Error(`groups[${i}].warningsThreshold must be a positive number`);
+    if (g.warningExpiryDays !== undefined && !(parseFloat(g.warningExpiryDays) >= 0)) throw new Error(`groups[${i}].warningExpiryDays must be 0 or more`);
+  });
+}
+
+// Merge one group entry over the defaults and precompile what the handler needs
+function compileGroup(entry, defaults) {
+  const words = new Set(entry.bannedWords !== undefined ? normaliseWordList(entry.bannedWords) : defaults.bannedWords);
+  for (const w of normaliseWordList(entry.extraBannedWords)) words.add(w);
+  const allowed = entry.allowedWords !== undefined ? normaliseWordList(entry.allowedWords) : defaults.allowedWords;
+  const threshold = parseInt(entry.warningsThreshold !== undefined ? entry.warningsThreshold : defaults.warningsThreshold, 10);
+  // a group's legacy "admins" are owners of that group, on top of the global owners
+  const roles = compileRoles(Object.assign({}, entry.roles, entry.admins !== undefined ? { owner: normaliseNumbers(entry.admins, "admins").concat(entry.roles?.owner || []) } : {}), defaults.roles, "roles");
+  return {
+    id: entry.id ? String(entry.id) : null,
+    name: String(entry.name || entry.id),
+    enabled: entry.enabled !== undefined ? entry.enabled !== false : defaults.enabled,
+    bannedWords: words,
+    allowedWords: allowed,
+    matcher: buildMatcher(words, { allowWords: allowed }),
+    warningsThreshold: threshold > 0 ? threshold : 3,
+    escalation: compileLadder(entry.escalation !== undefined ? entry.escalation : defaults.escalation, threshold > 0 ? threshold : 3),
+    wordSeverity: normaliseSeverity(Object.assign({}, defaults.wordSeverity, entry.wordSeverity || {})),
+    warningExpiryMs: Math.max(0, parseFloat(entry.warningExpiryDays !== undefined ? entry.warningExpiryDays : defaults.warningExpiryDays) || 0) * DAY_MS,
+    roles,
+    permissions: compilePermissions(entry.permissions, defaults.permissions, "permissions"),
+    spam: compileSpamConfig(entry.spam, defaults.spam),
+    links: compileLinkPolicy(entry.links, defaults.links),
+    media: compileMediaPolicy(entry.media, defaults.media),
+    newMembers: compileGateConfig(entry.newMembers, defaults.newMembers),
+    raid: compileRaidConfig(entry.raid, defaults.raid),
+    slowMode: compileSlowMode(entry.slowMode, defaults.slowMode),
+    reports: compileReportsConfig(entry.reports, defaults.reports),
+    plugins: compilePluginConfig(entry.plugins, defaults.plugins),
+    groupAdminsAreModerators: entry.groupAdminsAreModerators !== undefined ? entry.groupAdminsAreModerators === true : defaults.groupAdminsAreModerators,
+    admins: roles.owner,
+    notifications: Object.assign({}, defaults.notifications, entry.notifications || {})
+  };
+}
+
+/**
+ * Create a config holder for the given file.
+ * builtins: { bannedWords, warningsThreshold, warningExpiryDays, admins (owners), enabled } used when the
+ * file (or its "defaults" block) leaves a setting out.
+ */
+function createGroupConfig(file, builtins) {
+  let groups = [];
+  let defaults = null;
+  let rawConfig = { groups: [] };
+  let lastRaw = null;
+  let writeChain = Promise.resolve();
+  const listeners = [];
+
+  function apply(raw) {
+    validateConfig(raw);
+    const d = raw.defaults || {};
+    const nextDefaults = {
+      enabled: d.enabled !== undefined ? d.enabled !== false : builtins.enabled !== false,
+      bannedWords: d.bannedWords !== undefined ? normaliseWordList(d.bannedWords) : Array.from(builtins.bannedWords || []),
+      allowedWords: d.allowedWords !== undefined ? normaliseWordList(d.allowedWords) : [],
+      warningsThreshold: d.warningsThreshold !== undefined ? d.warningsThreshold : builtins.warningsThreshold,
+      warningExpiryDays: d.warningExpiryDays !== undefined ? d.warningExpiryDays : builtins.warningExpiryDays,
+      escalation: d.escalation,
+      wordSeverity: d.wordSeverity || {},
+      roles: compileRoles(d.roles, { owner: d.admins !== undefined ? normaliseNumbers(d.admins, "defaults.admins") : (builtins.admins || []).map(toE164).filter(Boolean) }, "defaults.roles"),
+      permissions: compilePermissions(d.permissions, {}, "defaults.permissions"),
+      groupAdminsAreModerators: d.groupAdminsAreModerators === true,
+      spam: compileSpamConfig(d.spam, DEFAULT_SPAM),
+      links: compileLinkPolicy(d.links, DEFAULT_LINKS),
+      media: compileMediaPolicy(d.media, DEFAULT_MEDIA),
+      newMembers: compileGateConfig(d.newMembers, null),
+      raid: compileRaidConfig(d.raid, DEFAULT_RAID),
+      slowMode: compileSlowMode(d.slowMode, null),
+      reports: compileReportsConfig(d.reports, DEFAULT_REPORTS),
+      plugins: compilePluginConfig(d.plugins, {}),
+      notifications: Object.assign({}, DEFAULT_NOTIFICATIONS, d.notifications || {})
+    };
+    nextDefaults.admins = nextDefaults.roles.owner;
+    const nextGroups = (raw.groups || []).map((g, i) => {
+      try { return compileGroup(g, nextDefaults); } catch (e) { throw new Error(`groups[${i}]: ${e.message}`); }
+    });
+    // only swap in once everything compiled
+    defaults = nextDefaults;
+    groups = nextGroups;
+    rawConfig = raw;
+  }
+
+  function notify() {
+    for (const fn of listeners) { try { fn(groups); } catch (e) { warn("Group config listener failed:", e?.message || e); } }
+  }
+
+  // Atomic rewrite of the file from rawConfig (temp file + rename), serialised
+  function persist() {
+    const text = JSON.stringify(rawConfig, null, 2) + "\n";
+    writeChain = writeChain.then(async () => {
+      await fsp.mkdir(path.dirname(file), { recursive: true }).catch(() => {});
+      const tmpPath = `${file}.tmp`;
+      await fsp.writeFile(tmpPath, text, { encoding: "utf8", flag: "w" });
+      await fsp.rename(tmpPath, file);
+      lastRaw = text;
+    });
+    return writeChain;
+  }
+
+  function update(mutator) {
+    const next = JSON.parse(JSON.stringify(rawConfig));
+    if (!Array.isArray(next.groups)) next.groups = [];
+    mutator(next);
+    apply(next);
+    notify();
+    return persist();
+  }
+
+  // Edit one entry ("defaults" or a group id); mutator gets (rawEntry, compiledEntry)
+  async function editEntry(id, mutator) {
+    const target = id === "defaults" ? defaults : groups.find(g => g.id === id);
+    if (!target) throw new Error(`group ${id} is not registered`);
+    await update(next => {
+      const entry = id === "defaults" ? (next.defaults = next.defaults || {}) : next.groups.find(e => e.id === id);
+      mutator(entry, target);
+    });
+  }
+
+  // Banned-word edits always write the full resulting list to the entry
+  function writeWords(entry, words) {
+    entry.bannedWords = Array.from(new Set(words));
+    delete entry.extraBannedWords;
+  }
+
+  // Legacy name-only entry: pin it to the id of the first group seen with that name
+  function pin(chat) {
+    const id = chat.id._serialized;
+    const idx = (rawConfig.groups || []).findIndex(e => !e.id && e.name === chat.name);
+    if (idx === -1) return null;
+    log(`Pinning group config "${chat.name}" to id ${id}`);
+    update(next => { next.groups[idx].id = id; }).catch(e => warn("Failed to persist pinned group id:", e?.message || e));
+    return groups.find(g => g.id === id) || null;
+  }
+
+  // Synchronous so the handler never sees a half-applied config
+  function reload() {
+    let text;
+    try {
+      text = fs.readFileSync(file, "utf8");
+    } catch (e) {
+      if (e.code === "ENOENT") { warn(`Group config ${file} not found — no groups registered yet.`); apply({ groups: [] }); lastRaw = null; return false; }
+      warn("Failed to read group config:", e?.message || e);
+      return false;
+    }
+    if (text === lastRaw) return true;
+    try {
+      apply(JSON.parse(text || "{}"));
+      lastRaw = text;
+      log(`Loaded group config (${groups.length} group(s)) from ${file}`);
+      notify();
+      return true;
+    } catch (e) {
+      warn("Invalid group config — keeping previous settings. Error:", e?.message || e);
+      return false;
+    }
+  }
+
+  function onFileChange(curr, prev) {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    reload();
+  }
+
+  function watch() {
+    fs.watchFile(file, { interval: WATCH_INTERVAL_MS }, onFileChange);
+  }
+
+  function unwatch() {
+    fs.unwatchFile(file, onFileChange);
+  }
+
+  return {
+    reload,
+    watch,
+    unwatch,
+    onChange(fn) { listeners.push(fn); },
+    list() { return groups.slice(); },
+    defaults() { return defaults; },
+    get(id) { return id === "defaults" ? defaults : (groups.find(g => g.id === id) || null); },
+    setBannedWords(id, words) {
+      return editEntry(id, entry => writeWords(entry, normaliseWordList(words)));
+    },
+    addBannedWords(id, words) {
+      return editEntry(id, (entry, current) => writeWords(entry, Array.from(current.bannedWords).concat(normaliseWordList(words))));
+    },
+    removeBannedWords(id, words) {
+      const drop = new Set(normaliseWordList(words));
+      return editEntry(id, (entry, current) => writeWords(entry, Array.from(current.bannedWords).filter(w => !drop.has(w))));
+    },
+    forChat(chat) {
+      if (!chat || !chat.id || !chat.id._serialized) return null;
+      return groups.find(g => g.id === chat.id._serialized) || pin(chat);
+    },
+    // Add a group to the registry (returns false if it was already there)
+    async register(chat) {
+      const id = chat.id._serialized;
+      if (groups.some(g => g.id === id)) return false;
+      await update(next => { next.groups.push({ id, name: chat.name }); });
+      log(`Registered group "${chat.name}" (${id})`);
+      return true;
+    },
+    // Remove a group from the registry (returns false if it wasn't registered)
+    async unregister(chat) {
+      const id = chat.id._serialized;
+      if (!groups.some(g => g.id === id)) return false;
+      await update(next => { next.groups = next.groups.filter(e => e.id !== id); });
+      log(`Unregistered group "${chat.name}" (${id})`);
+      return true;
+    }
+  };
+}
+
+module.exports = { createGroupConfig, formatNotification };
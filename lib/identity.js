@@ -0,0 +1,139 @@
+/**
+ * lib/identity.js — one stable key per WhatsApp member
+ *
+ * WhatsApp addresses the same person by phone number ("6580480362@c.us") or, more and
+ * more in groups, by an opaque LID ("34098282254336@lid") whose digits are not a phone
+ * number. Everything that tracks members (warnings, bans, mutes, roles, reports) keys
+ * on the canonical form instead:
+ *
+ *   number known         E.164 digits, "6580480362" (the keys the bots have always used)
+ *   LID, number unknown  "34098282254336@lid", until the number is learned
+ *
+ * LID -> number mappings are looked up through the client (getContactLidAndPhone, or
+ * the contact's number on older whatsapp-web.js) and cached in the "identities"
+ * collection ("<lid>@lid" -> { phone, at }), so they survive restarts. onLearn()
+ * listeners hear about every new mapping, so records kept under a LID can be moved
+ * to the number.
+ */
+
+const { warn } = require("./log");
+const { createCollection } = require("./storage");
+
+const LOOKUP_RETRY_MS = 10 * 60 * 1000; // a LID WhatsApp couldn't resolve is asked about again after this
+
+// { user, lid } from "x@lid", "x@c.us", a wid object or a typed number
+function parseId(id) {
+  const raw = id && typeof id === "object" ? id._serialized || `${id.user}@${id.server}` : String(id || "");
+  const [user, server] = raw.split("@");
+  return { user: user.replace(/\D/g, ""), lid: server === "lid" };
+}
+
+/**
+ * getClient() returns the current whatsapp-web.js client (or null while there is none);
+ * lookups are skipped without one and the LID form is used until a later resolve().
+ */
+function createIdentityService(store, getClient) {
+  const collection = createCollection(store, "identities");
+  const phones = new Map(); // lid digits -> phone digits
+  const lids = new Map(); // phone digits -> lid digits
+  const lookups = new Map(); // lid digits -> pending lookup
+  const failed = new Map(); // id digits -> time of the last lookup that found nothing
+  const listeners = [];
+
+  async function load() {
+    const records = await collection.load();
+    for (const [key, record] of Object.entries(records)) {
+      const lid = parseId(key).user;
+      if (lid && record && record.phone) { phones.set(lid, record.phone); lids.set(record.phone, lid); }
+    }
+  }
+
+  // Record that a LID belongs to a phone number. Returns true if that was news.
+  function learn(lidId, phoneId) {
+    const lid = parseId(lidId).user;
+    const phone = parseId(phoneId).user;
+    if (!lid || !phone || phones.get(lid) === phone) return false;
+    phones.set(lid, phone);
+    lids.set(phone, lid);
+    collection.data[`${lid}@lid`] = { phone, at: new Date().toISOString() };
+    collection.save();
+    for (const fn of listeners) {
+      try { fn({ lid, phone }); } catch (e) { warn("Identity listener failed:", e?.message || e); }
+    }
+    return true;
+  }
+
+  // Ask WhatsApp for both forms of an id and remember the pair
+  async function lookup(id) {
+    const client = getClient();
+    const { user, lid } = parseId(id);
+    if (!client || !user) return;
+    const serialized = `${user}@${lid ? "lid" : "c.us"}`;
+    try {
+      if (typeof client.getContactLidAndPhone === "function") {
+        const [pair] = await client.getContactLidAndPhone([serialized]);
+        if (pair && pair.lid && pair.pn) learn(pair.lid, pair.pn);
+      } else if (lid) {
+        const contact = await client.getContactById(serialized);
+        if (contact && contact.number) learn(serialized, contact.number);
+      }
+    } catch (e) {
+      warn(`Could not look up ${serialized}:`, e?.message || e);
+    }
+    if (lid ? !phones.has(user) : !lids.has(user)) failed.set(user, Date.now());
+  }
+
+  function describe(user, lid) {
+    const phone = lid ? phones.get(user) || null : user;
+    const lidUser = lid ? user : lids.get(user) || null;
+    return {
+      id: phone ? `${phone}@c.us` : `${user}@lid`,
+      key: phone || `${user}@lid`,
+      phone,
+      lid: lidUser ? `${lidUser}@lid` : null
+    };
+  }
+
+  /**
+   * The canonical form of an id, looking the number up if it's an unknown LID.
+   * A typed number that is really a known LID's digits resolves to that member too.
+   * @returns {Promise<{ id: string, key: string, phone: string|null, lid: string|null }>}
+   */
+  async function resolve(id) {
+    let { user, lid } = parseId(id);
+    if (!lid && phones.has(user)) lid = true;
+    if (lid && user && !phones.has(user) && !(Date.now() - (failed.get(user) || 0) < LOOKUP_RETRY_MS)) {
+      if (!lookups.has(user)) lookups.set(user, lookup(`${user}@lid`).finally(() => lookups.delete(user)));
+      await lookups.get(user);
+    }
+    return describe(user, lid);
+  }
+
+  // Same as resolve() from what is already known, without asking WhatsApp
+  function resolveCached(id) {
+    let { user, lid } = parseId(id);
+    if (!lid && phones.has(user)) lid = true;
+    return describe(user, lid);
+  }
+
+  // Look an id up again even if it's known (e.g. the bot's own LID on start-up)
+  async function refresh(id) {
+    failed.delete(parseId(id).user);
+    await lookup(id);
+    return resolveCached(id);
+  }
+
+  return {
+    load,
+    learn,
+    resolve,
+    refresh,
+    keyOf: id => resolveCached(id).key,
+    phoneOf: id => resolveCached(id).phone,
+    same: (a, b) => !!a && !!b && resolveCached(a).key === resolveCached(b).key,
+    mappings: () => Array.from(phones, ([lid, phone]) => ({ lid, phone })),
+    onLearn: fn => listeners.push(fn)
+  };
+}
+
+module.exports = { parseId, createIdentityService };
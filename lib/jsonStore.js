@@ -0,0 +1,169 @@
+/**
+ * lib/jsonStore.js — the JSON-file storage backend (see lib/storage.js)
+ *
+ * Keeps the layout the bots have always written, so existing files just work:
+ *
+ *   files[collection]  a collection with a file of its own, e.g. warnings.json
+ *                      ({ key: value } at the top level)
+ *   stateFile          every other collection as a top-level key, e.g.
+ *                      { "mutes": { ... }, "bans": { ... } }; records of the "state"
+ *                      collection sit at the top level themselves ({ "readds": [...] })
+ *   auditFile          the append-only JSONL audit log
+ *
+ * Files are rewritten atomically (temp file + rename), one write per file at a time.
+ * A corrupted file is moved aside to <file>.corrupt.<ts> and starts empty; a file
+ * that can't be read for any other reason is never overwritten.
+ */
+
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+const readline = require("readline");
+const { log } = require("./log");
+const { auditMatches } = require("./storage");
+
+const stamp = () => (new Date()).toISOString().replace(/[:.]/g, "-");
+const copy = v => JSON.parse(JSON.stringify(v === undefined ? null : v));
+
+function createJsonStore(options = {}) {
+  const files = options.files || {};
+  const stateFile = options.stateFile;
+  const auditFile = options.auditFile;
+  const cache = new Map(); // file -> parsed top-level object
+  const chains = new Map(); // file -> promise of the last write
+
+  function fileFor(collection) {
+    if (files[collection]) return files[collection];
+    if (!stateFile) throw new Error(`No file configured for "${collection}"`);
+    return stateFile;
+  }
+
+  async function readFile(file) {
+    if (cache.has(file)) return cache.get(file);
+    let obj = {};
+    try {
+      const raw = await fsp.readFile(file, "utf8");
+      try {
+        obj = JSON.parse(raw || "{}") || {};
+      } catch (parseErr) {
+        const corruptPath = `${file}.corrupt.${stamp()}`;
+        await fsp.rename(file, corruptPath).catch(() => fsp.copyFile(file, corruptPath)).catch(() => {});
+        log(`Corrupted ${path.basename(file)} moved to ${corruptPath}`);
+        obj = {};
+      }
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+    }
+    cache.set(file, obj);
+    return obj;
+  }
+
+  // The object holding a collection's records inside its file
+  function recordsIn(collection, obj, create) {
+    if (files[collection] || collection === "state") return obj;
+    if (!obj[collection] && create) obj[collection] = {};
+    return obj[collection] || {};
+  }
+
+  function writeFile(file) {
+    const run = async () => {
+      await fsp.mkdir(path.dirname(file), { recursive: true }).catch(() => {});
+      const tmpPath = `${file}.tmp`;
+      try {
+        await fsp.writeFile(tmpPath, JSON.stringify(cache.get(file), null, 2), { encoding: "utf8", flag: "w" });
+        await fsp.rename(tmpPath, file);
+      } catch (e) {
+        await fsp.unlink(tmpPath).catch(() => {});
+        throw e;
+      }
+    };
+    const p = (chains.get(file) || Promise.resolve()).catch(() => {}).then(run);
+    chains.set(file, p);
+    return p;
+  }
+
+  async function readAll(collection) {
+    return copy(recordsIn(collection, await readFile(fileFor(collection)), false));
+  }
+
+  async function write(collection, changes) {
+    const file = fileFor(collection);
+    const records = recordsIn(collection, await readFile(file), true);
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null) delete records[key];
+      else records[key] = copy(value);
+    }
+    await writeFile(file);
+  }
+
+  // Only collections with their own file can be backed up (the file is renamed aside)
+  async function backup(collection) {
+    const file = files[collection];
+    if (!file) throw new Error(`"${collection}" has no file of its own to back up`);
+    await (chains.get(file) || Promise.resolve()).catch(() => {});
+    cache.delete(file);
+    if (!fs.existsSync(file)) return null;
+    const bak = `${file}.bak.${stamp()}`;
+    try {
+      await fsp.rename(file, bak);
+    } catch (e) {
+      await fsp.copyFile(file, bak);
+      await fsp.unlink(file);
+    }
+    return bak;
+  }
+
+  // Call fn(entry) for every audit entry, oldest first, reading the file line by line
+  // so a long log is never held in memory as a whole
+  async function eachAuditEntry(fn) {
+    let input;
+    try {
+      input = fs.createReadStream(auditFile, { encoding: "utf8" });
+      await new Promise((resolve, reject) => { input.once("open", resolve); input.once("error", reject); });
+    } catch (e) {
+      return;
+    }
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+      if (!line.trim()) continue;
+      let entry;
+      try { entry = JSON.parse(line); } catch { continue; /* skip a torn line */ }
+      fn(entry);
+    }
+  }
+
+  async function appendAudit(entry) {
+    await fsp.mkdir(path.dirname(auditFile), { recursive: true }).catch(() => {});
+    await fsp.appendFile(auditFile, JSON.stringify(entry) + "\n", "utf8");
+  }
+
+  async function readAudit(filter = {}) {
+    const out = [];
+    await eachAuditEntry(e => {
+      if (!auditMatches(e, filter)) return;
+      out.push(e);
+      // with a limit only the newest matches are kept
+      if (filter.limit && out.length > filter.limit) out.shift();
+    });
+    return out;
+  }
+
+  async function lastAuditId() {
+    let last = 0;
+    await eachAuditEntry(e => { if (e.id) last = e.id; });
+    return last;
+  }
+
+  return {
+    kind: "json",
+    open: async () => {},
+    readAll,
+    write,
+    backup,
+    appendAudit,
+    readAudit,
+    lastAuditId,
+    async close() { await Promise.all(Array.from(chains.values()).map(p => p.catch(() => {}))); }
+  };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,117 @@
+/**
+ * lib/links.js — URL extraction and per-group link policy
+ *
+ * A group's "links" block:
+ *
+ *   "links": {
+ *     "mode": "off" | "block-all" | "allow-list" | "deny-list",
+ *     "domains": ["youtube.com", "instagram.com"],   // subdomains match too
+ *     "invites": "block" | "allow",                   // chat.whatsapp.com group invites
+ *     "weight": 1
+ *   }
+ *
+ * Invite links have their own rule and are judged before "mode", so a group can
+ * allow ordinary links but still block invites to other groups. Extraction sees
+ * through the usual obfuscation: hxxp://, example[.]com, example(dot)com and
+ * "example dot com". Exempt members and everyone above bypass the policy (see
+ * lib/roles.js).
+ */
+
+const MODES = ["off", "block-all", "allow-list", "deny-list"];
+const INVITE_HOSTS = ["chat.whatsapp.com"];
+
+const DEFAULT_LINKS = { mode: "off", domains: [], invites: "block", weight: 1 };
+
+// Only these TLDs count for links written without a scheme ("example.com"), so
+// ordinary text like "ok.so" or "lol.the" isn't treated as a link
+const BARE_TLDS = "com|net|org|io|co|me|ly|gg|xyz|info|biz|app|dev|link|site|online|shop|store|club|top|live|tv|fun|icu|vip|sg|my|id|ph|in|uk|us|ru|cn|de|au";
+const SCHEME_URL_RE = /\bhttps?:\/\/[^\s<>"']+/gi;
+const BARE_URL_RE = new RegExp(`(^|[^\\w@./-])((?:[a-z0-9-]+\\.)+(?:${BARE_TLDS})(?::\\d+)?(?:\\/[^\\s<>"']*)?)(?=$|[^\\w.-]|\\.(?:\\s|$))`, "gi");
+
+function normaliseDomain(d) {
+  return String(d || "").trim().toLowerCase().replace(/^https?:\/\//, "").replace(/\/.*$/, "").replace(/^www\./, "");
+}
+
+function compileLinkPolicy(block, inherited) {
+  const base = inherited || DEFAULT_LINKS;
+  if (block === undefined || block === null) return base;
+  if (typeof block !== "object" || Array.isArray(block)) throw new Error('"links" must be an object');
+  const out = Object.assign({}, base);
+  if (block.mode !== undefined) {
+    if (!MODES.includes(block.mode)) throw new Error(`links.mode must be one of ${MODES.join(", ")}`);
+    out.mode = block.mode;
+  }
+  if (block.domains !== undefined) {
+    if (!Array.isArray(block.domains)) throw new Error("links.domains must be a list of domains");
+    out.domains = block.domains.map(normaliseDomain).filter(Boolean);
+  }
+  if (block.invites !== undefined) {
+    if (block.invites !== "block" && block.invites !== "allow") throw new Error('links.invites must be "block" or "allow"');
+    out.invites = block.invites;
+  }
+  if (block.weight !== undefined) {
+    const w = parseInt(block.weight, 10);
+    if (!(w > 0)) throw new Error("links.weight must be a positive number");
+    out.weight = w;
+  }
+  return out;
+}
+
+// Undo common link obfuscation before extraction
+function deobfuscate(text) {
+  return String(text || "")
+    .replace(/\bhxxp(s?)/gi, "http$1")
+    .replace(/\s*[[({]\s*(?:\.|dot)\s*[\])}]\s*/gi, ".")
+    .replace(new RegExp(`([a-z0-9-])\\s+dot\\s+(?=(?:${BARE_TLDS})\\b)`, "gi"), "$1.");
+}
+
+function hostOf(url) {
+  const m = /^(?:https?:\/\/)?(?:[^@/\s]*@)?([^/:?#\s]+)/i.exec(url);
+  return m ? m[1].toLowerCase().replace(/\.+$/, "").replace(/^www\./, "") : "";
+}
+
+/**
+ * Every link in a message body or caption.
+ * @returns {Array<{ url: string, host: string, invite: boolean }>}
+ */
+function extractLinks(text) {
+  const clean = deobfuscate(text);
+  const found = [];
+  const seen = new Set();
+  const add = url => {
+    url = url.replace(/[).,!?;:'"\]]+$/, "");
+    const host = hostOf(url);
+    if (!host || !host.includes(".") || seen.has(url.toLowerCase())) return;
+    seen.add(url.toLowerCase());
+    found.push({ url, host, invite: INVITE_HOSTS.includes(host) && /\/[A-Za-z0-9]{6,}/.test(url.replace(/^https?:\/\//i, "")) });
+  };
+  for (const m of clean.matchAll(SCHEME_URL_RE)) add(m[0]);
+  const withoutSchemes = clean.replace(SCHEME_URL_RE, " ");
+  for (const m of withoutSchemes.matchAll(BARE_URL_RE)) add(m[2]);
+  return found;
+}
+
+function domainListed(host, domains) {
+  return domains.some(d => host === d || host.endsWith("." + d));
+}
+
+/**
+ * First link the policy forbids, or null.
+ * @returns {{ url: string, host: string, invite: boolean, reason: string }|null}
+ */
+function checkLinks(policy, text) {
+  if (!policy) return null;
+  if (policy.mode === "off" && policy.invites === "allow") return null;
+  for (const link of extractLinks(text)) {
+    if (link.invite) {
+      if (policy.invites === "block") return Object.assign({ reason: "group invite link" }, link);
+      continue;
+    }
+    if (policy.mode === "block-all") return Object.assign({ reason: "links are not allowed" }, link);
+    if (policy.mode === "allow-list" && !domainListed(link.host, policy.domains)) return Object.assign({ reason: `${link.host} is not an allowed site` }, link);
+    if (policy.mode === "deny-list" && domainListed(link.host, policy.domains)) return Object.assign({ reason: `${link.host} is a blocked site` }, link);
+  }
+  return null;
+}
+
+module.exports = { DEFAULT_LINKS, compileLinkPolicy, extractLinks, checkLinks, deobfuscate };
@@ -0,0 +1,15 @@
+/**
+ * lib/log.js — timestamped console helpers shared by the bot modules
+ *
+ * LOG_LEVEL=warn hides routine messages, LOG_LEVEL=silent hides warnings and
+ * errors too (the test suite runs silent).
+ */
+
+const LEVEL = (process.env.LOG_LEVEL || "info").toLowerCase();
+
+function timestamp() { return (new Date()).toISOString(); }
+function log(...args) { if (LEVEL !== "warn" && LEVEL !== "silent") console.log(timestamp(), ...args); }
+function warn(...args) { if (LEVEL !== "silent") console.warn(timestamp(), ...args); }
+function error(...args) { if (LEVEL !== "silent") console.error(timestamp(), ...args); }
+
+module.exports = { timestamp, log, warn, error };
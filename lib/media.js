@@ -0,0 +1,114 @@
+/**
+ * lib/media.js — per-group media policy and the blocked sticker/image hash list
+ *
+ * A group's "media" block:
+ *
+ *   "media": {
+ *     "allowedTypes": ["image", "video", "gif", "audio", "voice", "document", "sticker"],
+ *     "maxSizeMB": 16,                                  // 0 = no limit
+ *     "blockedExtensions": ["exe", "apk", "bat"],       // documents only
+ *     "viewOnce": false,                                // false = view-once media is removed
+ *     "weight": 1
+ *   }
+ *
+ * Captions are ordinary message bodies, so they already go through the link and
+ * word filters. Blocked stickers/images are matched by the file hash WhatsApp
+ * sends with every media message (sha256 of the file), so forwarded copies
+ * match without downloading anything; if that's missing the media is downloaded
+ * and hashed here.
+ */
+
+const crypto = require("crypto");
+
+const MEDIA_TYPES = ["image", "video", "gif", "audio", "voice", "document", "sticker"];
+const DEFAULT_BLOCKED_EXTENSIONS = ["exe", "apk", "bat", "cmd", "com", "scr", "msi", "jar", "vbs", "js", "ps1"];
+
+const DEFAULT_MEDIA = {
+  allowedTypes: MEDIA_TYPES.slice(),
+  maxSizeMB: 0,
+  blockedExtensions: DEFAULT_BLOCKED_EXTENSIONS,
+  viewOnce: true,
+  weight: 1
+};
+
+function compileMediaPolicy(block, inherited) {
+  const base = inherited || DEFAULT_MEDIA;
+  if (block === undefined || block === null) return base;
+  if (typeof block !== "object" || Array.isArray(block)) throw new Error('"media" must be an object');
+  const out = Object.assign({}, base);
+  if (block.allowedTypes !== undefined) {
+    if (!Array.isArray(block.allowedTypes)) throw new Error("media.allowedTypes must be a list");
+    const unknown = block.allowedTypes.filter(t => !MEDIA_TYPES.includes(t));
+    if (unknown.length) throw new Error(`media.allowedTypes: unknown type(s) ${unknown.join(", ")} (use ${MEDIA_TYPES.join(", ")})`);
+    out.allowedTypes = block.allowedTypes.slice();
+  }
+  if (block.maxSizeMB !== undefined) {
+    const mb = Number(block.maxSizeMB);
+    if (!(mb >= 0)) throw new Error("media.maxSizeMB must be 0 or more");
+    out.maxSizeMB = mb;
+  }
+  if (block.blockedExtensions !== undefined) {
+    if (!Array.isArray(block.blockedExtensions)) throw new Error("media.blockedExtensions must be a list");
+    out.blockedExtensions = block.blockedExtensions.map(e => String(e).trim().toLowerCase().replace(/^\./, "")).filter(Boolean);
+  }
+  if (block.viewOnce !== undefined) out.viewOnce = block.viewOnce !== false;
+  if (block.weight !== undefined) {
+    const w = parseInt(block.weight, 10);
+    if (!(w > 0)) throw new Error("media.weight must be a positive number");
+    out.weight = w;
+  }
+  return out;
+}
+
+/**
+ * What a message carries, read from the metadata WhatsApp already sent (no download).
+ * @returns {{ type: string, mimetype: string|null, size: number|null, filename: string|null, ext: string|null, viewOnce: boolean, hash: string|null }|null}
+ */
+function mediaInfo(message) {
+  if (!message || !message.hasMedia) return null;
+  const data = message._data || {};
+  let type = message.type;
+  if (type === "ptt") type = "voice";
+  if (type === "video" && data.isGif) type = "gif";
+  if (!MEDIA_TYPES.includes(type)) return null;
+  const filename = data.filename || null;
+  const ext = filename && filename.includes(".") ? filename.split(".").pop().toLowerCase() : null;
+  return {
+    type,
+    mimetype: data.mimetype || null,
+    size: Number(data.size) || null,
+    filename,
+    ext,
+    viewOnce: !!(data.isViewOnce || message.isViewOnce),
+    hash: data.filehash || null
+  };
+}
+
+/**
+ * First media rule a message breaks, or null.
+ * @returns {{ term: string, reason: string }|null}
+ */
+function checkMedia(policy, info) {
+  if (!policy || !info) return null;
+  if (!policy.allowedTypes.includes(info.type)) return { term: `media:${info.type}`, reason: `${info.type} messages are not allowed` };
+  if (info.viewOnce && !policy.viewOnce) return { term: "media:view-once", reason: "view-once media is not allowed" };
+  if (policy.maxSizeMB && info.size && info.size > policy.maxSizeMB * 1024 * 1024) {
+    return { term: "media:size", reason: `file is larger than ${policy.maxSizeMB} MB` };
+  }
+  if (info.type === "document" && info.ext && policy.blockedExtensions.includes(info.ext)) {
+    return { term: `media:.${info.ext}`, reason: `.${info.ext} files are not allowed` };
+  }
+  return null;
+}
+
+// Hash used by the blocklist: WhatsApp's file hash, or sha256 of the downloaded file
+async function mediaHash(message) {
+  const info = mediaInfo(message);
+  if (info && info.hash) return info.hash;
+  if (!message || !message.hasMedia) return null;
+  const media = await message.downloadMedia().catch(() => null);
+  if (!media || !media.data) return null;
+  return crypto.createHash("sha256").update(Buffer.from(media.data, "base64")).digest("base64");
+}
+
+module.exports = { MEDIA_TYPES, DEFAULT_MEDIA, compileMediaPolicy, mediaInfo, checkMedia, mediaHash };
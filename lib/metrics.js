@@ -0,0 +1,133 @@
+/**
+ * lib/metrics.js — Prometheus metrics in the text exposition format (no dependencies)
+ *
+ *   const metrics = createMetricsRegistry("modbot_");
+ *   const sends = metrics.counter("sends_total", "Messages the bot tried to send", ["result"]);
+ *   sends.inc({ result: "success" });
+ *   await sends.track({}, client.sendMessage(id, text));   // result="success" | "failure", rethrows
+ *   const latency = metrics.histogram("handler_duration_seconds", "Time spent per event", ["handler"]);
+ *   const done = latency.startTimer({ handler: "message" }); ...; done();
+ *   metrics.gauge("ready", "1 while the client is ready", () => (ready ? 1 : 0));
+ *   metrics.render()   // served with CONTENT_TYPE
+ *
+ * Counters and histograms only show label sets that have been seen (an unlabelled
+ * counter starts at 0). Gauges are read when scraped; returning null leaves one out.
+ */
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatValue(n) {
+  if (Number.isNaN(n)) return "NaN";
+  if (n === Infinity) return "+Inf";
+  if (n === -Infinity) return "-Inf";
+  return String(n);
+}
+
+// '{a="1",b="2"}' for the label names that have a value ("" when none do)
+function labelText(names, labels, extra = "") {
+  const parts = names.filter(n => labels[n] !== undefined && labels[n] !== null).map(n => `${n}="${escapeLabel(labels[n])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function createMetricsRegistry(prefix = "") {
+  const metrics = []; // { name, help, type, lines() }
+
+  function define(name, help, type, lines) {
+    const full = prefix + name;
+    if (metrics.some(m => m.name === full)) throw new Error(`metric ${full} is already defined`);
+    metrics.push({ name: full, help, type, lines });
+    return full;
+  }
+
+  // One entry per label set, in the order the label names were declared
+  function seriesStore(labelNames) {
+    const series = new Map();
+    return {
+      get(labels, create) {
+        const key = JSON.stringify(labelNames.map(n => (labels[n] === undefined ? null : String(labels[n]))));
+        if (!series.has(key)) series.set(key, create());
+        return series.get(key);
+      },
+      entries: () => Array.from(series.values())
+    };
+  }
+
+  function counter(name, help, labelNames = []) {
+    const series = seriesStore(labelNames);
+    const full = define(name, help, "counter", () => {
+      const all = series.entries();
+      if (!all.length && !labelNames.length) return [`${full} 0`];
+      return all.map(s => `${full}${labelText(labelNames, s.labels)} ${formatValue(s.value)}`);
+    });
+    function inc(labels = {}, n = 1) {
+      series.get(labels, () => ({ labels: Object.assign({}, labels), value: 0 })).value += n;
+    }
+    return {
+      inc,
+      // Count a promise's outcome as result="success" or "failure" and pass it on
+      track(labels, promise) {
+        return Promise.resolve(promise).then(
+          value => { inc(Object.assign({}, labels, { result: "success" })); return value; },
+          err => { inc(Object.assign({}, labels, { result: "failure" })); throw err; }
+        );
+      }
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const bounds = buckets.slice().sort((a, b) => a - b);
+    const series = seriesStore(labelNames);
+    const full = define(name, help, "histogram", () => {
+      const lines = [];
+      for (const s of series.entries()) {
+        bounds.forEach((le, i) => lines.push(`${full}_bucket${labelText(labelNames, s.labels, `le="${formatValue(le)}"`)} ${s.counts[i]}`));
+        lines.push(`${full}_bucket${labelText(labelNames, s.labels, 'le="+Inf"')} ${s.count}`);
+        lines.push(`${full}_sum${labelText(labelNames, s.labels)} ${formatValue(s.sum)}`);
+        lines.push(`${full}_count${labelText(labelNames, s.labels)} ${s.count}`);
+      }
+      return lines;
+    });
+    function observe(labels, value) {
+      const s = series.get(labels, () => ({ labels: Object.assign({}, labels), counts: bounds.map(() => 0), sum: 0, count: 0 }));
+      bounds.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+    }
+    return {
+      observe,
+      // Returns a function that records the seconds since startTimer() was called
+      startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return () => observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+      }
+    };
+  }
+
+  function gauge(name, help, read) {
+    const full = define(name, help, "gauge", () => {
+      const value = read();
+      return value === null || value === undefined ? [] : [`${full} ${formatValue(Number(value))}`];
+    });
+    return full;
+  }
+
+  function render() {
+    const out = [];
+    for (const m of metrics) {
+      let lines;
+      try { lines = m.lines(); } catch (e) { lines = []; }
+      out.push(`# HELP ${m.name} ${m.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`, `# TYPE ${m.name} ${m.type}`, ...lines);
+    }
+    return out.join("\n") + "\n";
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+module.exports = { CONTENT_TYPE, DEFAULT_BUCKETS, createMetricsRegistry };
@@ -0,0 +1,126 @@
+/**
+ * lib/normalize.js — obfuscation-resistant text normalisation for the word filter
+ *
+ * normalizeText() folds the tricks members use to get past a plain regex:
+ *  - Unicode NFKC (fullwidth / stylised letters), diacritics stripped
+ *  - invisible characters removed (zero-width, bidi marks, variation selectors…)
+ *  - Cyrillic / Greek homoglyphs mapped to Latin
+ *  - leet substitutions (sh1t, $hit, b!tch) — only inside words that contain letters,
+ *    so plain numbers and trailing punctuation are left alone
+ *
+ * buildMatcher() then compiles each banned word into a tolerant pattern that also
+ * accepts repeated letters (fuuuck), separators between letters (f u c k, f.u.c.k)
+ * and masked letters (f*ck). To keep false positives down:
+ *  - matches still need a word boundary on both sides (no "class" -> "ass")
+ *  - the separator has to be the same between every pair of letters, so ordinary
+ *    words next to each other don't spell one out ("that's hit" is not "shit")
+ *  - words shorter than minFuzzyLength only get the character folding and repeat
+ *    tolerance, not separators or masks
+ *  - an allow-list of words is removed from the text before matching
+ *
+ * Pure functions, no WhatsApp dependencies — shared by both bot variants.
+ */
+
+const INVISIBLE_RE = /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180B-\u180F\u200B-\u200F\u202A-\u202E\u2060-\u206F\u3164\uFE00-\uFE0F\uFEFF\uFFA0]|[\u{E0000}-\u{E007F}]/gu;
+
+// Lowercase look-alikes -> Latin (NFKC already handles fullwidth forms)
+const HOMOGLYPHS = {
+  "а": "a", "в": "b", "с": "c", "ԁ": "d", "е": "e", "ё": "e", "һ": "h", "н": "h", "і": "i", "ї": "i",
+  "ј": "j", "к": "k", "м": "m", "п": "n", "о": "o", "р": "p", "ԛ": "q", "г": "r", "ѕ": "s", "т": "t",
+  "у": "y", "ү": "y", "х": "x", "ԝ": "w", "ѡ": "w", "ь": "b",
+  "α": "a", "β": "b", "ε": "e", "η": "n", "ι": "i", "κ": "k", "ν": "v", "ο": "o", "ρ": "p", "τ": "t",
+  "υ": "u", "χ": "x", "ω": "w", "ς": "s", "σ": "s",
+  "ı": "i", "ɡ": "g", "ℓ": "l", "ø": "o", "ß": "ss"
+};
+
+const LEET = {
+  "0": "o", "1": "i", "3": "e", "4": "a", "5": "s", "7": "t", "8": "b", "9": "g",
+  "@": "a", "$": "s", "!": "i", "|": "l", "+": "t", "€": "e", "£": "l"
+};
+const LEET_RE = /[01345789@$!|+€£]/g;
+
+// Characters members use to blank out letters (f*ck, sh#t)
+const MASK_CHARS = "*#";
+// What may sit between the letters of a fuzzily matched word (f u c k, f.u.c.k, f-u-c-k);
+// the first gap is captured and every later gap must repeat it exactly
+const SEPARATOR = "[\\s._\\-~]*";
+
+const DEFAULT_MIN_FUZZY_LENGTH = 4;
+
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Apply leet substitutions to one whitespace-delimited token
+function deleetToken(token) {
+  const m = token.match(/^(.*?)([!?.,;:)'"]*)$/su);
+  const core = m[1], trail = m[2];
+  if (!/\p{L}/u.test(core)) return token;
+  return core.replace(LEET_RE, c => LEET[c]) + trail;
+}
+
+/**
+ * Fold a message body into the canonical form the matcher works on.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  let s = String(text || "").normalize("NFKC");
+  s = s.replace(INVISIBLE_RE, "");
+  s = s.toLowerCase();
+  s = s.normalize("NFD").replace(/\p{M}+/gu, "");
+  s = Array.from(s, ch => (HOMOGLYPHS[ch] !== undefined ? HOMOGLYPHS[ch] : ch)).join("");
+  s = s.split(/(\s+)/).map(part => (/^\s+$/.test(part) || !part ? part : deleetToken(part))).join("");
+  return s;
+}
+
+// Pattern for one banned word (already normalised). Every letter may repeat;
+// long enough words also tolerate a consistent separator and masked letters.
+function wordPattern(word, minFuzzyLength) {
+  const parts = word.split(/\s+/).filter(Boolean);
+  const fuzzy = parts.join("").length >= minFuzzyLength;
+  const maskClass = escapeRegExp(MASK_CHARS);
+  return parts.map((part, p) => Array.from(part).map((ch, i) => {
+    const esc = escapeRegExp(ch);
+    // first letter must be real so a run of asterisks alone never matches
+    const letter = fuzzy && i > 0 ? `[${esc}${maskClass}]+` : `${esc}+`;
+    if (!fuzzy || i === 0) return letter;
+    return (i === 1 ? `(?<gap${p}>${SEPARATOR})` : `\\k<gap${p}>`) + letter;
+  }).join("")).join("\\s+");
+}
+
+/**
+ * Compile a word list into a matcher.
+ * @param {Iterable<string>} words banned words / phrases
+ * @param {{ allowWords?: Iterable<string>, minFuzzyLength?: number }} [options]
+ * @returns {{ test(text: string): ({ term: string, match: string }|null) }}
+ */
+function buildMatcher(words, options = {}) {
+  const minFuzzyLength = options.minFuzzyLength || DEFAULT_MIN_FUZZY_LENGTH;
+  const allow = Array.from(options.allowWords || []).map(normalizeText).filter(Boolean);
+  const allowRe = allow.length
+    ? new RegExp(`(^|[^\\p{L}\\p{N}])(?:${allow.map(escapeRegExp).join("|")})(?=[^\\p{L}\\p{N}]|$)`, "gu")
+    : null;
+
+  // longest first so "fuck off" is reported rather than "fuck"
+  const entries = Array.from(new Set(Array.from(words || []).map(w => String(w).trim()).filter(Boolean)))
+    .map(term => ({ term, norm: normalizeText(term).trim() }))
+    .filter(e => e.norm)
+    .sort((a, b) => b.norm.length - a.norm.length)
+    .map(e => ({ term: e.term, re: new RegExp(`(^|[^\\p{L}\\p{N}])(${wordPattern(e.norm, minFuzzyLength)})(?=[^\\p{L}\\p{N}]|$)`, "u") }));
+
+  return {
+    test(text) {
+      if (!entries.length) return null;
+      let s = normalizeText(text);
+      if (allowRe) s = s.replace(allowRe, "$1 ");
+      for (const e of entries) {
+        const m = e.re.exec(s);
+        if (m) return { term: e.term, match: m[2] };
+      }
+      return null;
+    }
+  };
+}
+
+module.exports = { normalizeText, buildMatcher };
@@ -0,0 +1,86 @@
+/**
+ * lib/offences.js — timestamped offence history kept in the warnings store
+ *
+ * The warnings file maps a user key (digits) to a list of offence records:
+ *
+ *   { "6581234567": [ { "at": "2025-11-28T10:00:00.000Z", "group": "1203...@g.us",
+ *                       "groupName": "6-3 of '25", "term": "shit", "action": "warned",
+ *                       "weight": 1, "step": { "strike": 1, "action": "warn" },
+ *                       "deleted": "everyone", "messageId": "false_1203..._3EB0..." } ] }
+ *
+ * A record counts as an active strike in the group it was given in while it is
+ * younger than the group's expiry and hasn't been cleared (by a removal or an admin
+ * reset). Cleared and expired records stay in the file as history, and so do legacy
+ * records without a group, which count in no group.
+ */
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// Upgrade a stored value (legacy bare count or record list) to a record list
+function normaliseHistory(value, now = Date.now()) {
+  if (Array.isArray(value)) return value.filter(r => r && typeof r === "object" && r.at);
+  const count = parseInt(value, 10);
+  if (!(count > 0)) return [];
+  const at = new Date(now).toISOString();
+  return Array.from({ length: count }, () => ({ at, group: null, groupName: null, term: null, action: "warned", deleted: null, messageId: null, legacy: true }));
+}
+
+function isActive(record, groupId, expiryMs, now = Date.now()) {
+  if (!record || record.clearedAt) return false;
+  if (groupId && record.group !== groupId) return false;
+  if (expiryMs > 0 && now - Date.parse(record.at) > expiryMs) return false;
+  return true;
+}
+
+function addOffence(store, key, record) {
+  if (!Array.isArray(store[key])) store[key] = normaliseHistory(store[key]);
+  const entry = Object.assign({ at: new Date().toISOString() }, record);
+  store[key].push(entry);
+  return entry;
+}
+
+function activeOffences(store, key, groupId, expiryMs, now = Date.now()) {
+  return (store[key] || []).filter(r => isActive(r, groupId, expiryMs, now));
+}
+
+// Sum of active strike weights (a record without a weight counts as 1)
+function activeStrikes(store, key, groupId, expiryMs, now = Date.now()) {
+  return activeOffences(store, key, groupId, expiryMs, now).reduce((n, r) => n + (r.weight > 0 ? r.weight : 1), 0);
+}
+
+// Mark the active strikes as cleared (history is kept); returns how many were cleared
+function clearOffences(store, key, groupId, reason, now = Date.now()) {
+  let n = 0;
+  for (const r of store[key] || []) {
+    if (r.clearedAt || (groupId && r.group !== groupId)) continue;
+    r.clearedAt = new Date(now).toISOString();
+    r.clearedReason = reason;
+    n++;
+  }
+  return n;
+}
+
+// Clear only the newest `count` active strikes (manual adjustment)
+function clearLatestOffences(store, key, groupId, expiryMs, count, reason, now = Date.now()) {
+  const active = activeOffences(store, key, groupId, expiryMs, now).slice(-count);
+  for (const r of active) {
+    r.clearedAt = new Date(now).toISOString();
+    r.clearedReason = reason;
+  }
+  return active.length;
+}
+
+// Human-readable history for the "check warnings" command
+function formatHistory(records, groupId, expiryMs, now = Date.now()) {
+  if (!records || !records.length) return "No offences recorded.";
+  return records.map((r, i) => {
+    const state = r.clearedAt ? `cleared (${r.clearedReason || "reset"})` : (isActive(r, groupId, expiryMs, now) ? "active" : "expired");
+    const where = r.groupName ? ` in "${r.groupName}"` : "";
+    const term = r.term ? ` "${r.term}"` : "";
+    const weight = r.weight > 1 ? ` (x${r.weight})` : "";
+    const step = r.step ? ` at step ${r.step.strike}` : "";
+    return `${i + 1}. ${r.at.replace("T", " ").slice(0, 16)}${where}${term}${weight} — ${r.action || "warned"}${step} [${state}]`;
+  }).join("\n");
+}
+
+module.exports = { DAY_MS, normaliseHistory, isActive, addOffence, activeOffences, activeStrikes, clearOffences, clearLatestOffences, formatHistory };
@@ -0,0 +1,218 @@
+/**
+ * lib/plugins.js — moderation rules and group features as plugins
+ *
+ * A plugin is a CommonJS module in the plugins directory (PLUGINS_DIR; a .js file or
+ * a folder with an index.js) that exports its name and the hooks it needs:
+ *
+ *   module.exports = {
+ *     name: "quiz",                      // how groups.json refers to it
+ *     description: "Daily quiz for the study group",
+ *     enabledByDefault: false,           // true = on in every group that doesn't turn it off
+ *     commands: [{ name: "quiz", args: [{ name: "answer", type: "text", optional: true }], permission: "everyone", description: "Answer today's quiz" }],
+ *     async onReady(api) {},             // once, after storage has loaded
+ *     async onMessage(api, event) {},    // { message, chat, group, options, sender, body, previous, edit, checkText }; return true to stop later rules
+ *     async onJoin(api, event) {},       // { chat, group, options, memberIds, addedBy }
+ *     async onLeave(api, event) {},      // { chat, group, options, memberIds, removedBy }
+ *     async onCommand(api, event) {}     // { command, args, message, chat, group, options, sender, reply } for its own commands
+ *   };
+ *
+ * Commands use the shared registry (lib/commands.js), so arguments, permissions and
+ * "!help" work as for built-in ones. "sender" is { id, key } (key: the member key,
+ * see lib/identity.js).
+ *
+ * Plugins are switched on per group in groups.json; groups inherit "defaults.plugins":
+ *
+ *   "plugins": { "quiz": { "time": "18:00" }, "banned-words": false }
+ *
+ * true or an object turns a plugin on (the object reaches its hooks as "options"),
+ * false turns it off, and a list of names turns those on with no options.
+ *
+ * "api" is the context every hook gets: the helpers index.js shares (permissions,
+ * safe send / delete, the strike pipeline, the audit log), plus "name", a log
+ * prefixed with it, and "storage", a collection of the plugin's own ("plugin:<name>",
+ * see lib/storage.js) loaded before onReady.
+ *
+ * Built-in plugins (lib/plugins/) load first; a plugin with a name that is already
+ * taken is skipped. onMessage hooks run in load order after the core rules and stop
+ * at the first one that returns true. A hook that throws is logged and skipped.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { log, warn } = require("./log");
+const { createCollection } = require("./storage");
+
+const HOOKS = ["onReady", "onMessage", "onJoin", "onLeave", "onCommand"];
+const BUILTIN_DIR = path.join(__dirname, "plugins");
+
+// A group's "plugins" block -> { name: options | false }, over the inherited one
+function compilePluginConfig(block, inherited) {
+  const out = Object.assign({}, inherited || {});
+  if (block === undefined || block === null) return out;
+  if (Array.isArray(block)) {
+    for (const name of block) {
+      if (typeof name !== "string" || !name.trim()) throw new Error('"plugins" list entries must be plugin names');
+      out[name.trim()] = {};
+    }
+    return out;
+  }
+  if (typeof block !== "object") throw new Error('"plugins" must be an object or a list of plugin names');
+  for (const [name, value] of Object.entries(block)) {
+    if (value === true) out[name] = {};
+    else if (value === false) out[name] = false;
+    else if (value && typeof value === "object" && !Array.isArray(value)) out[name] = value;
+    else throw new Error(`plugins["${name}"] must be true, false or an options object`);
+  }
+  return out;
+}
+
+function validatePlugin(plugin) {
+  if (!plugin || typeof plugin !== "object") throw new Error("must export an object");
+  if (typeof plugin.name !== "string" || !/^[a-z0-9][a-z0-9_-]*$/i.test(plugin.name)) throw new Error('needs a "name" (letters, digits, "-" and "_")');
+  for (const hook of HOOKS) {
+    if (plugin[hook] !== undefined && typeof plugin[hook] !== "function") throw new Error(`${hook} must be a function`);
+  }
+  if (plugin.commands !== undefined && !Array.isArray(plugin.commands)) throw new Error('"commands" must be a list');
+  if ((plugin.commands || []).length && !plugin.onCommand) throw new Error("declares commands but has no onCommand hook");
+  return plugin;
+}
+
+// Plugin modules in a directory, sorted by file name; a missing directory has none
+function readPluginDir(dir) {
+  let names;
+  try {
+    names = fs.readdirSync(dir).sort();
+  } catch (e) {
+    if (e.code !== "ENOENT") warn(`Could not read plugins directory ${dir}:`, e?.message || e);
+    return [];
+  }
+  const out = [];
+  for (const n of names) {
+    const file = path.join(dir, n);
+    if (n.startsWith(".") || !(n.endsWith(".js") || fs.existsSync(path.join(file, "index.js")))) continue;
+    try {
+      out.push({ file, plugin: validatePlugin(require(file)) });
+    } catch (e) {
+      warn(`Plugin ${file} not loaded:`, e?.message || e);
+    }
+  }
+  return out;
+}
+
+/**
+ * options:
+ *   dirs             extra plugin directories, after the built-in one
+ *   store            storage backend for the plugins' own collections
+ *   api              helpers every plugin gets (see index.js)
+ *   registerCommand  adds a command to the shared registry
+ */
+function createPluginHost({ dirs = [], store, api = {}, registerCommand }) {
+  const loaded = []; // { plugin, file, api, storage }
+
+  function isEnabled(group, plugin) {
+    if (!group) return false;
+    const setting = (group.plugins || {})[plugin.name];
+    return setting === undefined ? plugin.enabledByDefault === true : setting !== false;
+  }
+
+  function optionsFor(group, plugin) {
+    const setting = (group.plugins || {})[plugin.name];
+    return setting && typeof setting === "object" ? setting : {};
+  }
+
+  async function call(entry, hook, event) {
+    try {
+      return await entry.plugin[hook](entry.api, event);
+    } catch (e) {
+      warn(`Plugin "${entry.plugin.name}" failed in ${hook}:`, e?.message || e);
+      return undefined;
+    }
+  }
+
+  function registerCommands(entry) {
+    for (const def of entry.plugin.commands || []) {
+      registerCommand(Object.assign({}, def, {
+        scope: "registered",
+        run: async (ctx, args) => {
+          if (!isEnabled(ctx.group, entry.plugin)) { await ctx.reply(`The "${entry.plugin.name}" plugin isn't turned on in this group.`); return; }
+          await call(entry, "onCommand", {
+            command: def.name,
+            args,
+            message: ctx.message,
+            chat: ctx.chat,
+            group: ctx.group,
+            options: optionsFor(ctx.group, entry.plugin),
+            sender: { id: ctx.senderId, key: ctx.senderDigits },
+            reply: ctx.reply
+          });
+        }
+      }));
+    }
+  }
+
+  // Load the built-in plugins, then each directory's, and register their commands
+  function load() {
+    for (const dir of [BUILTIN_DIR].concat(dirs.filter(Boolean))) {
+      for (const { file, plugin } of readPluginDir(dir)) {
+        const taken = loaded.find(e => e.plugin.name === plugin.name);
+        if (taken) { warn(`Plugin ${file} not loaded: "${plugin.name}" is already loaded from ${taken.file}`); continue; }
+        const storage = createCollection(store, `plugin:${plugin.name}`);
+        const entry = {
+          plugin,
+          file,
+          storage,
+          api: Object.assign({}, api, {
+            name: plugin.name,
+            storage,
+            log: (...args) => log(`[${plugin.name}]`, ...args),
+            warn: (...args) => warn(`[${plugin.name}]`, ...args)
+          })
+        };
+        try {
+          registerCommands(entry);
+        } catch (e) {
+          warn(`Plugin ${file} not loaded:`, e?.message || e);
+          continue;
+        }
+        loaded.push(entry);
+      }
+    }
+    log(`Plugins: ${loaded.map(e => e.plugin.name).join(", ") || "(none)"}`);
+    return loaded.map(e => e.plugin.name);
+  }
+
+  // Load each plugin's storage, then run onReady
+  async function ready() {
+    for (const entry of loaded) {
+      try {
+        await entry.storage.load();
+      } catch (e) {
+        warn(`Plugin "${entry.plugin.name}": could not load its storage:`, e?.message || e);
+      }
+      if (entry.plugin.onReady) await call(entry, "onReady");
+    }
+  }
+
+  // Run one hook for every plugin enabled in the group; onMessage stops at the first true
+  async function run(hook, group, event) {
+    for (const entry of loaded) {
+      if (!entry.plugin[hook] || !isEnabled(group, entry.plugin)) continue;
+      const handled = await call(entry, hook, Object.assign({}, event, { group, options: optionsFor(group, entry.plugin) }));
+      if (hook === "onMessage" && handled === true) return true;
+    }
+    return false;
+  }
+
+  return {
+    load,
+    ready,
+    message: (group, event) => run("onMessage", group, event),
+    join: (group, event) => run("onJoin", group, event),
+    leave: (group, event) => run("onLeave", group, event),
+    isEnabled: (group, name) => loaded.some(e => e.plugin.name === name && isEnabled(group, e.plugin)),
+    list: () => loaded.map(e => ({ name: e.plugin.name, description: e.plugin.description || "", builtIn: path.dirname(e.file) === BUILTIN_DIR, enabledByDefault: e.plugin.enabledByDefault === true })),
+    flush: () => Promise.all(loaded.map(e => e.storage.save()))
+  };
+}
+
+module.exports = { HOOKS, compilePluginConfig, createPluginHost };
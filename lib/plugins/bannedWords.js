@@ -0,0 +1,25 @@
+/**
+ * lib/plugins/bannedWords.js — the banned-word filter, as a built-in plugin
+ *
+ * Checks each message (and the text an edit replaced) against the group's word list,
+ * normalised against obfuscation (see lib/normalize.js), and gives a strike weighted
+ * by "wordSeverity" (see lib/escalation.js). The list itself is still configured with
+ * "bannedWords" / "extraBannedWords" / "allowedWords" in groups.json; a group can
+ * turn the filter off with "plugins": { "banned-words": false }.
+ */
+
+const { strikeWeight } = require("../escalation");
+
+module.exports = {
+  name: "banned-words",
+  description: "Deletes messages containing the group's banned words and gives a strike",
+  enabledByDefault: true,
+
+  async onMessage(api, { message, chat, group, sender, body, previous, checkText }) {
+    const matched = group.matcher.test(checkText);
+    if (!matched) return false;
+    api.log(`Banned content detected from ${sender.key} in "${chat.name}" (matched "${matched.term}"):`, body);
+    await api.enforceViolation(message, chat, group, { kind: "banned-word", term: matched.term, match: matched.match }, { body, previous, weight: strikeWeight(matched.term, group.wordSeverity), reason: "banned language" });
+    return true;
+  }
+};
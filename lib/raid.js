@@ -0,0 +1,110 @@
+/**
+ * lib/raid.js — detect join / violation bursts that look like a raid
+ *
+ * Detection is off until a group (or "defaults") opts in with a "raid" block:
+ *
+ *   "raid": {
+ *     "enabled": true,
+ *     "joins": { "count": 10, "seconds": 60 },        // this many joins inside the window
+ *     "violations": { "count": 10, "seconds": 60, "offenders": 3 },  // or this many strikes, from at least this many members
+ *     "removeJoiners": false,                         // remove everyone who joined in the burst
+ *     "notifyAdmins": true                            // DM owners and moderators
+ *   }
+ *
+ * One member flooding is the spam rule's job, not a raid: violations only trigger a
+ * lockdown once enough different members are behind them.
+ *
+ * The detector only counts; the bot decides what a lockdown does (admins-only
+ * messaging, frozen warnings, removals, DMs) and keeps the lock until "!unlock".
+ */
+
+const DEFAULT_RAID = {
+  enabled: false,
+  joins: { count: 10, seconds: 60 },
+  violations: { count: 10, seconds: 60, offenders: 3 },
+  removeJoiners: false,
+  notifyAdmins: true
+};
+
+function compileWindow(block, base, where) {
+  if (block === undefined) return base;
+  if (block === false || block === null) return null;
+  const count = parseInt(block.count !== undefined ? block.count : base && base.count, 10);
+  const seconds = Number(block.seconds !== undefined ? block.seconds : base && base.seconds);
+  if (!(count > 1)) throw new Error(`${where}.count must be 2 or more`);
+  if (!(seconds > 0)) throw new Error(`${where}.seconds must be a positive number`);
+  const out = { count, seconds };
+  if (block.offenders !== undefined || (base && base.offenders !== undefined)) {
+    out.offenders = parseInt(block.offenders !== undefined ? block.offenders : base.offenders, 10);
+    if (!(out.offenders > 0)) throw new Error(`${where}.offenders must be a positive number`);
+  }
+  return out;
+}
+
+function compileRaidConfig(block, inherited) {
+  const base = inherited || DEFAULT_RAID;
+  if (block === undefined || block === null) return base;
+  if (block === false) return Object.assign({}, base, { enabled: false });
+  if (typeof block !== "object" || Array.isArray(block)) throw new Error('"raid" must be an object or false');
+  return {
+    enabled: block.enabled !== undefined ? block.enabled !== false : base.enabled,
+    joins: compileWindow(block.joins, base.joins || DEFAULT_RAID.joins, "raid.joins"),
+    violations: compileWindow(block.violations, base.violations || DEFAULT_RAID.violations, "raid.violations"),
+    removeJoiners: block.removeJoiners !== undefined ? block.removeJoiners === true : base.removeJoiners,
+    notifyAdmins: block.notifyAdmins !== undefined ? block.notifyAdmins !== false : base.notifyAdmins
+  };
+}
+
+function createRaidDetector() {
+  const groups = new Map(); // group id -> { joins: [{ at, id }], violations: [{ at, offender }] }
+
+  function stateFor(groupId) {
+    let s = groups.get(groupId);
+    if (!s) { s = { joins: [], violations: [] }; groups.set(groupId, s); }
+    return s;
+  }
+
+  // Joins inside the window (oldest dropped), newest last
+  function recentJoins(s, windowMs, now) {
+    s.joins = s.joins.filter(j => now - j.at <= windowMs);
+    return s.joins;
+  }
+
+  /**
+   * Record members joining. Returns a trigger when the join window overflows.
+   * @returns {{ reason: string, joiners: string[] }|null}
+   */
+  function recordJoin(config, groupId, memberIds, now = Date.now()) {
+    if (!config || !config.enabled || !config.joins) return null;
+    const s = stateFor(groupId);
+    for (const id of memberIds) s.joins.push({ at: now, id });
+    const joins = recentJoins(s, config.joins.seconds * 1000, now);
+    if (joins.length < config.joins.count) return null;
+    return { reason: `${joins.length} joins in ${config.joins.seconds}s`, joiners: joins.map(j => j.id) };
+  }
+
+  /**
+   * Record one strike-worthy violation by a member (their member key). Returns a
+   * trigger when the window overflows with enough different offenders.
+   * @returns {{ reason: string, joiners: string[] }|null}
+   */
+  function recordViolation(config, groupId, offender, now = Date.now()) {
+    if (!config || !config.enabled || !config.violations) return null;
+    const v = config.violations;
+    const s = stateFor(groupId);
+    s.violations.push({ at: now, offender });
+    s.violations = s.violations.filter(e => now - e.at <= v.seconds * 1000);
+    const offenders = new Set(s.violations.map(e => e.offender)).size;
+    if (s.violations.length < v.count || offenders < (v.offenders || 1)) return null;
+    const joinWindow = (config.joins ? config.joins.seconds : v.seconds) * 1000;
+    return { reason: `${s.violations.length} violations by ${offenders} members in ${v.seconds}s`, joiners: recentJoins(s, joinWindow, now).map(j => j.id) };
+  }
+
+  function reset(groupId) {
+    groups.delete(groupId);
+  }
+
+  return { recordJoin, recordViolation, reset };
+}
+
+module.exports = { DEFAULT_RAID, compileRaidConfig, createRaidDetector };
@@ -0,0 +1,84 @@
+/**
+ * lib/reports.js — member reports: config and reporter rate limits
+ *
+ * A group's "reports" block (false turns "!report" off):
+ *
+ *   "reports": {
+ *     "hideAfter": 3,              // distinct reporters before the message is deleted pending review (0 = never)
+ *     "perHour": 5,                // reports one member may file per hour
+ *     "falseReports": 3,           // this many dismissed reports inside the window ...
+ *     "falseReportWindow": "7d",
+ *     "blockFor": "24h"            // ... stop the member from reporting for this long
+ *   }
+ *
+ * The queue itself lives in the bot's state file; the helpers here only judge one
+ * reporter's record: { filed: [ms], dismissed: [ms], blockedUntil: ms }.
+ */
+
+const { parseDuration } = require("./duration");
+
+const DEFAULT_REPORTS = {
+  enabled: true,
+  hideAfter: 3,
+  perHour: 5,
+  falseReports: 3,
+  falseReportWindowMs: 7 * 24 * 3600 * 1000,
+  blockForMs: 24 * 3600 * 1000
+};
+
+const HOUR_MS = 3600 * 1000;
+
+function compileReportsConfig(block, inherited) {
+  const base = inherited || DEFAULT_REPORTS;
+  if (block === undefined || block === null) return base;
+  if (block === false) return Object.assign({}, base, { enabled: false });
+  if (typeof block !== "object" || Array.isArray(block)) throw new Error('"reports" must be an object or false');
+  const out = Object.assign({}, base, { enabled: block.enabled !== undefined ? block.enabled !== false : base.enabled });
+  for (const key of ["hideAfter", "perHour", "falseReports"]) {
+    if (block[key] === undefined) continue;
+    const n = Number(block[key]);
+    if (!(n >= 0) || !Number.isInteger(n)) throw new Error(`reports.${key} must be 0 or a positive whole number`);
+    out[key] = n;
+  }
+  for (const [key, field] of [["falseReportWindow", "falseReportWindowMs"], ["blockFor", "blockForMs"]]) {
+    if (block[key] === undefined) continue;
+    out[field] = parseDuration(block[key]);
+    if (!out[field]) throw new Error(`reports.${key} must be a duration like "24h"`);
+  }
+  return out;
+}
+
+function newReporterRecord() {
+  return { filed: [], dismissed: [], blockedUntil: 0 };
+}
+
+/**
+ * Why a member may not file a report right now, or null if they may.
+ * Drops timestamps that have fallen out of their windows.
+ * @returns {{ reason: string, until: number }|null}
+ */
+function reportRefusal(config, record, now = Date.now()) {
+  if (record.blockedUntil > now) return { reason: "too many of your reports were dismissed", until: record.blockedUntil };
+  record.filed = record.filed.filter(t => now - t < HOUR_MS);
+  if (config.perHour && record.filed.length >= config.perHour) return { reason: `you can file ${config.perHour} report(s) per hour`, until: record.filed[0] + HOUR_MS };
+  return null;
+}
+
+function recordFiled(record, now = Date.now()) {
+  record.filed.push(now);
+}
+
+/**
+ * Count a dismissed report against the member. Returns the time they're blocked
+ * until when this dismissal crosses the limit, else 0.
+ */
+function recordDismissal(config, record, now = Date.now()) {
+  record.dismissed = record.dismissed.filter(t => now - t < config.falseReportWindowMs);
+  record.dismissed.push(now);
+  if (!config.falseReports || record.dismissed.length < config.falseReports) return 0;
+  record.dismissed = [];
+  record.blockedUntil = now + config.blockForMs;
+  return record.blockedUntil;
+}
+
+module.exports = { DEFAULT_REPORTS, compileReportsConfig, newReporterRecord, reportRefusal, recordFiled, recordDismissal };
@@ -0,0 +1,101 @@
+/**
+ * lib/roles.js — role-based permissions for chat commands and moderation bypass
+ *
+ * Roles, lowest to highest: member, exempt, helper, moderator, owner. A role
+ * includes everything below it, so "exempt" (never auto-moderated) also applies
+ * to helpers, moderators and owners.
+ *
+ * In groups.json, "roles" lists E.164 numbers per role; a group's lists add to
+ * the defaults' lists. "permissions" maps a command name to the lowest role
+ * allowed to run it, overriding the command's own default:
+ *
+ *   "defaults": {
+ *     "roles": { "owner": ["+65 8048 0362"], "moderator": [...], "helper": [...], "exempt": [...] },
+ *     "permissions": { "warnings": "helper", "audit": "owner" },
+ *     "groupAdminsAreModerators": true
+ *   }
+ *
+ * The legacy "admins" list (and ALLOWED_NUMBERS) still works and means "owner".
+ * Numbers only ever match exactly after normalising to E.164 digits.
+ */
+
+const ROLES = ["member", "exempt", "helper", "moderator", "owner"];
+const ASSIGNABLE = ROLES.slice(1);
+
+function roleRank(role) {
+  if (role === "everyone") return 0;
+  const i = ROLES.indexOf(role);
+  return i === -1 ? Infinity : i; // unknown roles are never granted
+}
+
+function atLeast(role, required) {
+  return roleRank(role) >= roleRank(required);
+}
+
+/**
+ * Normalise a phone number or WhatsApp id to E.164 digits (no "+").
+ * "+65 8048 0362", "0065 80480362" and "6580480362@c.us" all give "6580480362".
+ * @returns {string|null} null when it can't be a full international number
+ */
+function toE164(raw) {
+  if (raw === null || raw === undefined) return null;
+  let digits = String(raw).split("@")[0].replace(/\D/g, "");
+  if (digits.startsWith("00")) digits = digits.slice(2);
+  if (digits.length < 8 || digits.length > 15 || digits.startsWith("0")) return null;
+  return digits;
+}
+
+function normaliseNumbers(list, where) {
+  if (typeof list === "string") list = list.split(",");
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) throw new Error(`${where} must be a list of phone numbers`);
+  return list.map(n => {
+    const e164 = toE164(n);
+    if (!e164) throw new Error(`${where}: "${n}" is not a full international number (include the country code)`);
+    return e164;
+  });
+}
+
+// Merge an entry's "roles" block over inherited role lists; returns { role: [digits] }
+function compileRoles(rolesBlock, inherited, where) {
+  if (rolesBlock !== undefined && (typeof rolesBlock !== "object" || Array.isArray(rolesBlock) || rolesBlock === null)) {
+    throw new Error(`${where} must be an object of role -> numbers`);
+  }
+  const out = {};
+  for (const role of ASSIGNABLE) out[role] = (inherited && inherited[role] ? inherited[role] : []).slice();
+  for (const [role, list] of Object.entries(rolesBlock || {})) {
+    if (!ASSIGNABLE.includes(role)) throw new Error(`${where}: unknown role "${role}" (use ${ASSIGNABLE.join(", ")})`);
+    for (const n of normaliseNumbers(list, `${where}.${role}`)) if (!out[role].includes(n)) out[role].push(n);
+  }
+  return out;
+}
+
+function compilePermissions(block, inherited, where) {
+  if (block !== undefined && (typeof block !== "object" || Array.isArray(block) || block === null)) {
+    throw new Error(`${where} must be an object of command -> role`);
+  }
+  const out = Object.assign({}, inherited);
+  for (const [command, role] of Object.entries(block || {})) {
+    if (role !== "everyone" && !ROLES.includes(role)) throw new Error(`${where}["${command}"]: unknown role "${role}"`);
+    out[String(command).toLowerCase()] = role;
+  }
+  return out;
+}
+
+// Highest configured role for a number in a compiled group (or defaults)
+function configuredRole(group, number) {
+  const e164 = toE164(number);
+  if (!e164 || !group || !group.roles) return "member";
+  for (let i = ROLES.length - 1; i > 0; i--) {
+    if ((group.roles[ROLES[i]] || []).includes(e164)) return ROLES[i];
+  }
+  return "member";
+}
+
+// The role a command needs in this group: per-group override, else the command's default
+function requiredRole(group, command) {
+  const override = group && group.permissions ? group.permissions[command.name] : undefined;
+  return override || command.permission;
+}
+
+module.exports = { ROLES, roleRank, atLeast, toE164, normaliseNumbers, compileRoles, compilePermissions, configuredRole, requiredRole };
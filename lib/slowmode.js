@@ -0,0 +1,73 @@
+/**
+ * lib/slowmode.js — per-group and per-member slow mode
+ *
+ * A group's "slowMode" block (false or absent = off):
+ *
+ *   "slowMode": { "messages": 1, "seconds": 60 }     // or just "60s" for one message per 60s
+ *
+ * Moderators can also switch it on at runtime for the whole group or a single
+ * member ("!slowmode 60s", "!slowmode @user 2m", "!slowmode off"); those settings
+ * live in the bot's state file and take precedence over the config block. A
+ * member's own limit beats the group's. Messages over the limit are deleted;
+ * exempt members and every role above aren't slowed down (see lib/roles.js).
+ */
+
+const { parseDuration, formatDuration } = require("./duration");
+
+// { messages, seconds } or null (off)
+function compileSlowMode(block, inherited) {
+  if (block === undefined) return inherited || null;
+  if (block === null || block === false || block === "off") return null;
+  if (typeof block === "string" || typeof block === "number") {
+    const ms = parseDuration(block);
+    if (!ms) throw new Error('"slowMode" must be a duration like "60s", an object or false');
+    return { messages: 1, seconds: ms / 1000 };
+  }
+  if (typeof block !== "object" || Array.isArray(block)) throw new Error('"slowMode" must be a duration like "60s", an object or false');
+  const messages = parseInt(block.messages !== undefined ? block.messages : 1, 10);
+  const seconds = Number(block.seconds);
+  if (!(messages > 0)) throw new Error("slowMode.messages must be a positive number");
+  if (!(seconds > 0)) throw new Error("slowMode.seconds must be a positive number");
+  return { messages, seconds };
+}
+
+function describeSlowMode(limit) {
+  if (!limit) return "off";
+  const per = formatDuration(limit.seconds * 1000);
+  return limit.messages === 1 ? `1 message per ${per}` : `${limit.messages} messages per ${per}`;
+}
+
+function createSlowModeTracker() {
+  const users = new Map(); // "group|user" -> { times: [ms], told: boolean }
+
+  /**
+   * Record a message against a limit.
+   * @returns {{ waitMs: number, told: boolean }|null} null when the message is allowed;
+   *   told is true if the member was already told about this slow mode.
+   */
+  function check(limit, groupId, user, now = Date.now()) {
+    if (!limit) return null;
+    const key = `${groupId}|${user}`;
+    let s = users.get(key);
+    if (!s) { s = { times: [], told: false }; users.set(key, s); }
+    const windowMs = limit.seconds * 1000;
+    s.times = s.times.filter(t => now - t < windowMs);
+    if (s.times.length < limit.messages) {
+      s.times.push(now);
+      return null;
+    }
+    const told = s.told;
+    s.told = true;
+    return { waitMs: windowMs - (now - s.times[0]), told };
+  }
+
+  // Forget a group's (or one member's) history, e.g. after the limit changed
+  function reset(groupId, user) {
+    if (user) { users.delete(`${groupId}|${user}`); return; }
+    for (const key of users.keys()) if (key.startsWith(`${groupId}|`)) users.delete(key);
+  }
+
+  return { check, reset };
+}
+
+module.exports = { compileSlowMode, describeSlowMode, createSlowModeTracker };
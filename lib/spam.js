@@ -0,0 +1,190 @@
+/**
+ * lib/spam.js — flood, duplicate, mass-mention and run-length spam detection
+ *
+ * A group's "spam" block configures the signals; set one to false to turn it off:
+ *
+ *   "spam": {
+ *     "rate": [{ "messages": 5, "seconds": 10 }, { "messages": 20, "seconds": 60 }],
+ *     "duplicates": { "count": 3, "seconds": 60, "similarity": 0.9, "minLength": 10 },
+ *     "mentions": { "max": 5 },
+ *     "runs": { "emoji": 10, "chars": 30 },
+ *     "cooldownSeconds": 30,
+ *     "weight": 1
+ *   }
+ *
+ * State is kept in memory per user per group. Once a signal fires, further hits
+ * from the same user within "cooldownSeconds" are flagged as repeats so a single
+ * flood costs one strike (the messages are still deleted). Messages with fewer than
+ * "minLength" letters and digits ("ok", "yes", "😂😂") are never duplicates: short
+ * replies repeat all the time in ordinary chat. Edits are checked for
+ * mentions and runs but don't count as new messages for the rate and duplicate
+ * signals.
+ */
+
+const { normalizeText } = require("./normalize");
+
+const DEFAULT_SPAM = {
+  enabled: true,
+  rate: [{ messages: 5, seconds: 10 }, { messages: 20, seconds: 60 }],
+  duplicates: { count: 3, seconds: 60, similarity: 0.9, minLength: 10 },
+  mentions: { max: 5 },
+  runs: { emoji: 10, chars: 30 },
+  cooldownSeconds: 30,
+  weight: 1
+};
+
+const SWEEP_EVERY = 500; // checks between sweeps of idle users
+
+function positive(value, where) {
+  const n = Number(value);
+  if (!(n > 0)) throw new Error(`${where} must be a positive number`);
+  return n;
+}
+
+// Merge a "spam" block over the inherited settings and validate it
+function compileSpamConfig(block, inherited) {
+  const base = inherited || DEFAULT_SPAM;
+  if (block === undefined || block === null) return base;
+  if (block === false) return Object.assign({}, base, { enabled: false });
+  if (typeof block !== "object" || Array.isArray(block)) throw new Error('"spam" must be an object or false');
+  const out = Object.assign({}, base, { enabled: block.enabled !== undefined ? block.enabled !== false : base.enabled });
+  if (block.rate !== undefined) {
+    out.rate = block.rate === false ? [] : (Array.isArray(block.rate) ? block.rate : [block.rate]).map((r, i) => ({
+      messages: positive(r && r.messages, `spam.rate[${i}].messages`),
+      seconds: positive(r && r.seconds, `spam.rate[${i}].seconds`)
+    }));
+  }
+  if (block.duplicates !== undefined) {
+    const d = block.duplicates;
+    out.duplicates = d === false ? null : {
+      count: positive(d.count !== undefined ? d.count : base.duplicates?.count || 3, "spam.duplicates.count"),
+      seconds: positive(d.seconds !== undefined ? d.seconds : base.duplicates?.seconds || 60, "spam.duplicates.seconds"),
+      similarity: Math.min(1, positive(d.similarity !== undefined ? d.similarity : base.duplicates?.similarity || 0.9, "spam.duplicates.similarity")),
+      minLength: d.minLength !== undefined ? Number(d.minLength) : base.duplicates?.minLength ?? DEFAULT_SPAM.duplicates.minLength
+    };
+    if (out.duplicates && !(out.duplicates.minLength >= 0)) throw new Error("spam.duplicates.minLength must be 0 or more");
+  }
+  if (block.mentions !== undefined) out.mentions = block.mentions === false ? null : { max: positive(block.mentions.max, "spam.mentions.max") };
+  if (block.runs !== undefined) {
+    const r = block.runs;
+    out.runs = r === false ? null : {
+      emoji: r.emoji === false ? 0 : positive(r.emoji !== undefined ? r.emoji : base.runs?.emoji || 10, "spam.runs.emoji"),
+      chars: r.chars === false ? 0 : positive(r.chars !== undefined ? r.chars : base.runs?.chars || 30, "spam.runs.chars")
+    };
+  }
+  if (block.cooldownSeconds !== undefined) {
+    out.cooldownSeconds = Number(block.cooldownSeconds);
+    if (!(out.cooldownSeconds >= 0)) throw new Error("spam.cooldownSeconds must be 0 or more");
+  }
+  if (block.weight !== undefined) out.weight = Math.floor(positive(block.weight, "spam.weight"));
+  return out;
+}
+
+// Dice coefficient over character bigrams — 1 for identical strings
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+  const grams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const g = a.slice(i, i + 2);
+    grams.set(g, (grams.get(g) || 0) + 1);
+  }
+  let overlap = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const g = b.slice(i, i + 2);
+    const n = grams.get(g);
+    if (n) { overlap++; grams.set(g, n - 1); }
+  }
+  return (2 * overlap) / (a.length + b.length - 2);
+}
+
+// Longest run of consecutive emoji (skin tones, ZWJ and variation selectors don't break a run)
+function longestEmojiRun(text) {
+  let best = 0;
+  let run = 0;
+  for (const ch of text) {
+    if (/\p{Extended_Pictographic}/u.test(ch)) { run++; best = Math.max(best, run); } else if (!/[\u200D\uFE0F\u{1F3FB}-\u{1F3FF}\s]/u.test(ch)) run = 0;
+  }
+  return best;
+}
+
+function longestCharRun(text) {
+  let best = 0;
+  let run = 0;
+  let prev = null;
+  for (const ch of text) {
+    run = ch === prev && !/\s/.test(ch) ? run + 1 : 1;
+    prev = ch;
+    if (run > best) best = run;
+  }
+  return best;
+}
+
+function createSpamDetector() {
+  const users = new Map(); // "group|user" -> { times: [ms], recent: [{ at, text }], lastHitAt }
+  let checks = 0;
+
+  function sweep(now) {
+    for (const [key, s] of users) {
+      if (now - Math.max(s.times[s.times.length - 1] || 0, s.lastHitAt || 0) > 3600 * 1000) users.delete(key);
+    }
+  }
+
+  /**
+   * Record a message and test it against the group's spam config.
+   * input: { groupId, user, text, mentions (count), at, edit }
+   * @returns {{ signal: string, detail: string, repeat: boolean }|null}
+   */
+  function check(config, input) {
+    if (!config || !config.enabled) return null;
+    const now = input.at || Date.now();
+    if (++checks % SWEEP_EVERY === 0) sweep(now);
+    const key = `${input.groupId}|${input.user}`;
+    let s = users.get(key);
+    if (!s) { s = { times: [], recent: [], lastHitAt: 0 }; users.set(key, s); }
+
+    const longestWindow = Math.max(0, ...config.rate.map(r => r.seconds), config.duplicates ? config.duplicates.seconds : 0) * 1000;
+    if (!input.edit) s.times.push(now);
+    while (s.times.length && now - s.times[0] > longestWindow) s.times.shift();
+
+    const text = String(input.text || "");
+    const folded = normalizeText(text).replace(/\s+/g, " ").trim();
+    let hit = null;
+
+    for (const r of input.edit ? [] : config.rate) {
+      const n = s.times.filter(t => now - t <= r.seconds * 1000).length;
+      if (n > r.messages) { hit = { signal: "rate", detail: `${n} messages in ${r.seconds}s` }; break; }
+    }
+    if (!hit && config.duplicates && folded && !input.edit && folded.replace(/[^\p{L}\p{N}]/gu, "").length >= (config.duplicates.minLength || 0)) {
+      const d = config.duplicates;
+      s.recent = s.recent.filter(m => now - m.at <= d.seconds * 1000);
+      const same = s.recent.filter(m => similarity(m.text, folded) >= d.similarity).length + 1;
+      s.recent.push({ at: now, text: folded });
+      if (s.recent.length > 50) s.recent.shift();
+      if (same >= d.count) hit = { signal: "duplicate", detail: `${same} near-identical messages in ${d.seconds}s` };
+    }
+    if (!hit && config.mentions && (input.mentions || 0) > config.mentions.max) {
+      hit = { signal: "mentions", detail: `${input.mentions} mentions` };
+    }
+    if (!hit && config.runs && text) {
+      const emoji = config.runs.emoji ? longestEmojiRun(text) : 0;
+      const chars = config.runs.chars ? longestCharRun(text) : 0;
+      if (config.runs.emoji && emoji >= config.runs.emoji) hit = { signal: "emoji-run", detail: `${emoji} emoji in a row` };
+      else if (config.runs.chars && chars >= config.runs.chars) hit = { signal: "char-run", detail: `${chars} repeated characters` };
+    }
+    if (!hit) return null;
+
+    hit.repeat = !!s.lastHitAt && now - s.lastHitAt < config.cooldownSeconds * 1000;
+    if (!hit.repeat) s.lastHitAt = now;
+    return hit;
+  }
+
+  // Forget a user's history (e.g. after they've been removed)
+  function reset(groupId, user) {
+    users.delete(`${groupId}|${user}`);
+  }
+
+  return { check, reset };
+}
+
+module.exports = { DEFAULT_SPAM, compileSpamConfig, createSpamDetector, similarity, longestEmojiRun, longestCharRun };
@@ -0,0 +1,244 @@
+/**
+ * lib/sqliteStore.js — the embedded SQLite storage backend (see lib/storage.js)
+ *
+ * Uses Node's built-in node:sqlite (Node.js 22.5 or newer), so there is nothing to
+ * install. Records live in one table keyed by (collection, key); the audit log has
+ * a table of its own with the columns the read filters need.
+ *
+ * The schema is versioned with PRAGMA user_version: MIGRATIONS[n] takes the database
+ * from version n to n + 1 inside a transaction, so add new steps at the end and never
+ * edit one that has shipped.
+ *
+ * On first start the JSON files the json backend would use (warnings.json, the state
+ * file, the audit log) are imported once. warnings.json.bak.* files — left behind by
+ * RESET_WARNINGS_ON_STARTUP — are imported too, as cleared history, so old offences
+ * show up in "!warnings" without counting as strikes again. The JSON files are left
+ * where they are.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { log } = require("./log");
+const { createJsonStore } = require("./jsonStore");
+const { normaliseHistory } = require("./offences");
+
+const MIGRATIONS = [
+  // 1: records, audit log, bookkeeping
+  `CREATE TABLE records (
+     collection TEXT NOT NULL,
+     key TEXT NOT NULL,
+     value TEXT NOT NULL,
+     updated_at TEXT NOT NULL,
+     PRIMARY KEY (collection, key)
+   );
+   CREATE TABLE audit (
+     id INTEGER PRIMARY KEY,
+     at TEXT NOT NULL,
+     type TEXT NOT NULL,
+     group_id TEXT,
+     author TEXT,
+     entry TEXT NOT NULL
+   );
+   CREATE INDEX audit_group ON audit (group_id, id);
+   CREATE INDEX audit_author ON audit (author, id);
+   CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);`
+];
+
+const stamp = () => (new Date()).toISOString().replace(/[:.]/g, "-");
+
+function loadDriver() {
+  try {
+    return require("node:sqlite");
+  } catch (e) {
+    throw new Error(`STORAGE_BACKEND=sqlite needs Node.js 22.5 or newer (node:sqlite is missing in ${process.version})`);
+  }
+}
+
+function createSqliteStore(options = {}) {
+  const file = options.sqliteFile;
+  if (!file) throw new Error("The sqlite backend needs a database file (SQLITE_FILE)");
+  let db = null;
+
+  function transaction(fn) {
+    db.exec("BEGIN IMMEDIATE");
+    try {
+      const result = fn();
+      db.exec("COMMIT");
+      return result;
+    } catch (e) {
+      try { db.exec("ROLLBACK"); } catch { /* already rolled back */ }
+      throw e;
+    }
+  }
+
+  function migrate() {
+    const version = db.prepare("PRAGMA user_version").get().user_version;
+    for (let v = version; v < MIGRATIONS.length; v++) {
+      transaction(() => {
+        db.exec(MIGRATIONS[v]);
+        db.exec(`PRAGMA user_version = ${v + 1}`);
+      });
+      log(`SQLite schema migrated to version ${v + 1}.`);
+    }
+  }
+
+  function putRecords(collection, changes) {
+    const now = new Date().toISOString();
+    const upsert = db.prepare("INSERT INTO records (collection, key, value, updated_at) VALUES (?, ?, ?, ?) ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at");
+    const remove = db.prepare("DELETE FROM records WHERE collection = ? AND key = ?");
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null) remove.run(collection, key);
+      else upsert.run(collection, key, JSON.stringify(value), now);
+    }
+  }
+
+  function insertAudit(entry) {
+    db.prepare("INSERT INTO audit (id, at, type, group_id, author, entry) VALUES (?, ?, ?, ?, ?, ?)")
+      .run(entry.id, entry.at || new Date().toISOString(), entry.type || "unknown", entry.group || null, entry.author || null, JSON.stringify(entry));
+  }
+
+  // warnings.json.bak.<ts> files, oldest first
+  function warningBackups(warningsFile) {
+    const dir = path.dirname(warningsFile);
+    const prefix = `${path.basename(warningsFile)}.bak.`;
+    let names = [];
+    try { names = fs.readdirSync(dir).filter(n => n.startsWith(prefix)).sort(); } catch (e) { return []; }
+    return names.map(n => path.join(dir, n));
+  }
+
+  // Backed-up offences were reset on purpose: keep them as history, not as strikes.
+  // Keys are kept as they were ("<lid>@lid" included); loading resolves them to members.
+  function readBackup(bakFile) {
+    const raw = JSON.parse(fs.readFileSync(bakFile, "utf8") || "{}");
+    const resetAt = (/\.bak\.(\d{4}-\d\d-\d\dT\d\d)-(\d\d)-(\d\d)-(\d{3})Z$/.exec(bakFile) || []).slice(1);
+    const clearedAt = resetAt.length ? `${resetAt[0]}:${resetAt[1]}:${resetAt[2]}.${resetAt[3]}Z` : new Date().toISOString();
+    const out = {};
+    for (const [key, value] of Object.entries(raw || {})) {
+      out[key] = normaliseHistory(value, Date.parse(clearedAt)).map(r => Object.assign({}, r, {
+        clearedAt: r.clearedAt || clearedAt,
+        clearedReason: r.clearedReason || `reset on startup (imported from ${path.basename(bakFile)})`
+      }));
+    }
+    return out;
+  }
+
+  // One-time import of the JSON backend's files
+  async function importLegacy() {
+    if (db.prepare("SELECT value FROM meta WHERE key = 'legacy-import'").get()) return;
+    const json = createJsonStore(options);
+    const imported = { collections: {}, backups: [], audit: 0 };
+
+    const collections = {};
+    for (const name of Object.keys(options.files || {})) collections[name] = await json.readAll(name);
+    if (options.stateFile) {
+      for (const [key, value] of Object.entries(await json.readAll("state"))) {
+        if (value && typeof value === "object" && !Array.isArray(value)) collections[key] = value;
+        else (collections.state = collections.state || {})[key] = value;
+      }
+    }
+    if (options.files && options.files.warnings) {
+      const warnings = collections.warnings || (collections.warnings = {});
+      for (const bak of warningBackups(options.files.warnings)) {
+        for (const [key, history] of Object.entries(readBackup(bak))) {
+          const current = warnings[key] === undefined ? [] : normaliseHistory(warnings[key]);
+          warnings[key] = history.concat(current).sort((a, b) => String(a.at).localeCompare(String(b.at)));
+        }
+        imported.backups.push(path.basename(bak));
+      }
+    }
+    const audit = options.auditFile ? await json.readAudit() : [];
+
+    transaction(() => {
+      for (const [name, records] of Object.entries(collections)) {
+        putRecords(name, records);
+        imported.collections[name] = Object.keys(records).length;
+      }
+      for (const entry of audit) {
+        if (!entry.id) continue;
+        insertAudit(entry);
+        imported.audit++;
+      }
+      db.prepare("INSERT INTO meta (key, value) VALUES ('legacy-import', ?)").run(JSON.stringify(Object.assign({ at: new Date().toISOString() }, imported)));
+    });
+    const summary = Object.entries(imported.collections).map(([n, c]) => `${n}: ${c}`).join(", ") || "nothing";
+    log(`Imported JSON data into ${path.basename(file)} (${summary}; ${imported.audit} audit entries${imported.backups.length ? `; backups ${imported.backups.join(", ")}` : ""}).`);
+  }
+
+  let opening = null;
+  function open() {
+    if (!opening) {
+      opening = (async () => {
+        const { DatabaseSync } = loadDriver();
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        db = new DatabaseSync(file);
+        db.exec("PRAGMA journal_mode = WAL; PRAGMA busy_timeout = 5000;");
+        migrate();
+        await importLegacy();
+      })();
+      opening.catch(() => { opening = null; });
+    }
+    return opening;
+  }
+
+  async function readAll(collection) {
+    await open();
+    const out = {};
+    for (const row of db.prepare("SELECT key, value FROM records WHERE collection = ?").all(collection)) out[row.key] = JSON.parse(row.value);
+    return out;
+  }
+
+  async function write(collection, changes) {
+    await open();
+    transaction(() => putRecords(collection, changes));
+  }
+
+  // The copy becomes a collection of its own: "<collection>.bak.<ts>"
+  async function backup(collection) {
+    await open();
+    const name = `${collection}.bak.${stamp()}`;
+    transaction(() => {
+      db.prepare("UPDATE records SET collection = ? WHERE collection = ?").run(name, collection);
+    });
+    return name;
+  }
+
+  async function appendAudit(entry) {
+    await open();
+    insertAudit(entry);
+  }
+
+  async function readAudit(filter = {}) {
+    await open();
+    const where = [];
+    const params = [];
+    if (filter.group) { where.push("group_id = ?"); params.push(filter.group); }
+    if (filter.author) { where.push("author = ?"); params.push(filter.author); }
+    if (filter.type) { where.push("type = ?"); params.push(filter.type); }
+    if (filter.since) { where.push("at >= ?"); params.push(filter.since); }
+    const clause = where.length ? `WHERE ${where.join(" AND ")}` : "";
+    const limit = parseInt(filter.limit, 10) > 0 ? parseInt(filter.limit, 10) : 0;
+    const rows = limit
+      ? db.prepare(`SELECT entry FROM audit ${clause} ORDER BY id DESC LIMIT ${limit}`).all(...params).reverse()
+      : db.prepare(`SELECT entry FROM audit ${clause} ORDER BY id`).all(...params);
+    return rows.map(r => JSON.parse(r.entry));
+  }
+
+  async function lastAuditId() {
+    await open();
+    return db.prepare("SELECT MAX(id) AS id FROM audit").get().id || 0;
+  }
+
+  return {
+    kind: "sqlite",
+    open,
+    readAll,
+    write,
+    backup,
+    appendAudit,
+    readAudit,
+    lastAuditId,
+    async close() { if (db) { db.close(); db = null; opening = null; } }
+  };
+}
+
+module.exports = { MIGRATIONS, createSqliteStore };
@@ -0,0 +1,199 @@
+/**
+ * lib/storage.js — persistence shared by both bot variants
+ *
+ * Everything the bots keep is a handful of collections of JSON records (key -> value)
+ * plus the audit log:
+ *
+ *   warnings   member key -> offence history (see lib/offences.js)
+ *   bans       group id -> { member key: ban }      mutes   group id -> { member key: mute }
+ *   config     group id -> runtime settings ("!mod on" / "!mod off")
+ *   identities "<lid>@lid" -> { phone } (see lib/identity.js; a member key is the phone digits)
+ *   plugin:<name>  whatever that plugin keeps (see lib/plugins.js)
+ *   state      anything else the bot needs across restarts (pending re-adds, ...)
+ *
+ * Two backends, picked with STORAGE_BACKEND:
+ *
+ *   json    (default) the files the bots have always used: warnings.json, the state
+ *           file and the JSONL audit log (see lib/jsonStore.js)
+ *   sqlite  one embedded database with schema migrations; the first start imports
+ *           the JSON files, including warnings.json.bak.* backups (see lib/sqliteStore.js)
+ *
+ * A backend implements:
+ *
+ *   open()                      connect / migrate (also done lazily on first use)
+ *   readAll(collection)         -> { key: value }
+ *   write(collection, changes)  changes: { key: value, key: null (delete) }
+ *   backup(collection)          keep a copy of the collection aside, then empty it
+ *   appendAudit(entry)          entry already carries its id
+ *   readAudit(filter)           filter: { group, author, type, since, limit }, oldest first
+ *   lastAuditId()
+ *   close()
+ *
+ * Group rules stay in the hand-edited, hot-reloaded groups.json (see lib/groupConfig.js).
+ * Writes are retried with backoff; one that still fails is logged and tried again on
+ * the next save (or a timer), so a transient disk error never turns persistence off.
+ */
+
+const { log, warn } = require("./log");
+
+const BACKENDS = ["json", "sqlite"];
+const RETRY_DELAYS_MS = [250, 1000, 4000];
+const RESAVE_AFTER_MS = 30 * 1000; // a save that failed every retry is attempted again after this
+
+/**
+ * options: { backend, files: { collection: path }, stateFile, auditFile, sqliteFile }
+ * The JSON paths are where the json backend keeps its data and where the sqlite
+ * backend imports from on first start.
+ */
+function createStorage(options) {
+  const backend = String(options.backend || "json").toLowerCase();
+  if (backend === "json") return require("./jsonStore").createJsonStore(options);
+  if (backend === "sqlite") return require("./sqliteStore").createSqliteStore(options);
+  throw new Error(`Unknown storage backend "${options.backend}" (use ${BACKENDS.join(" or ")})`);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function withRetry(what, fn) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (attempt >= RETRY_DELAYS_MS.length) throw e;
+      warn(`${what} failed (attempt ${attempt + 1}), retrying:`, e?.message || e);
+      await sleep(RETRY_DELAYS_MS[attempt]);
+    }
+  }
+}
+
+// Shared by the backends: does an audit entry pass a read filter?
+function auditMatches(entry, filter) {
+  if (filter.group && entry.group !== filter.group) return false;
+  if (filter.author && entry.author !== filter.author) return false;
+  if (filter.type && entry.type !== filter.type) return false;
+  if (filter.since && entry.at < filter.since) return false;
+  return true;
+}
+
+const isPlainObject = v => !!v && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * Keep in-memory collections in step with the store. save() writes only the records
+ * that changed since the last successful write; saves are serialised and one asked
+ * for while another runs is folded into a single follow-up.
+ * snapshot() returns { collection: { key: value } } for everything this syncer owns.
+ */
+function createSyncer(store, label, snapshot) {
+  const written = new Map(); // collection -> Map(key -> JSON as last written / loaded)
+  let running = null;
+  let queued = false;
+  let retryTimer = null;
+
+  function remember(collection, records) {
+    const m = new Map();
+    for (const [key, value] of Object.entries(records || {})) m.set(key, JSON.stringify(value));
+    written.set(collection, m);
+  }
+
+  async function flush() {
+    for (const [collection, records] of Object.entries(snapshot())) {
+      const before = written.get(collection) || new Map();
+      const after = new Map();
+      const changes = {};
+      for (const [key, value] of Object.entries(records || {})) {
+        if (value === undefined) continue;
+        const json = JSON.stringify(value);
+        after.set(key, json);
+        if (before.get(key) !== json) changes[key] = value;
+      }
+      for (const key of before.keys()) if (!after.has(key)) changes[key] = null;
+      if (!Object.keys(changes).length) continue;
+      await withRetry(`Saving ${label}`, () => store.write(collection, changes));
+      written.set(collection, after);
+    }
+  }
+
+  async function save() {
+    if (running) { queued = true; return running; }
+    running = (async () => {
+      try {
+        do {
+          queued = false;
+          await flush();
+        } while (queued);
+      } catch (e) {
+        warn(`Failed to save ${label} — keeping it in memory and trying again in ${RESAVE_AFTER_MS / 1000}s:`, e?.message || e);
+        if (!retryTimer) {
+          retryTimer = setTimeout(() => { retryTimer = null; save(); }, RESAVE_AFTER_MS);
+          if (retryTimer.unref) retryTimer.unref();
+        }
+      } finally {
+        running = null;
+      }
+    })();
+    return running;
+  }
+
+  return { remember, save };
+}
+
+/**
+ * One collection held in memory as a plain object.
+ * load() reads it (replacing data), save() persists what changed.
+ */
+function createCollection(store, name) {
+  let data = {};
+  const syncer = createSyncer(store, name, () => ({ [name]: data }));
+  return {
+    async load() {
+      data = await store.readAll(name);
+      syncer.remember(name, data);
+      return data;
+    },
+    save: () => syncer.save(),
+    get data() { return data; },
+    set data(value) { data = value || {}; }
+  };
+}
+
+/**
+ * The bot's assorted state as one object, e.g. { mutes: {}, bans: {}, readds: [] }.
+ * Object fields are collections of their own (keyed by group id); anything else is a
+ * record in the "state" collection. Same shape as the old state file: load(), save(), data.
+ */
+function createStoredState(store, defaults) {
+  let data = JSON.parse(JSON.stringify(defaults));
+  const objectFields = Object.keys(defaults).filter(k => isPlainObject(defaults[k]));
+  const otherFields = Object.keys(defaults).filter(k => !isPlainObject(defaults[k]));
+
+  const syncer = createSyncer(store, "moderation state", () => {
+    const out = { state: {} };
+    for (const f of objectFields) out[f] = data[f];
+    for (const f of otherFields) out.state[f] = data[f];
+    return out;
+  });
+
+  async function load() {
+    const next = JSON.parse(JSON.stringify(defaults));
+    for (const f of objectFields) {
+      const records = await store.readAll(f);
+      next[f] = records;
+      syncer.remember(f, records);
+    }
+    const misc = await store.readAll("state");
+    const mine = {};
+    for (const f of otherFields) if (misc[f] !== undefined) next[f] = mine[f] = misc[f];
+    syncer.remember("state", mine);
+    data = next;
+    log(`Loaded moderation state (${store.kind} storage).`);
+    return data;
+  }
+
+  return {
+    load,
+    save: () => syncer.save(),
+    get data() { return data; }
+  };
+}
+
+module.exports = { BACKENDS, createStorage, createCollection, createStoredState, withRetry, auditMatches };
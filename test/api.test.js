@@ -0,0 +1,114 @@
+// lib/api.js: token auth, body validation and the group / warning routes, over HTTP
+process.env.LOG_LEVEL = "silent";
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createAdminApi } = require("../lib/api");
+const { createGroupConfig } = require("../lib/groupConfig");
+const { activeStrikes } = require("../lib/offences");
+
+const TOKEN = "s3cret-token";
+const GROUP = "120363000000000001@g.us";
+const OTHER = "120363000000000002@g.us";
+const USER = "6590000002";
+
+let dir, server, base;
+const warnings = {};
+const moderation = {};
+const audited = [];
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "modbot-api-"));
+  const file = path.join(dir, "groups.json");
+  fs.writeFileSync(file, JSON.stringify({ groups: [{ id: GROUP, name: "API", warningsThreshold: 2 }, { id: OTHER, name: "Other" }] }));
+  const groupConfig = createGroupConfig(file, { enabled: true, bannedWords: ["darn"], warningsThreshold: 3, warningExpiryDays: 30, admins: [] });
+  groupConfig.reload();
+  const handle = createAdminApi({
+    token: TOKEN,
+    groupConfig,
+    audit: { append: entry => audited.push(entry) },
+    getWarnings: () => warnings,
+    saveWarnings: async () => {},
+    memberKey: id => String(id).replace(/\D/g, ""),
+    isModerationActive: g => moderation[g.id] !== false,
+    setModerationActive: (id, active) => { moderation[id] = active; },
+    listGroups: async () => []
+  });
+  server = http.createServer((req, res) => handle(req, res, new URL(req.url, "http://localhost")).catch(() => {}));
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function call(method, url, { body, token = TOKEN, raw } = {}) {
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  const res = await fetch(base + url, { method, headers, body: raw !== undefined ? raw : (body && JSON.stringify(body)) });
+  return { status: res.status, body: await res.json() };
+}
+
+const group = id => `/api/groups/${encodeURIComponent(id)}`;
+
+test("requests need the bearer token", async () => {
+  assert.equal((await call("GET", "/api/groups", { token: null })).status, 401);
+  assert.equal((await call("GET", "/api/groups", { token: "wrong" })).status, 401);
+  assert.equal((await call("GET", "/api/groups", { token: TOKEN + "x" })).status, 401);
+  assert.deepEqual(await call("GET", "/api/groups"), { status: 200, body: { ok: true, groups: [] } });
+});
+
+test("unknown paths and methods are refused", async () => {
+  assert.equal((await call("GET", "/api/nope")).status, 404);
+  assert.equal((await call("PATCH", group(GROUP))).status, 405);
+});
+
+test("bodies must be JSON objects with the fields a route needs", async () => {
+  const url = `${group(GROUP)}/moderation`;
+  assert.deepEqual(await call("PUT", url, { raw: "{nope" }), { status: 400, body: { ok: false, error: "body is not valid JSON" } });
+  assert.equal((await call("PUT", url, { raw: "[1]" })).status, 400);
+  assert.equal((await call("PUT", url, { body: { active: "yes" } })).status, 400);
+  assert.equal((await call("PUT", url, { raw: JSON.stringify({ pad: "x".repeat(70 * 1024) }) })).status, 413);
+  assert.equal((await call("POST", `${group(GROUP)}/banned-words`, { body: { words: ["", "ok"] } })).status, 400);
+  assert.equal((await call("POST", `/api/warnings/${USER}`, { body: { group: GROUP, adjust: 0 } })).status, 400);
+  assert.equal((await call("POST", `/api/warnings/${USER}`, { body: { adjust: 1 } })).status, 400);
+  assert.equal((await call("GET", "/api/warnings/abc")).status, 400);
+});
+
+test("a registered group can be read and have moderation switched", async () => {
+  const { body } = await call("GET", group(GROUP));
+  assert.equal(body.group.name, "API");
+  assert.equal(body.group.warningsThreshold, 2);
+  assert.equal((await call("PUT", `${group(GROUP)}/moderation`, { body: { active: false } })).body.group.moderationActive, false);
+  assert.deepEqual(moderation, { [GROUP]: false });
+  assert.equal(audited.at(-1).group, GROUP);
+});
+
+test('"defaults" and unknown ids are not groups', async () => {
+  for (const id of ["defaults", "120363000000000099@g.us"]) {
+    assert.equal((await call("GET", group(id))).status, 404);
+    assert.equal((await call("PUT", `${group(id)}/moderation`, { body: { active: false } })).status, 404);
+    assert.equal((await call("POST", `/api/warnings/${USER}`, { body: { group: id, adjust: 1 } })).status, 404);
+    assert.equal((await call("DELETE", `/api/warnings/${USER}?group=${encodeURIComponent(id)}`)).status, 404);
+    assert.equal((await call("GET", `/api/warnings?group=${encodeURIComponent(id)}`)).status, 404);
+  }
+  assert.deepEqual(Object.keys(moderation), [GROUP]);
+  assert.deepEqual(warnings, {});
+  // the shared word list is still reachable as "defaults"
+  assert.deepEqual((await call("GET", `${group("defaults")}/banned-words`)).body.words, ["darn"]);
+});
+
+test("strikes are adjusted and reset per group", async () => {
+  assert.equal((await call("POST", `/api/warnings/${USER}`, { body: { group: GROUP, adjust: 2, reason: "spam" } })).body.activeStrikes, 2);
+  assert.equal((await call("POST", `/api/warnings/${USER}`, { body: { group: GROUP, adjust: -1 } })).body.activeStrikes, 1);
+  assert.equal(activeStrikes(warnings, USER, OTHER, 0), 0);
+  const { body } = await call("GET", `/api/warnings/${USER}@c.us`);
+  assert.deepEqual(body.groups.map(g => [g.group, g.activeStrikes]), [[GROUP, 1], [OTHER, 0]]);
+  assert.deepEqual((await call("GET", `/api/warnings?group=${encodeURIComponent(OTHER)}`)).body.users, []);
+  assert.deepEqual((await call("DELETE", `/api/warnings/${USER}?group=${encodeURIComponent(GROUP)}`)).body, { ok: true, user: USER, group: GROUP, cleared: 1 });
+  assert.equal(activeStrikes(warnings, USER, GROUP, 0), 0);
+});
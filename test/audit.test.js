@@ -0,0 +1,91 @@
+// lib/audit.js: appending and querying the audit log, and the CSV export
+process.env.LOG_LEVEL = "silent";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStorage } = require("../lib/storage");
+const { createAuditLog, toCsv, formatEntry } = require("../lib/audit");
+
+const G1 = "120363000000000001@g.us";
+const G2 = "120363000000000002@g.us";
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "modbot-audit-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const auditFile = path.join(dir, "audit.jsonl");
+  const store = () => createStorage({ backend: "json", files: {}, stateFile: path.join(dir, "state.json"), auditFile });
+  return { dir, auditFile, store };
+}
+
+test("entries are numbered in order and filtered on the way back", async t => {
+  const { store } = setup(t);
+  const audit = createAuditLog(store(), null);
+  audit.append({ type: "delete", group: G1, author: "6590000002", at: "2024-01-01T00:00:00.000Z" });
+  audit.append({ type: "warn", group: G1, author: "6590000002", at: "2024-01-02T00:00:00.000Z" });
+  audit.append({ type: "delete", group: G2, author: "6590000003", at: "2024-01-03T00:00:00.000Z" });
+  const written = await audit.append({ type: "remove", group: G1, author: "6590000003", trigger: "admin:6590000001", at: "2024-01-04T00:00:00.000Z" });
+  assert.equal(written.id, 4);
+
+  assert.deepEqual((await audit.read()).map(e => e.id), [1, 2, 3, 4]);
+  assert.deepEqual((await audit.read({ group: G1 })).map(e => e.id), [1, 2, 4]);
+  assert.deepEqual((await audit.read({ author: "6590000003" })).map(e => e.id), [3, 4]);
+  assert.deepEqual((await audit.read({ type: "delete" })).map(e => e.id), [1, 3]);
+  assert.deepEqual((await audit.read({ since: "2024-01-02T00:00:00.000Z" })).map(e => e.id), [2, 3, 4]);
+  assert.deepEqual((await audit.read({ group: G1, limit: 2 })).map(e => e.id), [2, 4]);
+  assert.equal((await audit.read())[0].trigger, "auto");
+});
+
+test("numbering continues after a restart and the file is only appended to", async t => {
+  const { store, auditFile } = setup(t);
+  const first = createAuditLog(store(), null);
+  first.append({ type: "delete", group: G1 });
+  await first.append({ type: "warn", group: G1 });
+  const before = fs.readFileSync(auditFile, "utf8");
+
+  const second = createAuditLog(store(), null);
+  assert.equal((await second.append({ type: "ban", group: G1 })).id, 3);
+  assert.ok(fs.readFileSync(auditFile, "utf8").startsWith(before));
+  assert.deepEqual((await second.read()).map(e => e.type), ["delete", "warn", "ban"]);
+});
+
+test("media is saved as evidence before the message goes", async t => {
+  const { dir, store } = setup(t);
+  const mediaDir = path.join(dir, "audit-media");
+  const audit = createAuditLog(store(), mediaDir);
+  const message = { hasMedia: true, id: { _serialized: "false_x_ABC" }, downloadMedia: async () => ({ mimetype: "image/png", data: Buffer.from("png!").toString("base64") }) };
+  const evidence = await audit.captureEvidence(message);
+  assert.equal(evidence.mimetype, "image/png");
+  assert.equal(evidence.size, 4);
+  assert.equal(fs.readFileSync(path.join(dir, evidence.file), "utf8"), "png!");
+  assert.equal(await audit.captureEvidence({ hasMedia: false }), null);
+  assert.equal(await createAuditLog(store(), mediaDir, { captureMedia: false }).captureEvidence(message), null);
+});
+
+test("CSV cells are quoted where needed", () => {
+  const csv = toCsv([{ id: 1, at: "2024-01-01T00:00:00.000Z", type: "delete", groupName: 'The "best", group', body: "line one\nline two", rule: { kind: "banned-word", term: "shit" }, previousBodies: ["a"] }]);
+  const [header, row] = csv.split("\r\n");
+  assert.equal(header, "id,at,type,groupName,group,author,messageId,body,previousBodies,media,rule,trigger,outcome,detail");
+  assert.equal(row, '1,2024-01-01T00:00:00.000Z,delete,"The ""best"", group",,,,"line one\nline two","[""a""]",,shit,,,');
+  assert.ok(csv.endsWith("\r\n"));
+});
+
+test("CSV cells that a spreadsheet would run as a formula are made text", () => {
+  const bodies = ['=HYPERLINK("http://x.example","click")', "+1+cmd|' /C calc'!A0", "-2+3", "@SUM(A1:A2)", "a=b", "fine"];
+  const rows = toCsv(bodies.map((body, i) => ({ id: i + 1, body }))).split("\r\n").slice(1, -1);
+  const cells = rows.map(r => r.split(",").slice(7).join(",").replace(/,+$/, ""));
+  assert.deepEqual(cells, [
+    '"\'=HYPERLINK(""http://x.example"",""click"")"',
+    "\"'+1+cmd|' /C calc'!A0\"",
+    "\"'-2+3\"",
+    "\"'@SUM(A1:A2)\"",
+    "a=b",
+    "fine"
+  ]);
+});
+
+test("entries are summarised in one line for chat", () => {
+  const line = formatEntry({ id: 7, at: "2024-01-01T10:20:30.000Z", type: "delete", author: "6590000002", rule: { term: "shit" }, body: "oh shit", previousBodies: ["oh hi"], trigger: "admin:6590000001", outcome: "everyone" });
+  assert.equal(line, '#7 2024-01-01 10:20 delete 6590000002 [shit] "oh shit" (edited from "oh hi") by 6590000001 → everyone');
+});
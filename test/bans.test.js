@@ -0,0 +1,56 @@
+// Scripted: the ban list — banned members who rejoin are removed again until unbanned
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { OWNER, ALICE, BOB, bootBot, sentTo } = require("./harness");
+
+const GROUP = "120363000000000013@g.us";
+
+let h;
+
+before(async () => {
+  h = bootBot({ groups: [{ id: GROUP, name: "Bans" }] });
+  h.client.addGroup({ id: GROUP, name: "Bans", members: [OWNER, ALICE, BOB], admins: [OWNER], botAdmin: true });
+  await h.bot.start();
+});
+
+after(() => h.stop());
+
+async function step(fn) {
+  const mark = h.client.actions.length;
+  await fn();
+  return h.client.since(mark);
+}
+
+const say = (author, body) => step(() => h.client.receive(GROUP, author, body));
+const removals = actions => actions.filter(a => a.type === "remove");
+
+test("a banned member is removed and listed", async () => {
+  const actions = await say(OWNER, "!ban 6590000003");
+  assert.deepEqual(removals(actions), [{ type: "remove", chat: GROUP, id: BOB }]);
+  assert.match(sentTo(actions, GROUP)[0].body, /6590000003 is banned permanently and has been removed/);
+  assert.match(sentTo(await say(OWNER, "!banlist"), GROUP)[0].body, /Banned here \(1\):\n• 6590000003 — no reason given \(permanent\), by 6590000001/);
+});
+
+test("a banned member who rejoins is removed again", async () => {
+  const actions = await step(() => h.client.join(GROUP, [BOB], { by: ALICE }));
+  assert.deepEqual(removals(actions), [{ type: "remove", chat: GROUP, id: BOB }]);
+  assert.ok(!h.client.members(GROUP).includes(BOB));
+});
+
+test("after an unban the member can come back", async () => {
+  assert.deepEqual(sentTo(await say(OWNER, "!unban 6590000003"), GROUP).map(a => a.body), ["✅ 6590000003 is no longer banned — they can be added back."]);
+  assert.deepEqual(removals(await step(() => h.client.join(GROUP, [BOB], { by: OWNER }))), []);
+  assert.ok(h.client.members(GROUP).includes(BOB));
+  assert.deepEqual(sentTo(await say(OWNER, "!unban 6590000003"), GROUP).map(a => a.body), ["6590000003 isn't banned here."]);
+});
+
+test("the ban list survives in storage", async () => {
+  await say(OWNER, "!ban 6590000002 1h");
+  await h.bot.stop();
+  const saved = JSON.parse(fs.readFileSync(path.join(h.dir, "moderation-state.json"), "utf8"));
+  assert.deepEqual(Object.keys(saved.bans[GROUP]), ["6590000002"]);
+  assert.equal(saved.bans[GROUP]["6590000002"].id, ALICE);
+  assert.ok(Date.parse(saved.bans[GROUP]["6590000002"].until) > Date.now());
+});
@@ -0,0 +1,97 @@
+// Scripted conversations: starting and stopping moderation with chat commands
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { OWNER, ALICE, BOB, bootBot, sentTo } = require("./harness");
+
+const GROUP = "120363000000000003@g.us";
+const LATER = "120363000000000012@g.us";
+
+let h;
+
+before(async () => {
+  h = bootBot({ groups: [{ id: GROUP, name: "Commands", permissions: { warnings: "everyone" } }] });
+  h.client.addGroup({ id: GROUP, name: "Commands", members: [OWNER, ALICE, BOB], admins: [OWNER], botAdmin: true });
+  h.client.addGroup({ id: LATER, name: "Registered later", members: [OWNER, ALICE], admins: [OWNER], botAdmin: true });
+  await h.bot.start();
+});
+
+after(() => h.stop());
+
+async function say(author, body, group = GROUP) {
+  const mark = h.client.actions.length;
+  await h.client.receive(group, author, body);
+  return h.client.since(mark);
+}
+
+const savedGroups = () => JSON.parse(fs.readFileSync(path.join(h.dir, "groups.json"), "utf8")).groups;
+
+const deletions = actions => actions.filter(a => a.type === "delete");
+
+test("an owner can stop moderation", async () => {
+  const actions = await say(OWNER, "!mod off");
+  assert.deepEqual(sentTo(actions, GROUP).map(a => a.body), ["⛔ Moderation stopped."]);
+  assert.deepEqual(deletions(await say(ALICE, "fuck")), []);
+});
+
+test("members can't start or stop moderation", async () => {
+  const actions = await say(ALICE, "!mod on");
+  assert.deepEqual(sentTo(actions, GROUP).map(a => a.body), ["❌ You are not authorized to use !mod on."]);
+  assert.deepEqual(deletions(await say(ALICE, "shit")), []);
+});
+
+test("legacy phrases from members are ignored rather than refused", async () => {
+  assert.deepEqual(await say(BOB, "start moderation"), []);
+});
+
+test("an owner can start moderation again", async () => {
+  const actions = await say(OWNER, "start moderation");
+  assert.deepEqual(sentTo(actions, GROUP).map(a => a.body), ["✅ Moderation started."]);
+  assert.equal(deletions(await say(ALICE, "damn")).length, 1);
+});
+
+test("a member's refused command is still moderated and costs a strike", async () => {
+  const actions = await say(BOB, "!warn fuck you all");
+  assert.deepEqual(sentTo(actions, GROUP).map(a => a.body), ["❌ You are not authorized to use !warn."]);
+  assert.equal(deletions(actions).length, 1);
+  assert.match(sentTo(actions, BOB)[0].body, /Warning 1\/3/);
+});
+
+test("commands anyone may run don't exempt the message, and unknown input isn't echoed", async () => {
+  const actions = await say(ALICE, "!help fuck you https://chat.whatsapp.com/abc");
+  assert.equal(deletions(actions).length, 1);
+  for (const sent of sentTo(actions, GROUP)) assert.doesNotMatch(sent.body, /fuck|chat\.whatsapp/);
+});
+
+test("help shows the role a command needs in this group, overrides included", async () => {
+  const [details] = sentTo(await say(ALICE, "!help warnings"), GROUP).map(a => a.body);
+  assert.match(details, /^Permission: everyone$/m);
+  const [list] = sentTo(await say(ALICE, "!help"), GROUP).map(a => a.body);
+  assert.match(list, /!warnings/);
+  assert.doesNotMatch(list, /!warn /);
+});
+
+test("groups the bot isn't registered in are ignored", async () => {
+  assert.deepEqual(await say(ALICE, "fuck", LATER), []);
+  assert.deepEqual(sentTo(await say(ALICE, "!mod register", LATER), LATER).map(a => a.body), ["❌ You are not authorized to use !mod register."]);
+  assert.deepEqual(savedGroups().map(g => g.id), [GROUP]);
+});
+
+test("an owner registers and unregisters a group, and groups.json keeps up", async () => {
+  assert.deepEqual(sentTo(await say(OWNER, "!mod register", LATER), LATER).map(a => a.body), ['✅ Registered "Registered later" for moderation.']);
+  assert.deepEqual(savedGroups().at(-1), { id: LATER, name: "Registered later" });
+  assert.equal(deletions(await say(ALICE, "fuck", LATER)).length, 1);
+  assert.deepEqual(sentTo(await say(OWNER, "!mod register", LATER), LATER).map(a => a.body), ["This group is already registered."]);
+
+  assert.deepEqual(sentTo(await say(OWNER, "!mod unregister", LATER), LATER).map(a => a.body), ['⛔ Unregistered "Registered later" — I will no longer moderate it.']);
+  assert.deepEqual(savedGroups().map(g => g.id), [GROUP]);
+  assert.deepEqual(await say(ALICE, "fuck", LATER), []);
+});
+
+test("the moderation state survives in storage", async () => {
+  await say(OWNER, "!mod off");
+  await h.bot.stop();
+  const saved = JSON.parse(fs.readFileSync(path.join(h.dir, "moderation-state.json"), "utf8"));
+  assert.deepEqual(saved.config[GROUP], { moderationActive: false });
+});
@@ -0,0 +1,139 @@
+// lib/dashboard.js: login, sessions and what the page is given to render, over HTTP
+process.env.LOG_LEVEL = "silent";
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { createDashboard } = require("../lib/dashboard");
+const { createGroupConfig } = require("../lib/groupConfig");
+
+const PASSWORD = "correct horse";
+const GROUP = "120363000000000001@g.us";
+const AT = new Date().toISOString();
+
+let dir, server, base;
+const audited = [];
+const warnings = {
+  "6590000002": [{ at: AT, group: GROUP }, { at: AT, group: GROUP }],
+  "34098282254336@lid": [{ at: AT, group: GROUP }]
+};
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "modbot-dashboard-"));
+  const file = path.join(dir, "groups.json");
+  fs.writeFileSync(file, JSON.stringify({ groups: [{ id: GROUP, name: "Dashboard" }] }));
+  const groupConfig = createGroupConfig(file, { enabled: true, bannedWords: ["darn"], warningsThreshold: 3, warningExpiryDays: 30, admins: [] });
+  groupConfig.reload();
+  const handle = createDashboard({
+    password: PASSWORD,
+    groupConfig,
+    audit: {
+      append: entry => audited.push(entry),
+      read: async () => [{ id: 1, at: AT, type: "delete", groupName: "Dashboard", author: "6590000002", body: "x".repeat(200), rule: { term: "darn" }, outcome: "everyone" }]
+    },
+    getWarnings: () => warnings,
+    getConnection: () => ({ state: "ready", since: AT, detail: null, ready: true }),
+    getQr: () => null,
+    listGroups: async () => [{ id: GROUP, name: "Dashboard", registered: true, moderationActive: true, botAdmin: true }]
+  });
+  server = http.createServer((req, res) => handle(req, res, new URL(req.url, "http://localhost")).catch(() => {}));
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function login(password, headers = {}) {
+  return fetch(`${base}/dashboard/login`, {
+    method: "POST",
+    redirect: "manual",
+    headers: Object.assign({ "Content-Type": "application/x-www-form-urlencoded" }, headers),
+    body: new URLSearchParams({ password })
+  });
+}
+
+async function session() {
+  const res = await login(PASSWORD);
+  assert.equal(res.status, 303);
+  return res.headers.get("set-cookie").split(";")[0];
+}
+
+const get = (p, cookie) => fetch(base + p, { redirect: "manual", headers: cookie ? { Cookie: cookie } : {} });
+
+test("the right password starts a session in an HttpOnly cookie", async () => {
+  const res = await login(PASSWORD);
+  assert.equal(res.status, 303);
+  assert.equal(res.headers.get("location"), "/dashboard");
+  assert.match(res.headers.get("set-cookie"), /^modbot_session=[0-9a-f]{48}; HttpOnly; SameSite=Strict; Path=\/dashboard; Max-Age=43200$/);
+  const wrong = await login("nope");
+  assert.equal(wrong.status, 401);
+  assert.match(await wrong.text(), /Wrong password/);
+});
+
+test("an oversized login form is answered with 413", async () => {
+  const res = await login("x".repeat(8 * 1024));
+  assert.equal(res.status, 413);
+  assert.match(await res.text(), /too large/);
+  // and the server is still up
+  assert.equal((await get("/dashboard/login")).status, 200);
+});
+
+test("without a session the page redirects and the data is refused", async () => {
+  const page = await get("/dashboard");
+  assert.equal(page.status, 303);
+  assert.equal(page.headers.get("location"), "/dashboard/login");
+  assert.equal((await get("/dashboard/data")).status, 401);
+  assert.equal((await get("/dashboard/data", "modbot_session=forged")).status, 401);
+});
+
+test("logging out ends the session", async () => {
+  const cookie = await session();
+  assert.equal((await get("/dashboard/data", cookie)).status, 200);
+  const out = await fetch(`${base}/dashboard/logout`, { method: "POST", redirect: "manual", headers: { Cookie: cookie } });
+  assert.equal(out.status, 303);
+  assert.equal((await get("/dashboard/data", cookie)).status, 401);
+});
+
+test("the page is self-contained and locked down", async () => {
+  const res = await get("/dashboard", await session());
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-security-policy"), /default-src 'self'/);
+  assert.equal(res.headers.get("x-frame-options"), "DENY");
+  const html = await res.text();
+  assert.match(html, /<table id="offenders">/);
+  assert.doesNotMatch(html, /<script src=/);
+});
+
+test("the data has the connection, groups, offenders, recent actions and word lists", async () => {
+  const data = await (await get("/dashboard/data", await session())).json();
+  assert.equal(data.connection.state, "ready");
+  assert.equal(data.hasQr, false);
+  assert.deepEqual(data.groups.map(g => g.id), [GROUP]);
+  // a phone number gets a "+", a LID is shown as it is
+  assert.deepEqual(data.offenders.map(o => [o.label, o.activeStrikes]), [["+6590000002", 2], ["34098282254336@lid", 1]]);
+  assert.equal(data.recent[0].body.length, 120);
+  assert.deepEqual(data.wordLists.map(w => [w.id, w.words]), [["defaults", ["darn"]], [GROUP, ["darn"]]]);
+  assert.equal((await get("/dashboard/qr.svg", await session())).status, 404);
+});
+
+test("word lists are edited with JSON only, and the edit is audited", async () => {
+  const cookie = await session();
+  const post = (body, type = "application/json") => fetch(`${base}/dashboard/words`, { method: "POST", headers: { Cookie: cookie, "Content-Type": type }, body: JSON.stringify(body) });
+  assert.equal((await post({ group: GROUP, add: ["heck"] }, "text/plain")).status, 415);
+  assert.equal((await post({ group: "120363000000000099@g.us", add: ["heck"] })).status, 404);
+  assert.equal((await post({ group: GROUP })).status, 400);
+  assert.deepEqual((await (await post({ group: GROUP, add: ["heck"] })).json()).words, ["darn", "heck"]);
+  assert.equal(audited.at(-1).trigger, "dashboard");
+});
+
+test("repeated wrong passwords are throttled", async () => {
+  let res;
+  for (let i = 0; i < 6; i++) res = await login("nope");
+  assert.equal(res.status, 429);
+  assert.equal((await login(PASSWORD)).status, 429);
+});
@@ -0,0 +1,47 @@
+// lib/escalation.js: the strike ladder, its config and strike weights
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compileLadder, pickStep, isFinalStep, removalStrike, strikeWeight } = require("../lib/escalation");
+
+const LADDER = compileLadder([
+  { strike: 4, action: "ban", banFor: "7d" },
+  { strike: 1, action: "warn" },
+  { strike: 2, action: "mute", duration: "1h" },
+  { strike: 3, action: "remove", readdAfter: "24h" }
+], 3);
+
+test("the step that fires is the highest one at or below the strikes", () => {
+  assert.equal(pickStep(LADDER, 0), null);
+  assert.deepEqual(LADDER.map(s => s.strike), [1, 2, 3, 4]);
+  assert.deepEqual(pickStep(LADDER, 2), { strike: 2, action: "mute", durationMs: 3600000, readdAfterMs: 0, banForMs: 0 });
+  assert.equal(pickStep(LADDER, 3).readdAfterMs, 24 * 3600000);
+  assert.equal(pickStep(LADDER, 9).action, "ban");
+  assert.ok(isFinalStep(LADDER, pickStep(LADDER, 5)));
+  assert.ok(!isFinalStep(LADDER, pickStep(LADDER, 3)));
+  assert.equal(removalStrike(LADDER), 3);
+});
+
+test("without a ladder members are warned until the threshold, then removed", () => {
+  assert.deepEqual(compileLadder(undefined, 3).map(s => [s.strike, s.action]), [[1, "warn"], [3, "remove"]]);
+  assert.deepEqual(compileLadder(null, 1).map(s => [s.strike, s.action]), [[1, "remove"]]);
+  assert.equal(pickStep(compileLadder(undefined, 3), 2).action, "warn");
+  assert.equal(removalStrike(compileLadder([{ strike: 1, action: "warn" }], 3)), null);
+});
+
+test("a ladder with mistakes is refused with the step at fault", () => {
+  assert.throws(() => compileLadder([], 3), /non-empty array/);
+  assert.throws(() => compileLadder([{ strike: 0, action: "warn" }], 3), /escalation\[0\]\.strike/);
+  assert.throws(() => compileLadder([{ strike: 1, action: "kick" }], 3), /escalation\[0\]\.action must be one of warn, mute, remove, ban/);
+  assert.throws(() => compileLadder([{ strike: 1, action: "mute" }], 3), /needs a "duration"/);
+  assert.throws(() => compileLadder([{ strike: 1, action: "remove", readdAfter: "soon" }], 3), /readdAfter/);
+  assert.throws(() => compileLadder([{ strike: 1, action: "warn" }, { strike: 1, action: "ban" }], 3), /same strike/);
+});
+
+test("severe words weigh more than one strike", () => {
+  const severity = { cunt: 3, slur: "0" };
+  assert.equal(strikeWeight("CUNT", severity), 3);
+  assert.equal(strikeWeight("damn", severity), 1);
+  assert.equal(strikeWeight("slur", severity), 1);
+  assert.equal(strikeWeight(null, severity), 1);
+  assert.equal(strikeWeight("cunt", undefined), 1);
+});
@@ -0,0 +1,41 @@
+// lib/gate.js: the "newMembers" block, welcome texts and verification answers
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compileGateConfig, isVerificationAnswer, verifyInstruction, welcomeText } = require("../lib/gate");
+
+test("without a newMembers block nobody is gated, and a group can turn it off", () => {
+  const defaults = compileGateConfig({ verify: { phrase: "I agree" } });
+  assert.equal(compileGateConfig(undefined), null);
+  assert.equal(compileGateConfig(undefined, defaults), defaults);
+  assert.equal(compileGateConfig(false, defaults), null);
+  assert.deepEqual(compileGateConfig({}), { welcome: 'Welcome {user} to "{group}"!{rules}{verify}', rules: "", verify: null, timeoutMs: 600000, onTimeout: "remove", restrict: ["links", "media"] });
+  assert.deepEqual(compileGateConfig({ timeout: "1h" }, defaults).verify, { phrase: "I agree" });
+});
+
+test("bad newMembers settings are refused", () => {
+  assert.throws(() => compileGateConfig("yes"), /"newMembers" must be an object or false/);
+  assert.throws(() => compileGateConfig({ verify: { question: "3 + 4?" } }), /needs a "phrase", or a "question" and an "answer"/);
+  assert.throws(() => compileGateConfig({ timeout: "later" }), /newMembers\.timeout/);
+  assert.throws(() => compileGateConfig({ onTimeout: "ban" }), /newMembers\.onTimeout/);
+  assert.throws(() => compileGateConfig({ restrict: ["links", "stickers"] }), /newMembers\.restrict must be a list of links, media, mentions/);
+});
+
+test("answers ignore case, spacing and punctuation", () => {
+  const phrase = compileGateConfig({ verify: { phrase: "I agree" } });
+  for (const text of ["I agree", "i AGREE!", "  i   agree. "]) assert.ok(isVerificationAnswer(phrase, text), text);
+  for (const text of ["I agree to nothing", "agree", ""]) assert.ok(!isVerificationAnswer(phrase, text), text);
+  const question = compileGateConfig({ verify: { question: "3 + 4?", answer: "7" } });
+  assert.ok(isVerificationAnswer(question, "７"));
+  assert.ok(!isVerificationAnswer(question, "3 + 4?"));
+  assert.ok(!isVerificationAnswer(compileGateConfig({}), "anything"));
+});
+
+test("the welcome text expands the rules and the verification instruction", () => {
+  const gate = compileGateConfig({ rules: "1. Be kind", verify: { question: "3 + 4?", answer: "7" } });
+  assert.equal(welcomeText(gate, { user: "@6590000002", group: "Study", timeout: "10m" }),
+    'Welcome @6590000002 to "Study"!\n\nRules:\n1. Be kind\n\nTo confirm you\'ve read the rules, answer within 10m: 3 + 4?');
+  const plain = compileGateConfig({ welcome: "Hi {user}, {unknown}{verify}" });
+  assert.equal(welcomeText(plain, { user: "@1" }), "Hi @1, {unknown}");
+  assert.equal(verifyInstruction(compileGateConfig({ verify: { phrase: "I agree" } }), "5m"), 'To confirm you\'ve read the rules, reply with "I agree" within 5m.');
+  assert.equal(verifyInstruction(plain, "5m"), "");
+});
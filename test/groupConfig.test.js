@@ -0,0 +1,128 @@
+// lib/groupConfig.js: inheritance and overrides, validation, hot reload and name pinning
+process.env.LOG_LEVEL = "silent";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createGroupConfig, formatNotification } = require("../lib/groupConfig");
+
+const G1 = "120363000000000001@g.us";
+const G2 = "120363000000000002@g.us";
+const BUILTINS = { enabled: true, bannedWords: ["darn", "heck"], warningsThreshold: 3, warningExpiryDays: 30, admins: ["6590000001"] };
+
+function setup(t, config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "modbot-groups-"));
+  const file = path.join(dir, "groups.json");
+  const groups = createGroupConfig(file, BUILTINS);
+  t.after(() => { groups.unwatch(); fs.rmSync(dir, { recursive: true, force: true }); });
+  const write = value => fs.writeFileSync(file, typeof value === "string" ? value : JSON.stringify(value));
+  if (config !== undefined) write(config);
+  return { file, groups, write, read: () => JSON.parse(fs.readFileSync(file, "utf8")) };
+}
+
+const chat = (id, name) => ({ id: { _serialized: id }, name });
+
+test("groups inherit the defaults block, which falls back to the built-ins", t => {
+  const { groups } = setup(t, {
+    defaults: { warningsThreshold: 4, notifications: { warning: "W {count}" } },
+    groups: [
+      { id: G1, name: "One" },
+      { id: G2, name: "Two", bannedWords: ["Drat"], extraBannedWords: ["blast"], allowedWords: ["scunthorpe"], warningsThreshold: 2, warningExpiryDays: 0, enabled: false, notifications: { removal: "R" } }
+    ]
+  });
+  assert.ok(groups.reload());
+  const [one, two] = groups.list();
+  assert.deepEqual(Array.from(one.bannedWords), ["darn", "heck"]);
+  assert.equal(one.warningsThreshold, 4);
+  assert.equal(one.warningExpiryMs, 30 * 24 * 3600 * 1000);
+  assert.equal(one.enabled, true);
+  assert.equal(one.notifications.warning, "W {count}");
+  assert.deepEqual(one.roles.owner, ["6590000001"]);
+
+  // "bannedWords" replaces the inherited list, "extraBannedWords" adds to it
+  assert.deepEqual(Array.from(two.bannedWords), ["drat", "blast"]);
+  assert.deepEqual(two.allowedWords, ["scunthorpe"]);
+  assert.equal(two.warningsThreshold, 2);
+  assert.equal(two.warningExpiryMs, 0);
+  assert.equal(two.enabled, false);
+  assert.deepEqual([two.notifications.warning, two.notifications.removal], ["W {count}", "R"]);
+  assert.ok(two.matcher.test("what the bl4st"));
+  assert.ok(!two.matcher.test("darn it"));
+
+  assert.equal(groups.get(G2), two);
+  assert.equal(groups.get("defaults"), groups.defaults());
+  assert.equal(groups.get("120363000000000099@g.us"), null);
+});
+
+test("a missing file means no groups, and the built-ins still apply", t => {
+  const { groups } = setup(t);
+  assert.equal(groups.reload(), false);
+  assert.deepEqual(groups.list(), []);
+  assert.deepEqual(groups.defaults().bannedWords, ["darn", "heck"]);
+});
+
+test("a broken edit is refused and the last good config is kept", t => {
+  const { groups, write } = setup(t, { groups: [{ id: G1, name: "One", warningsThreshold: 2 }] });
+  groups.reload();
+  const changes = [];
+  groups.onChange(list => changes.push(list.length));
+  for (const broken of [
+    "{ not json",
+    { groups: {} },
+    { groups: [{ name: "" }] },
+    { groups: [{ id: G1, warningsThreshold: "lots" }] },
+    { groups: [{ id: G1, escalation: [{ strike: 1, action: "explode" }] }] },
+    { defaults: [] }
+  ]) {
+    write(broken);
+    assert.equal(groups.reload(), false, JSON.stringify(broken));
+    assert.equal(groups.get(G1).warningsThreshold, 2);
+  }
+  assert.deepEqual(changes, []);
+  write({ groups: [{ id: G1, name: "One", warningsThreshold: 5 }, { id: G2, name: "Two" }] });
+  assert.ok(groups.reload());
+  assert.equal(groups.get(G1).warningsThreshold, 5);
+  assert.deepEqual(changes, [2]);
+});
+
+test("edits to the file are picked up while watching", async t => {
+  const { groups, write } = setup(t, { groups: [{ id: G1, name: "One" }] });
+  groups.reload();
+  groups.watch();
+  const changed = new Promise(resolve => groups.onChange(resolve));
+  write({ groups: [{ id: G1, name: "One", extraBannedWords: ["blast"] }, { id: G2, name: "Two" }] });
+  const list = await Promise.race([changed, new Promise((_, reject) => setTimeout(() => reject(new Error("no reload within 10s")), 10000))]);
+  assert.equal(list.length, 2);
+  assert.ok(groups.get(G1).bannedWords.has("blast"));
+});
+
+test("a name-only entry is pinned to the first group seen with that name", async t => {
+  const { groups, read } = setup(t, { groups: [{ name: "Legacy", warningsThreshold: 2 }] });
+  groups.reload();
+  assert.equal(groups.get(G1), null);
+  const group = groups.forChat(chat(G1, "Legacy"));
+  assert.equal(group.id, G1);
+  assert.equal(group.warningsThreshold, 2);
+  // a second group with the same name isn't matched any more, and a rename keeps the pin
+  assert.equal(groups.forChat(chat(G2, "Legacy")), null);
+  assert.equal(groups.forChat(chat(G1, "Renamed")).id, G1);
+  for (let i = 0; i < 50 && !read().groups[0].id; i++) await new Promise(resolve => setTimeout(resolve, 10));
+  assert.deepEqual(read().groups, [{ name: "Legacy", warningsThreshold: 2, id: G1 }]);
+});
+
+test("word list edits write the full list to the entry and apply at once", async t => {
+  const { groups, read } = setup(t, { groups: [{ id: G1, name: "One", extraBannedWords: ["blast"] }] });
+  groups.reload();
+  await groups.addBannedWords(G1, ["Drat", "drat"]);
+  assert.deepEqual(read().groups[0], { id: G1, name: "One", bannedWords: ["darn", "heck", "blast", "drat"] });
+  await groups.removeBannedWords(G1, ["heck"]);
+  assert.ok(!groups.get(G1).matcher.test("heck"));
+  await groups.setBannedWords("defaults", ["gosh"]);
+  assert.deepEqual(read().defaults, { bannedWords: ["gosh"] });
+  await assert.rejects(groups.addBannedWords(G2, ["x"]), /not registered/);
+});
+
+test("notification templates fill their placeholders", () => {
+  assert.equal(formatNotification("Warning {count}/{threshold} in {group} {nope}", { count: 1, threshold: 3, group: "One" }), "Warning 1/3 in One {nope}");
+});
@@ -0,0 +1,91 @@
+// lib/identity.js: one key per member, whether WhatsApp sends their LID or their number
+process.env.LOG_LEVEL = "silent";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseId, createIdentityService } = require("../lib/identity");
+
+const LID = "34098282254336@lid";
+const PHONE = "6580480362@c.us";
+
+// A storage backend that keeps collections in memory (see lib/storage.js)
+function memoryStore(initial = {}) {
+  const data = JSON.parse(JSON.stringify(initial));
+  return {
+    kind: "memory",
+    data,
+    async readAll(collection) { return JSON.parse(JSON.stringify(data[collection] || {})); },
+    async write(collection, changes) {
+      const records = data[collection] || (data[collection] = {});
+      for (const [key, value] of Object.entries(changes)) {
+        if (value === null) delete records[key];
+        else records[key] = JSON.parse(JSON.stringify(value));
+      }
+    }
+  };
+}
+
+// Just enough of a client to answer LID lookups; linkLid() tells it who a LID is
+function lidClient() {
+  const lids = new Map(); // "<lid>@lid" -> "<phone>@c.us"
+  return {
+    async getContactLidAndPhone(ids) {
+      return ids.map(id => (lids.has(id) ? { lid: id, pn: lids.get(id) } : {}));
+    },
+    linkLid(lid, phone) { lids.set(lid, phone); }
+  };
+}
+
+test("ids are parsed from strings, wid objects and typed numbers", () => {
+  assert.deepEqual(parseId(LID), { user: "34098282254336", lid: true });
+  assert.deepEqual(parseId({ user: "6580480362", server: "c.us" }), { user: "6580480362", lid: false });
+  assert.deepEqual(parseId({ _serialized: LID }), { user: "34098282254336", lid: true });
+  assert.deepEqual(parseId("+65 8048 0362"), { user: "6580480362", lid: false });
+  assert.deepEqual(parseId(null), { user: "", lid: false });
+});
+
+test("a LID resolves to the member's number once WhatsApp tells us", async () => {
+  const client = lidClient();
+  const identity = createIdentityService(memoryStore(), () => client);
+  assert.equal(identity.keyOf(LID), LID);
+  client.linkLid(LID, PHONE);
+  assert.deepEqual(await identity.resolve(LID), { id: PHONE, key: "6580480362", phone: "6580480362", lid: LID });
+  assert.equal(identity.keyOf(LID), "6580480362");
+  assert.equal(identity.keyOf(PHONE), "6580480362");
+  // the LID's digits typed as a number are still that member, not a phone number
+  assert.equal(identity.keyOf("34098282254336"), "6580480362");
+  assert.ok(identity.same(LID, "+65 8048 0362"));
+  assert.ok(!identity.same(LID, "6590000001@c.us"));
+});
+
+test("an unknown LID keeps its own key and isn't looked up again straight away", async () => {
+  const client = lidClient();
+  let lookups = 0;
+  const ask = client.getContactLidAndPhone;
+  client.getContactLidAndPhone = ids => { lookups++; return ask(ids); };
+  const identity = createIdentityService(memoryStore(), () => client);
+  assert.equal((await identity.resolve(LID)).key, LID);
+  client.linkLid(LID, PHONE);
+  assert.equal((await identity.resolve(LID)).key, LID);
+  assert.equal(lookups, 1);
+  assert.equal((await identity.refresh(LID)).key, "6580480362");
+  assert.equal(lookups, 2);
+  // without a client nothing is looked up
+  assert.equal((await createIdentityService(memoryStore(), () => null).resolve(LID)).key, LID);
+});
+
+test("new mappings are stored, reported once and loaded again after a restart", async () => {
+  const store = memoryStore();
+  const identity = createIdentityService(store, () => null);
+  const learned = [];
+  identity.onLearn(pair => learned.push(pair));
+  assert.ok(identity.learn(LID, PHONE));
+  assert.ok(!identity.learn(LID, PHONE));
+  assert.deepEqual(learned, [{ lid: "34098282254336", phone: "6580480362" }]);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(store.data.identities[LID].phone, "6580480362");
+
+  const restarted = createIdentityService(store, () => null);
+  await restarted.load();
+  assert.equal(restarted.keyOf(LID), "6580480362");
+  assert.deepEqual(restarted.mappings(), [{ lid: "34098282254336", phone: "6580480362" }]);
+});
@@ -0,0 +1,61 @@
+// lib/links.js: finding links in text, obfuscated or not, and the "links" policy
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_LINKS, compileLinkPolicy, extractLinks, checkLinks } = require("../lib/links");
+
+const hosts = text => extractLinks(text).map(l => l.host);
+
+test("links are found with or without a scheme, and ordinary text isn't a link", () => {
+  assert.deepEqual(hosts("see https://www.YouTube.com/watch?v=1, and example.org/page."), ["youtube.com", "example.org"]);
+  assert.deepEqual(hosts("ok.so lol.the end. mail me@example.com"), []);
+  assert.deepEqual(hosts("version 1.2.3 costs 4.50"), []);
+  assert.deepEqual(hosts("https://a.com https://a.com"), ["a.com"]);
+});
+
+test("obfuscated links are found too", () => {
+  assert.deepEqual(hosts("hxxps://evil.com/x"), ["evil.com"]);
+  assert.deepEqual(hosts("visit evil[.]com now"), ["evil.com"]);
+  assert.deepEqual(hosts("evil(dot)net"), ["evil.net"]);
+  assert.deepEqual(hosts("go to evil dot com"), ["evil.com"]);
+  assert.deepEqual(hosts("a dot on the map"), []);
+});
+
+test("group invites are told apart from other WhatsApp links", () => {
+  assert.deepEqual(extractLinks("join chat.whatsapp.com/AbCdEf123456").map(l => l.invite), [true]);
+  assert.deepEqual(extractLinks("https://chat.whatsapp.com/").map(l => l.invite), [false]);
+  assert.deepEqual(extractLinks("https://wa.me/6590000001").map(l => l.invite), [false]);
+});
+
+test("invites are blocked by default while other links are fine", () => {
+  assert.equal(checkLinks(DEFAULT_LINKS, "https://example.com"), null);
+  assert.equal(checkLinks(DEFAULT_LINKS, "join https://chat.whatsapp.com/AbCdEf123456").reason, "group invite link");
+  assert.equal(checkLinks(compileLinkPolicy({ invites: "allow" }), "chat.whatsapp.com/AbCdEf123456"), null);
+});
+
+test("each mode judges the other links", () => {
+  const blockAll = compileLinkPolicy({ mode: "block-all" });
+  assert.equal(checkLinks(blockAll, "example.com").reason, "links are not allowed");
+  assert.equal(checkLinks(blockAll, "no links here"), null);
+
+  const allow = compileLinkPolicy({ mode: "allow-list", domains: ["https://www.YouTube.com/", "instagram.com"] });
+  assert.deepEqual(allow.domains, ["youtube.com", "instagram.com"]);
+  assert.equal(checkLinks(allow, "m.youtube.com/watch and instagram.com/p/1"), null);
+  assert.equal(checkLinks(allow, "youtube.com.evil.io").reason, "youtube.com.evil.io is not an allowed site");
+  assert.equal(checkLinks(allow, "notyoutube.com").reason, "notyoutube.com is not an allowed site");
+
+  const deny = compileLinkPolicy({ mode: "deny-list", domains: ["bit.ly"] });
+  assert.equal(checkLinks(deny, "https://bit.ly/abc").reason, "bit.ly is a blocked site");
+  assert.equal(checkLinks(deny, "https://example.com/bit.ly"), null);
+});
+
+test("the links block inherits and validates", () => {
+  const defaults = compileLinkPolicy({ mode: "deny-list", domains: ["bit.ly"], weight: 2 });
+  assert.equal(compileLinkPolicy(undefined), DEFAULT_LINKS);
+  assert.equal(compileLinkPolicy(null, defaults), defaults);
+  assert.deepEqual(compileLinkPolicy({ invites: "allow" }, defaults), { mode: "deny-list", domains: ["bit.ly"], invites: "allow", weight: 2 });
+  assert.throws(() => compileLinkPolicy({ mode: "strict" }), /links\.mode must be one of off, block-all, allow-list, deny-list/);
+  assert.throws(() => compileLinkPolicy({ domains: "bit.ly" }), /links\.domains/);
+  assert.throws(() => compileLinkPolicy({ invites: "warn" }), /links\.invites/);
+  assert.throws(() => compileLinkPolicy({ weight: 0 }), /links\.weight/);
+  assert.throws(() => compileLinkPolicy([]), /"links" must be an object/);
+});
@@ -0,0 +1,57 @@
+// lib/media.js: reading media metadata, the "media" policy and blocklist hashes
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { DEFAULT_MEDIA, compileMediaPolicy, mediaInfo, checkMedia, mediaHash } = require("../lib/media");
+
+// A media message as whatsapp-web.js hands it over
+const media = (type, data = {}, extra = {}) => Object.assign({ hasMedia: true, type, _data: data }, extra);
+
+test("metadata is read without downloading anything", () => {
+  assert.deepEqual(mediaInfo(media("document", { mimetype: "application/zip", size: "2048", filename: "Setup.EXE", filehash: "abc=" })), {
+    type: "document", mimetype: "application/zip", size: 2048, filename: "Setup.EXE", ext: "exe", viewOnce: false, hash: "abc="
+  });
+  assert.equal(mediaInfo(media("ptt")).type, "voice");
+  assert.equal(mediaInfo(media("video", { isGif: true })).type, "gif");
+  assert.equal(mediaInfo(media("image", { isViewOnce: true })).viewOnce, true);
+  assert.equal(mediaInfo(media("location")), null);
+  assert.equal(mediaInfo({ hasMedia: false, type: "chat" }), null);
+});
+
+test("each media rule is checked, type first", () => {
+  const policy = compileMediaPolicy({ allowedTypes: ["image", "document", "video"], maxSizeMB: 1, viewOnce: false });
+  const check = (...args) => checkMedia(policy, mediaInfo(media(...args)));
+  assert.deepEqual(check("sticker"), { term: "media:sticker", reason: "sticker messages are not allowed" });
+  assert.equal(check("image", { isViewOnce: true }).term, "media:view-once");
+  assert.deepEqual(check("video", { size: 2 * 1024 * 1024 }), { term: "media:size", reason: "file is larger than 1 MB" });
+  assert.deepEqual(check("document", { filename: "free.apk" }), { term: "media:.apk", reason: ".apk files are not allowed" });
+  assert.equal(check("document", { filename: "notes.pdf", size: 1024 }), null);
+  assert.equal(check("image", { size: 1024 }), null);
+});
+
+test("by default every type and size is fine, but executables are not", () => {
+  assert.equal(checkMedia(DEFAULT_MEDIA, mediaInfo(media("sticker", { isViewOnce: true, size: 1e9 }))), null);
+  assert.equal(checkMedia(DEFAULT_MEDIA, mediaInfo(media("document", { filename: "run.bat" }))).term, "media:.bat");
+  assert.equal(checkMedia(DEFAULT_MEDIA, null), null);
+});
+
+test("the media block inherits and validates", () => {
+  const defaults = compileMediaPolicy({ maxSizeMB: 16, blockedExtensions: [".EXE", " apk "] });
+  assert.deepEqual(defaults.blockedExtensions, ["exe", "apk"]);
+  assert.equal(compileMediaPolicy(undefined), DEFAULT_MEDIA);
+  assert.equal(compileMediaPolicy({ viewOnce: false }, defaults).maxSizeMB, 16);
+  assert.throws(() => compileMediaPolicy({ allowedTypes: ["image", "poll"] }), /unknown type\(s\) poll/);
+  assert.throws(() => compileMediaPolicy({ maxSizeMB: -1 }), /media\.maxSizeMB/);
+  assert.throws(() => compileMediaPolicy({ blockedExtensions: "exe" }), /media\.blockedExtensions/);
+  assert.throws(() => compileMediaPolicy({ weight: "x" }), /media\.weight/);
+  assert.throws(() => compileMediaPolicy("all"), /"media" must be an object/);
+});
+
+test("blocklist hashes come from WhatsApp, else from the downloaded file", async () => {
+  assert.equal(await mediaHash(media("sticker", { filehash: "known=" })), "known=");
+  const data = Buffer.from("sticker bytes").toString("base64");
+  const expected = crypto.createHash("sha256").update("sticker bytes").digest("base64");
+  assert.equal(await mediaHash(media("sticker", {}, { downloadMedia: async () => ({ data }) })), expected);
+  assert.equal(await mediaHash(media("sticker", {}, { downloadMedia: async () => { throw new Error("gone"); } })), null);
+  assert.equal(await mediaHash({ hasMedia: false }), null);
+});
@@ -0,0 +1,52 @@
+// The Prometheus metrics behind /metrics, after a short scripted conversation
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { OWNER, ALICE, BOB, bootBot } = require("./harness");
+
+const GROUP = "120363000000000007@g.us";
+
+let h;
+
+before(async () => {
+  h = bootBot({ defaults: { warningsThreshold: 2 }, groups: [{ id: GROUP, name: "Metrics" }] });
+  h.client.addGroup({ id: GROUP, name: "Metrics", members: [OWNER, ALICE, BOB], admins: [OWNER], botAdmin: true });
+  await h.bot.start();
+  await h.client.receive(GROUP, ALICE, "hello there");
+  const message = await h.client.receive(GROUP, BOB, "nice day");
+  await h.client.edit(message, "nice day, shit");
+  await h.client.receive(GROUP, BOB, "fuck");
+});
+
+after(() => h.stop());
+
+// The value of one series, e.g. value('modbot_sends_total{result="success"}')
+function value(series) {
+  const line = h.bot.metrics.render().split("\n").find(l => l.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : undefined;
+}
+
+test("every metric is declared with HELP and TYPE", () => {
+  const text = h.bot.metrics.render();
+  for (const [name, type] of [["messages_processed_total", "counter"], ["handler_duration_seconds", "histogram"], ["seconds_since_last_message", "gauge"]]) {
+    assert.match(text, new RegExp(`^# HELP modbot_${name} .+$`, "m"));
+    assert.match(text, new RegExp(`^# TYPE modbot_${name} ${type}$`, "m"));
+  }
+});
+
+test("messages and edits are counted and timed", () => {
+  assert.equal(value('modbot_messages_processed_total{kind="new"}'), 3);
+  assert.equal(value('modbot_messages_processed_total{kind="edit"}'), 1);
+  assert.equal(value('modbot_handler_duration_seconds_count{handler="message"}'), 3);
+  assert.equal(value('modbot_handler_duration_seconds_bucket{handler="message_edit",le="+Inf"}'), 1);
+  assert.ok(value("modbot_seconds_since_last_message") < 60);
+  assert.ok(value("modbot_last_message_received_timestamp_seconds") > 0);
+});
+
+test("violations are counted by rule and group, with what was deleted and removed", () => {
+  assert.equal(value(`modbot_violations_total{rule="banned-word",group="${GROUP}"}`), 2);
+  assert.equal(value('modbot_deletions_total{scope="everyone",result="success"}'), 2);
+  assert.equal(value('modbot_removals_total{result="success"}'), 1);
+  assert.ok(value('modbot_sends_total{result="success"}') > 0);
+  assert.equal(value("modbot_ready"), 1);
+  assert.equal(value("modbot_reconnects_total"), 0);
+});
@@ -0,0 +1,170 @@
+// Scripted conversations: banned words, the strike ladder and what happens when
+// the bot isn't a group admin
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { OWNER, ALICE, BOB, bootBot, sentTo } = require("./harness");
+
+const ADMIN_GROUP = "120363000000000001@g.us";
+const NO_ADMIN_GROUP = "120363000000000002@g.us";
+const FLOOD_GROUP = "120363000000000008@g.us";
+const EDIT_GROUP = "120363000000000010@g.us";
+const LID_GROUP = "120363000000000011@g.us";
+const CAROL = "6590000004@c.us";
+const DAVE_LID = "34098282254336@lid";
+const DAVE = "6590000005@c.us";
+
+let h;
+
+before(async () => {
+  h = bootBot({
+    defaults: { warningsThreshold: 3 },
+    groups: [
+      { id: ADMIN_GROUP, name: "Bot is admin" },
+      { id: NO_ADMIN_GROUP, name: "Bot is not admin" },
+      { id: FLOOD_GROUP, name: "Flood", raid: { enabled: true } },
+      { id: EDIT_GROUP, name: "Edits" },
+      { id: LID_GROUP, name: "LIDs" }
+    ]
+  });
+  h.client.addGroup({ id: ADMIN_GROUP, name: "Bot is admin", members: [OWNER, ALICE, BOB], admins: [OWNER], botAdmin: true });
+  h.client.addGroup({ id: NO_ADMIN_GROUP, name: "Bot is not admin", members: [OWNER, ALICE, BOB], admins: [OWNER], botAdmin: false });
+  h.client.addGroup({ id: FLOOD_GROUP, name: "Flood", members: [OWNER, CAROL], admins: [OWNER], botAdmin: true });
+  h.client.addGroup({ id: EDIT_GROUP, name: "Edits", members: [OWNER, BOB], admins: [OWNER], botAdmin: true });
+  h.client.addGroup({ id: LID_GROUP, name: "LIDs", members: [OWNER, DAVE_LID], admins: [OWNER], botAdmin: true });
+  await h.bot.start();
+});
+
+after(() => h.stop());
+
+// Send one message and return what the bot did about it
+async function say(group, author, body) {
+  const mark = h.client.actions.length;
+  const message = await h.client.receive(group, author, body);
+  return { message, actions: h.client.since(mark) };
+}
+
+test("the bot announces itself in registered groups on start-up", () => {
+  for (const group of [ADMIN_GROUP, NO_ADMIN_GROUP, FLOOD_GROUP, EDIT_GROUP, LID_GROUP]) {
+    const [hello] = sentTo(h.client.actions, group);
+    assert.match(hello.body, /modbot ONLINE/);
+  }
+  assert.match(sentTo(h.client.actions, ADMIN_GROUP)[0].body, /Bot admin: Yes/);
+  assert.match(sentTo(h.client.actions, NO_ADMIN_GROUP)[0].body, /Bot admin: No/);
+});
+
+test("clean messages are left alone", async () => {
+  const { actions } = await say(ADMIN_GROUP, BOB, "good morning everyone");
+  assert.deepEqual(actions, []);
+});
+
+test("short replies can be repeated without counting as spam", async () => {
+  for (const text of ["ok", "ok", "ok", "ok"]) assert.deepEqual((await say(ADMIN_GROUP, BOB, text)).actions, []);
+});
+
+test("banned words are deleted and warned up to the threshold, then the member is removed", async () => {
+  let { message, actions } = await say(ADMIN_GROUP, ALICE, "what the fuck");
+  assert.deepEqual(actions.filter(a => a.type === "delete"), [{ type: "delete", chat: ADMIN_GROUP, messageId: message.id._serialized, author: ALICE, body: "what the fuck", everyone: true }]);
+  assert.match(sentTo(actions, ALICE)[0].body, /Warning 1\/3/);
+
+  ({ actions } = await say(ADMIN_GROUP, ALICE, "this is bullshit"));
+  assert.ok(actions.some(a => a.type === "delete" && a.everyone));
+  assert.match(sentTo(actions, ALICE)[0].body, /Warning 2\/3/);
+
+  ({ actions } = await say(ADMIN_GROUP, ALICE, "shut up you idiot"));
+  assert.ok(actions.some(a => a.type === "delete" && a.everyone));
+  assert.deepEqual(actions.filter(a => a.type === "remove"), [{ type: "remove", chat: ADMIN_GROUP, id: ALICE }]);
+  assert.match(sentTo(actions, ADMIN_GROUP)[0].body, /User removed for repeated use of banned language \(warnings: 3\)/);
+  assert.ok(!h.client.members(ADMIN_GROUP).includes(ALICE));
+});
+
+test("staff are never auto-moderated", async () => {
+  const { actions } = await say(ADMIN_GROUP, OWNER, "damn it");
+  assert.deepEqual(actions, []);
+});
+
+test("without admin rights the bot deletes for itself and asks to be made admin", async () => {
+  const { actions } = await say(NO_ADMIN_GROUP, BOB, "oh shit");
+  assert.deepEqual(actions.filter(a => a.type === "delete").map(a => a.everyone), [false]);
+  assert.match(sentTo(actions, NO_ADMIN_GROUP)[0].body, /couldn't delete it for everyone.*set me as group admin/);
+  assert.match(sentTo(actions, BOB)[0].body, /Warning 1\/3/);
+});
+
+test("at the threshold without admin rights the bot asks for a manual removal", async () => {
+  await say(NO_ADMIN_GROUP, BOB, "you bastard");
+  const { actions } = await say(NO_ADMIN_GROUP, BOB, "what a moron");
+  assert.deepEqual(actions.filter(a => a.type === "remove"), []);
+  const notice = sentTo(actions, NO_ADMIN_GROUP).find(a => /should be removed/.test(a.body));
+  assert.ok(notice, "expected a manual-removal notice");
+  assert.match(notice.body, /reached 3 warnings.*not an admin\. Please remove @6590000003 manually/);
+  assert.deepEqual(notice.mentions, [BOB]);
+  assert.ok(h.client.members(NO_ADMIN_GROUP).includes(BOB));
+});
+
+test("once made admin the bot removes at the threshold again", async () => {
+  h.client.setAdmin(NO_ADMIN_GROUP, "6500000000@c.us", true);
+  // the manual-removal request didn't reset the ladder, so the next offence removes
+  const { actions } = await say(NO_ADMIN_GROUP, BOB, "fuck this");
+  assert.ok(actions.some(a => a.type === "delete" && a.everyone));
+  assert.deepEqual(actions.filter(a => a.type === "remove"), [{ type: "remove", chat: NO_ADMIN_GROUP, id: BOB }]);
+});
+
+test("one member flooding costs a strike but doesn't lock the group as a raid", async () => {
+  const mark = h.client.actions.length;
+  for (let i = 1; i <= 16; i++) await h.client.receive(FLOOD_GROUP, CAROL, `message number ${i}`);
+  const actions = h.client.since(mark);
+  assert.ok(actions.filter(a => a.type === "delete").length >= 11);
+  assert.deepEqual(sentTo(actions, CAROL).map(a => (/Warning (\d)\/3/.exec(a.body) || [])[1]), ["1"]);
+  assert.deepEqual(actions.filter(a => a.type === "admins-only"), []);
+  assert.ok(!sentTo(actions, FLOOD_GROUP).some(a => /Raid protection/.test(a.body)));
+});
+
+test("an edit that adds a banned word is moderated, and the audit keeps what it said before", async () => {
+  const { message, actions } = await say(EDIT_GROUP, BOB, "see you all later");
+  assert.deepEqual(actions, []);
+  const mark = h.client.actions.length;
+  await h.client.edit(message, "see you all later, shit heads");
+  const edited = h.client.since(mark);
+  assert.deepEqual(edited.filter(a => a.type === "delete").map(a => a.messageId), [message.id._serialized]);
+  assert.match(sentTo(edited, BOB)[0].body, /Warning 1\/3/);
+  const [entry] = sentTo((await say(EDIT_GROUP, OWNER, "!audit 5")).actions, EDIT_GROUP).map(a => a.body);
+  assert.match(entry, /delete 6590000003 \[shit\] "see you all later, shit heads" \(edited from "see you all later"\)/);
+});
+
+test("edits don't count as new messages towards the rate limit", async () => {
+  const { message } = await say(EDIT_GROUP, BOB, "typing a long message here");
+  const mark = h.client.actions.length;
+  for (let i = 1; i <= 8; i++) await h.client.edit(message, `typing a long message here (fix ${i})`);
+  assert.deepEqual(h.client.since(mark), []);
+});
+
+test("strikes kept under a LID move to the number once it is learned", async () => {
+  let { actions } = await say(LID_GROUP, DAVE_LID, "oh shit");
+  assert.match(sentTo(actions, DAVE_LID)[0].body, /Warning 1\/3/);
+  // WhatsApp only tells us the number later, and the bot asks again after a while
+  h.client.linkLid(DAVE_LID, DAVE);
+  mock.timers.enable({ apis: ["Date"], now: Date.now() + 11 * 60 * 1000 });
+  try {
+    ({ actions } = await say(LID_GROUP, DAVE_LID, "damn it"));
+  } finally {
+    mock.timers.reset();
+  }
+  // the number is known now, and the strike kept under the LID came along with it
+  assert.match(sentTo(actions, DAVE_LID)[0].body, /Warning 2\/3/);
+  ({ actions } = await say(LID_GROUP, DAVE_LID, "what the fuck"));
+  assert.deepEqual(actions.filter(a => a.type === "remove"), [{ type: "remove", chat: LID_GROUP, id: DAVE_LID }]);
+});
+
+test("a reconnect doesn't start the periodic checks a second time", async () => {
+  const started = [];
+  const setInterval = global.setInterval;
+  global.setInterval = (fn, ms) => { started.push(String(fn)); return setInterval(fn, ms); };
+  try {
+    await h.client.reconnect();
+  } finally {
+    global.setInterval = setInterval;
+  }
+  assert.deepEqual(started, []);
+  // still moderating afterwards
+  const { actions } = await say(FLOOD_GROUP, BOB, "fuck");
+  assert.equal(actions.filter(a => a.type === "delete").length, 1);
+});
@@ -0,0 +1,56 @@
+// lib/normalize.js: folding obfuscated text and matching banned words in it
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeText, buildMatcher } = require("../lib/normalize");
+
+const matcher = buildMatcher(["shit", "anus", "fuck", "ass", "bitch", "son of a bitch"], { allowWords: ["assassin"] });
+const term = text => (matcher.test(text) || {}).term || null;
+
+test("normalizeText folds case, diacritics, invisible characters and homoglyphs", () => {
+  assert.equal(normalizeText("ＦＵＣＫ"), "fuck");
+  assert.equal(normalizeText("f\u00fc\u200bck"), "fuck");
+  assert.equal(normalizeText("ѕһіt"), "shit"); // Cyrillic
+  assert.equal(normalizeText("βιτ"), "bit"); // Greek
+});
+
+test("leetspeak is undone inside words but numbers and punctuation are left alone", () => {
+  assert.equal(normalizeText("sh1t $hit b!tch"), "shit shit bitch");
+  assert.equal(normalizeText("see you at 5!"), "see you at 5!");
+  assert.equal(normalizeText("42 is the answer!"), "42 is the answer!");
+});
+
+test("obfuscated banned words match", () => {
+  for (const [text, expected] of [
+    ["sh1t", "shit"],
+    ["$hit happens", "shit"],
+    ["ѕһіt", "shit"],
+    ["fuuuuck", "fuck"],
+    ["f u c k", "fuck"],
+    ["f.u.c.k off", "fuck"],
+    ["f-u-c-k", "fuck"],
+    ["f*ck", "fuck"],
+    ["sh#t", "shit"],
+    ["what a b i t c h", "bitch"],
+    ["you son of a bitch", "son of a bitch"]
+  ]) assert.equal(term(text), expected, text);
+});
+
+test("ordinary chat doesn't match", () => {
+  for (const text of [
+    "that's hit or miss",
+    "it's hit the fan",
+    "he's hit",
+    "a nus",
+    "classic assignment",
+    "the assassin",
+    "f uck", // only the first gap is spaced: not the same separator throughout
+    "***"
+  ]) assert.equal(term(text), null, text);
+});
+
+test("short words need the exact letters, without separators or masks", () => {
+  assert.equal(term("ass"), "ass");
+  assert.equal(term("aaass"), "ass");
+  assert.equal(term("a s s"), null);
+  assert.equal(term("a*s"), null);
+});
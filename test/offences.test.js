@@ -0,0 +1,72 @@
+// lib/offences.js: strike expiry, group scoping, clearing and legacy counts
+process.env.LOG_LEVEL = "silent";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { DAY_MS, normaliseHistory, isActive, addOffence, activeStrikes, clearOffences, clearLatestOffences, formatHistory } = require("../lib/offences");
+
+const G1 = "120363000000000001@g.us";
+const G2 = "120363000000000002@g.us";
+const USER = "6590000002";
+const NOW = Date.parse("2025-06-30T12:00:00.000Z");
+const ago = ms => new Date(NOW - ms).toISOString();
+
+test("a strike is active up to and including its expiry, and never expires with 0", () => {
+  const record = { at: ago(30 * DAY_MS), group: G1 };
+  assert.equal(isActive(record, G1, 30 * DAY_MS, NOW), true);
+  assert.equal(isActive(record, G1, 30 * DAY_MS, NOW + 1), false);
+  assert.equal(isActive(record, G1, 0, NOW + 365 * DAY_MS), true);
+  assert.equal(isActive(Object.assign({ clearedAt: ago(0) }, record), G1, 0, NOW), false);
+});
+
+test("strikes only count in the group they were given in", () => {
+  const store = {};
+  addOffence(store, USER, { at: ago(DAY_MS), group: G1, weight: 2 });
+  addOffence(store, USER, { at: ago(DAY_MS), group: G1 });
+  addOffence(store, USER, { at: ago(DAY_MS), group: G2 });
+  assert.equal(activeStrikes(store, USER, G1, 30 * DAY_MS, NOW), 3);
+  assert.equal(activeStrikes(store, USER, G2, 30 * DAY_MS, NOW), 1);
+  assert.equal(activeStrikes(store, USER, null, 30 * DAY_MS, NOW), 4);
+  assert.equal(activeStrikes(store, "6590000003", G1, 30 * DAY_MS, NOW), 0);
+
+  assert.equal(clearOffences(store, USER, G1, "removed", NOW), 2);
+  assert.equal(activeStrikes(store, USER, G1, 30 * DAY_MS, NOW), 0);
+  assert.equal(activeStrikes(store, USER, G2, 30 * DAY_MS, NOW), 1);
+  assert.equal(store[USER].length, 3);
+});
+
+test("a manual adjustment clears the newest active strikes first", () => {
+  const store = {};
+  for (const days of [40, 3, 2, 1]) addOffence(store, USER, { at: ago(days * DAY_MS), group: G1, term: `${days}d` });
+  assert.equal(clearLatestOffences(store, USER, G1, 30 * DAY_MS, 2, "admin", NOW), 2);
+  assert.deepEqual(store[USER].map(r => [r.term, r.clearedReason || null]), [["40d", null], ["3d", null], ["2d", "admin"], ["1d", "admin"]]);
+  // only one active strike is left, the expired one can't be cleared
+  assert.equal(clearLatestOffences(store, USER, G1, 30 * DAY_MS, 5, "admin", NOW), 1);
+  assert.equal(store[USER][0].clearedAt, undefined);
+});
+
+test("legacy bare counts become records that count in no group", () => {
+  const records = normaliseHistory("2", NOW);
+  assert.equal(records.length, 2);
+  assert.deepEqual(records[0], { at: ago(0), group: null, groupName: null, term: null, action: "warned", deleted: null, messageId: null, legacy: true });
+  assert.deepEqual(normaliseHistory(0), []);
+  assert.deepEqual(normaliseHistory([null, { group: G1 }, { at: ago(0) }]), [{ at: ago(0) }]);
+
+  const store = { [USER]: 2 };
+  addOffence(store, USER, { at: ago(0), group: G1 });
+  assert.equal(store[USER].length, 3);
+  assert.equal(activeStrikes(store, USER, G1, 30 * DAY_MS, NOW), 1);
+});
+
+test("the history says which strikes are active, expired or cleared", () => {
+  const records = [
+    { at: ago(40 * DAY_MS), group: G1, groupName: "One", term: "darn" },
+    { at: ago(DAY_MS), group: G1, term: "heck", weight: 2, step: { strike: 2 } },
+    { at: ago(DAY_MS), group: G1, action: "removed", clearedAt: ago(0), clearedReason: "removed" }
+  ];
+  assert.deepEqual(formatHistory(records, G1, 30 * DAY_MS, NOW).split("\n"), [
+    '1. 2025-05-21 12:00 in "One" "darn" — warned [expired]',
+    '2. 2025-06-29 12:00 "heck" (x2) — warned at step 2 [active]',
+    "3. 2025-06-29 12:00 — removed [cleared (removed)]"
+  ]);
+  assert.equal(formatHistory([], G1, 0, NOW), "No offences recorded.");
+});
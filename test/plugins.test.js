@@ -0,0 +1,98 @@
+// Scripted conversations: plugins from the plugins directory, switched on per group,
+// and the built-in banned-word plugin
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { OWNER, ALICE, BOB, bootBot, sentTo } = require("./harness");
+
+const ON_GROUP = "120363000000000004@g.us";
+const OFF_GROUP = "120363000000000005@g.us";
+const NO_FILTER_GROUP = "120363000000000006@g.us";
+const CAROL = "6590000004@c.us";
+
+const GREETER = `
+module.exports = {
+  name: "greeter",
+  description: "Answers ping and greets members",
+  commands: [{ name: "hello", permission: "everyone", description: "Say hello" }],
+  async onReady(api) { api.storage.data.readies = (api.storage.data.readies || 0) + 1; },
+  async onMessage(api, { chat, body }) {
+    const data = api.storage.data;
+    if (body === "stats") await api.send(chat.id._serialized, \`ready \${data.readies}, pinged \${data.pings}\`);
+    else if (body === "ping") { data.pings = (data.pings || 0) + 1; await api.send(chat.id._serialized, "pong"); }
+    else return false;
+    return true;
+  },
+  async onJoin(api, { chat, memberIds, options }) { await api.send(chat.id._serialized, (options.greeting || "hi") + " " + memberIds.join(",")); },
+  async onLeave(api, { chat, memberIds }) { await api.send(chat.id._serialized, "bye " + memberIds.join(",")); },
+  async onCommand(api, { reply, sender, options }) { await reply((options.greeting || "hi") + " " + sender.key); }
+};
+`;
+
+// loads before "greeter" and throws on every message
+const BROKEN = `
+module.exports = {
+  name: "broken",
+  enabledByDefault: true,
+  async onMessage() { throw new Error("boom"); }
+};
+`;
+
+let h;
+
+before(async () => {
+  h = bootBot({
+    groups: [
+      { id: ON_GROUP, name: "Plugin on", plugins: { greeter: { greeting: "welcome" } } },
+      { id: OFF_GROUP, name: "Plugin off" },
+      { id: NO_FILTER_GROUP, name: "No word filter", plugins: { "banned-words": false } }
+    ]
+  }, { plugins: { "greeter.js": GREETER, "broken.js": BROKEN } });
+  for (const [id, name] of [[ON_GROUP, "Plugin on"], [OFF_GROUP, "Plugin off"], [NO_FILTER_GROUP, "No word filter"]]) {
+    h.client.addGroup({ id, name, members: [OWNER, ALICE, BOB], admins: [OWNER], botAdmin: true });
+  }
+  await h.bot.start();
+});
+
+after(() => h.stop());
+
+async function step(fn) {
+  const mark = h.client.actions.length;
+  await fn();
+  return h.client.since(mark);
+}
+
+const say = (group, author, body) => step(() => h.client.receive(group, author, body));
+const bodies = (actions, to) => sentTo(actions, to).map(a => a.body);
+
+test("a plugin's message hook runs only where it is turned on, past a plugin that throws", async () => {
+  assert.deepEqual(bodies(await say(ON_GROUP, ALICE, "ping"), ON_GROUP), ["pong"]);
+  assert.deepEqual(await say(OFF_GROUP, ALICE, "ping"), []);
+});
+
+test("plugin commands get the group's options, and are refused where the plugin is off", async () => {
+  assert.deepEqual(bodies(await say(ON_GROUP, BOB, "!hello"), ON_GROUP), ["welcome 6590000003"]);
+  assert.deepEqual(bodies(await say(OFF_GROUP, BOB, "!hello"), OFF_GROUP), ['The "greeter" plugin isn\'t turned on in this group.']);
+});
+
+test("join and leave hooks hear about members coming and going", async () => {
+  assert.deepEqual(bodies(await step(() => h.client.join(ON_GROUP, [CAROL], { by: OWNER })), ON_GROUP), [`welcome ${CAROL}`]);
+  assert.deepEqual(bodies(await step(() => h.client.leave(ON_GROUP, [CAROL])), ON_GROUP), [`bye ${CAROL}`]);
+  assert.deepEqual(await step(() => h.client.join(OFF_GROUP, [CAROL], { by: OWNER })), []);
+});
+
+test("the banned-word filter is a plugin a group can turn off", async () => {
+  assert.deepEqual((await say(NO_FILTER_GROUP, ALICE, "fuck")).filter(a => a.type === "delete"), []);
+  assert.equal((await say(ON_GROUP, ALICE, "fuck")).filter(a => a.type === "delete").length, 1);
+});
+
+test("!plugins lists what is loaded and what is on here", async () => {
+  const [list] = bodies(await say(NO_FILTER_GROUP, OWNER, "!plugins"), NO_FILTER_GROUP);
+  assert.match(list, /⛔ banned-words \(built-in\)/);
+  assert.match(list, /✅ broken/);
+  assert.match(list, /⛔ greeter — Answers ping and greets members/);
+});
+
+test("a reconnect doesn't run onReady again or reload what a plugin holds in memory", async () => {
+  await h.client.reconnect();
+  assert.deepEqual(bodies(await say(ON_GROUP, ALICE, "stats"), ON_GROUP), ["ready 1, pinged 1"]);
+});
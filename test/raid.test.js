@@ -0,0 +1,60 @@
+// lib/raid.js: join and violation bursts, and the "raid" config block
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_RAID, compileRaidConfig, createRaidDetector } = require("../lib/raid");
+
+const G = "g1@g.us";
+const ON = compileRaidConfig({ enabled: true });
+
+test("a burst of joins inside the window triggers, with everyone who joined", () => {
+  const raid = createRaidDetector();
+  const config = compileRaidConfig({ enabled: true, joins: { count: 3, seconds: 10 } });
+  assert.equal(raid.recordJoin(config, G, ["a", "b"], 0), null);
+  assert.deepEqual(raid.recordJoin(config, G, ["c"], 5000), { reason: "3 joins in 10s", joiners: ["a", "b", "c"] });
+  // joins that fell out of the window don't count
+  assert.equal(createRaidDetector().recordJoin(config, G, ["a"], 0), null);
+});
+
+test("one member's violations never trigger, however many", () => {
+  const raid = createRaidDetector();
+  for (let i = 0; i < 50; i++) assert.equal(raid.recordViolation(ON, G, "6590000001", i * 100), null);
+});
+
+test("violations trigger once enough different members are behind them", () => {
+  const raid = createRaidDetector();
+  const offenders = ["1", "2", "1", "2", "1", "2", "1", "2", "1"];
+  offenders.forEach((who, i) => assert.equal(raid.recordViolation(ON, G, who, i * 1000), null));
+  assert.equal(raid.recordViolation(ON, G, "2", 9000), null); // 10 violations, only 2 members
+  const trigger = raid.recordViolation(ON, G, "3", 10000);
+  assert.equal(trigger.reason, "11 violations by 3 members in 60s");
+});
+
+test("violations outside the window are forgotten, and reset() clears a group", () => {
+  const raid = createRaidDetector();
+  const config = compileRaidConfig({ enabled: true, violations: { count: 2, seconds: 10, offenders: 2 } });
+  assert.equal(raid.recordViolation(config, G, "1", 0), null);
+  assert.equal(raid.recordViolation(config, G, "2", 20000), null);
+  assert.ok(raid.recordViolation(config, G, "3", 21000));
+  raid.reset(G);
+  assert.equal(raid.recordViolation(config, G, "4", 22000), null);
+});
+
+test("detection is off unless the group opts in", () => {
+  assert.equal(compileRaidConfig(undefined), DEFAULT_RAID);
+  assert.equal(DEFAULT_RAID.enabled, false);
+  assert.equal(compileRaidConfig({ joins: { count: 2 } }).enabled, false);
+  const raid = createRaidDetector();
+  assert.equal(raid.recordJoin(DEFAULT_RAID, G, Array.from({ length: 50 }, (_, i) => String(i)), 0), null);
+  for (let i = 0; i < 50; i++) assert.equal(raid.recordViolation(DEFAULT_RAID, G, String(i), i), null);
+  // an opted-in "defaults" block is inherited by the groups
+  assert.equal(compileRaidConfig({ removeJoiners: true }, ON).enabled, true);
+});
+
+test("the raid block inherits, validates and can be turned off", () => {
+  assert.equal(compileRaidConfig(false, ON).enabled, false);
+  assert.deepEqual(compileRaidConfig({ violations: { count: 5 } }).violations, { count: 5, seconds: 60, offenders: 3 });
+  assert.equal(compileRaidConfig({ joins: false }).joins, null);
+  assert.throws(() => compileRaidConfig({ violations: { offenders: 0 } }), /raid\.violations\.offenders/);
+  assert.throws(() => compileRaidConfig({ joins: { count: 1 } }), /raid\.joins\.count/);
+  assert.equal(createRaidDetector().recordViolation(compileRaidConfig(false), G, "1"), null);
+});
@@ -0,0 +1,37 @@
+// Scripted: temporary removals that come due, with the re-add check driven by mock timers
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { OWNER, ALICE, BOB, bootBot } = require("./harness");
+
+const GROUP = "120363000000000009@g.us";
+const CAROL = "6590000004@c.us";
+
+let h;
+
+before(async () => {
+  mock.timers.enable({ apis: ["setInterval"] });
+  h = bootBot({ groups: [{ id: GROUP, name: "Re-adds" }] });
+  // both were removed for a while and are due back; Carol has been banned since
+  const due = new Date(Date.now() - 1000).toISOString();
+  fs.writeFileSync(path.join(h.dir, "moderation-state.json"), JSON.stringify({
+    readds: [{ group: GROUP, id: BOB, at: due, attempts: 0 }, { group: GROUP, id: CAROL, at: due, attempts: 0 }],
+    bans: { [GROUP]: { "6590000004": { id: CAROL, at: due, reason: "spam", until: null, by: "6590000001" } } }
+  }));
+  h.client.addGroup({ id: GROUP, name: "Re-adds", members: [OWNER, ALICE], admins: [OWNER], botAdmin: true });
+  await h.bot.start();
+});
+
+after(async () => {
+  mock.timers.reset();
+  await h.stop();
+});
+
+test("members are re-added when their time is up, unless banned meanwhile", async () => {
+  const mark = h.client.actions.length;
+  mock.timers.tick(60 * 1000);
+  for (let i = 0; i < 50 && !h.client.since(mark).some(a => a.type === "add"); i++) await new Promise(resolve => setTimeout(resolve, 10));
+  assert.deepEqual(h.client.since(mark).filter(a => a.type === "add"), [{ type: "add", chat: GROUP, id: BOB }]);
+  assert.deepEqual(h.client.members(GROUP).filter(id => id === CAROL), []);
+});
@@ -0,0 +1,43 @@
+// lib/reports.js: the "reports" block and each reporter's rate limits
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_REPORTS, compileReportsConfig, newReporterRecord, reportRefusal, recordFiled, recordDismissal } = require("../lib/reports");
+
+const HOUR = 3600 * 1000;
+
+test("the reports block inherits, can be turned off and validates", () => {
+  assert.equal(compileReportsConfig(undefined), DEFAULT_REPORTS);
+  assert.equal(compileReportsConfig(false).enabled, false);
+  const defaults = compileReportsConfig({ hideAfter: 0, blockFor: "2d" });
+  assert.deepEqual(compileReportsConfig({ perHour: 2 }, defaults), Object.assign({}, DEFAULT_REPORTS, { hideAfter: 0, perHour: 2, blockForMs: 48 * HOUR }));
+  assert.equal(compileReportsConfig({ enabled: true }, compileReportsConfig(false)).enabled, true);
+  assert.throws(() => compileReportsConfig({ perHour: 1.5 }), /reports\.perHour must be 0 or a positive whole number/);
+  assert.throws(() => compileReportsConfig({ hideAfter: -1 }), /reports\.hideAfter/);
+  assert.throws(() => compileReportsConfig({ falseReportWindow: "a while" }), /reports\.falseReportWindow must be a duration/);
+  assert.throws(() => compileReportsConfig("on"), /"reports" must be an object or false/);
+});
+
+test("members can only file so many reports an hour", () => {
+  const config = compileReportsConfig({ perHour: 2 });
+  const record = newReporterRecord();
+  for (const at of [0, 1000]) {
+    assert.equal(reportRefusal(config, record, at), null);
+    recordFiled(record, at);
+  }
+  assert.deepEqual(reportRefusal(config, record, 2000), { reason: "you can file 2 report(s) per hour", until: HOUR });
+  assert.equal(reportRefusal(config, record, HOUR), null);
+  assert.equal(reportRefusal(compileReportsConfig({ perHour: 0 }), { filed: [0, 1, 2], dismissed: [], blockedUntil: 0 }, 3), null);
+});
+
+test("too many dismissed reports inside the window stop a member from reporting", () => {
+  const config = compileReportsConfig({ falseReports: 2, falseReportWindow: "1d", blockFor: "12h" });
+  const record = newReporterRecord();
+  assert.equal(recordDismissal(config, record, 0), 0);
+  // the first dismissal has left the window by now
+  assert.equal(recordDismissal(config, record, 25 * HOUR), 0);
+  assert.equal(recordDismissal(config, record, 26 * HOUR), 38 * HOUR);
+  assert.deepEqual(record.dismissed, []);
+  assert.deepEqual(reportRefusal(config, record, 30 * HOUR), { reason: "too many of your reports were dismissed", until: 38 * HOUR });
+  assert.equal(reportRefusal(config, record, 38 * HOUR), null);
+  assert.equal(recordDismissal(compileReportsConfig({ falseReports: 0 }), newReporterRecord(), 0), 0);
+});
@@ -0,0 +1,45 @@
+// lib/roles.js: role ranks, exact number matching and per-group permissions
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { atLeast, toE164, normaliseNumbers, compileRoles, compilePermissions, configuredRole, requiredRole } = require("../lib/roles");
+
+test("a role includes every role below it, and unknown roles get nothing", () => {
+  assert.ok(atLeast("owner", "moderator"));
+  assert.ok(atLeast("helper", "exempt"));
+  assert.ok(atLeast("member", "everyone"));
+  assert.ok(!atLeast("member", "exempt"));
+  assert.ok(!atLeast("moderator", "owner"));
+  assert.ok(!atLeast("owner", "admin"));
+});
+
+test("numbers are normalised to E.164 digits", () => {
+  for (const raw of ["+65 8048 0362", "0065 80480362", "6580480362@c.us", "(65) 8048-0362"]) assert.equal(toE164(raw), "6580480362", raw);
+  for (const raw of ["0080480", "012345678", "", null, "1234567890123456"]) assert.equal(toE164(raw), null, String(raw));
+  assert.deepEqual(normaliseNumbers("+65 8048 0362, +44 20 7946 0958", "roles.owner"), ["6580480362", "442079460958"]);
+  assert.throws(() => normaliseNumbers(["8048 036"], "roles.owner"), /roles\.owner: "8048 036" is not a full international number/);
+});
+
+test("a number only gets a role on an exact match, and the highest one wins", () => {
+  const defaults = { roles: compileRoles({ owner: ["+65 8048 0362"], helper: ["+65 9000 0001"] }, null, "defaults.roles") };
+  const group = { roles: compileRoles({ moderator: ["+65 9000 0001"], exempt: ["+65 9000 0002"] }, defaults.roles, "groups[0].roles") };
+  assert.equal(configuredRole(group, "6580480362@c.us"), "owner");
+  assert.equal(configuredRole(group, "+65 9000 0001"), "moderator");
+  assert.equal(configuredRole(defaults, "6590000001"), "helper");
+  assert.equal(configuredRole(group, "6590000002"), "exempt");
+  // a longer or shorter number that contains a listed one is somebody else
+  assert.equal(configuredRole(group, "16580480362"), "member");
+  assert.equal(configuredRole(group, "580480362"), "member");
+  assert.equal(configuredRole(null, "6580480362"), "member");
+  assert.throws(() => compileRoles({ admin: [] }, null, "defaults.roles"), /unknown role "admin"/);
+});
+
+test("permissions override a command's default role per group", () => {
+  const defaults = compilePermissions({ Warnings: "helper" }, undefined, "defaults.permissions");
+  const group = { permissions: compilePermissions({ audit: "owner" }, defaults, "groups[0].permissions") };
+  assert.equal(requiredRole(group, { name: "warnings", permission: "moderator" }), "helper");
+  assert.equal(requiredRole(group, { name: "audit", permission: "moderator" }), "owner");
+  assert.equal(requiredRole(group, { name: "kick", permission: "moderator" }), "moderator");
+  assert.equal(requiredRole(null, { name: "kick", permission: "moderator" }), "moderator");
+  assert.throws(() => compilePermissions({ kick: "admin" }, undefined, "defaults.permissions"), /unknown role "admin"/);
+  assert.throws(() => compilePermissions([], undefined, "defaults.permissions"), /must be an object/);
+});
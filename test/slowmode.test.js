@@ -0,0 +1,53 @@
+// lib/slowmode.js: the "slowMode" block and the per-member message tracker
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compileSlowMode, describeSlowMode, createSlowModeTracker } = require("../lib/slowmode");
+
+const G = "g1@g.us";
+
+test("slow mode is written as a duration or as messages per seconds", () => {
+  assert.deepEqual(compileSlowMode("60s"), { messages: 1, seconds: 60 });
+  assert.deepEqual(compileSlowMode(2), { messages: 1, seconds: 120 });
+  assert.deepEqual(compileSlowMode({ messages: 3, seconds: 30 }), { messages: 3, seconds: 30 });
+  assert.deepEqual(compileSlowMode({ seconds: 10 }), { messages: 1, seconds: 10 });
+  const defaults = compileSlowMode("1m");
+  assert.equal(compileSlowMode(undefined, defaults), defaults);
+  for (const off of [false, null, "off"]) assert.equal(compileSlowMode(off, defaults), null);
+  assert.throws(() => compileSlowMode("soon"), /"slowMode" must be a duration/);
+  assert.throws(() => compileSlowMode({ messages: 0, seconds: 10 }), /slowMode\.messages/);
+  assert.throws(() => compileSlowMode({ messages: 1 }), /slowMode\.seconds/);
+  assert.throws(() => compileSlowMode([]), /"slowMode" must be a duration/);
+});
+
+test("limits are described for replies", () => {
+  assert.equal(describeSlowMode(null), "off");
+  assert.equal(describeSlowMode({ messages: 1, seconds: 90 }), "1 message per 1m");
+  assert.equal(describeSlowMode({ messages: 3, seconds: 3600 }), "3 messages per 1h");
+});
+
+test("messages over the limit wait for the oldest one to leave the window", () => {
+  const tracker = createSlowModeTracker();
+  const limit = { messages: 2, seconds: 60 };
+  assert.equal(tracker.check(limit, G, "1", 0), null);
+  assert.equal(tracker.check(limit, G, "1", 10000), null);
+  assert.deepEqual(tracker.check(limit, G, "1", 20000), { waitMs: 40000, told: false });
+  assert.deepEqual(tracker.check(limit, G, "1", 30000), { waitMs: 30000, told: true });
+  // other members and other groups have their own count
+  assert.equal(tracker.check(limit, G, "2", 30000), null);
+  assert.equal(tracker.check(limit, "g2@g.us", "1", 30000), null);
+  assert.equal(tracker.check(limit, G, "1", 60000), null);
+  assert.equal(tracker.check(null, G, "1", 60001), null);
+});
+
+test("a reset forgets one member or the whole group", () => {
+  const tracker = createSlowModeTracker();
+  const limit = { messages: 1, seconds: 60 };
+  for (const user of ["1", "2"]) tracker.check(limit, G, user, 0);
+  tracker.check(limit, "g2@g.us", "1", 0);
+  tracker.reset(G, "1");
+  assert.equal(tracker.check(limit, G, "1", 1000), null);
+  assert.ok(tracker.check(limit, G, "2", 1000));
+  tracker.reset(G);
+  assert.equal(tracker.check(limit, G, "2", 2000), null);
+  assert.ok(tracker.check(limit, "g2@g.us", "1", 2000));
+});
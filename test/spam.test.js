@@ -0,0 +1,71 @@
+// lib/spam.js: flood, duplicate, mention and run-length signals, and the "spam" config block
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_SPAM, compileSpamConfig, createSpamDetector, similarity, longestEmojiRun, longestCharRun } = require("../lib/spam");
+
+const G = "g1@g.us";
+
+// Feed messages from one user a second apart; returns each result
+function feed(config, texts, { user = "1", start = 0, gap = 1000, detector = createSpamDetector() } = {}) {
+  return texts.map((text, i) => detector.check(config, { groupId: G, user, text, at: start + i * gap }));
+}
+
+test("short replies repeated in ordinary chat are not duplicates", () => {
+  const config = compileSpamConfig({ rate: false });
+  for (const text of ["ok", "yes", "😂", "lol!!", "ok ok ok"]) {
+    assert.deepEqual(feed(config, [text, text, text, text]), [null, null, null, null], text);
+  }
+});
+
+test("longer messages repeated inside the window are duplicates, once per cooldown", () => {
+  const config = compileSpamConfig({ rate: false });
+  const results = feed(config, Array(5).fill("buy cheap followers at my shop"));
+  assert.deepEqual(results.map(r => r && r.signal), [null, null, "duplicate", "duplicate", "duplicate"]);
+  assert.deepEqual(results.slice(2).map(r => r.repeat), [false, true, true]);
+  // the same text spread out past the window is fine
+  assert.deepEqual(feed(config, Array(3).fill("buy cheap followers at my shop"), { gap: 61000 }), [null, null, null]);
+});
+
+test("minLength can be lowered, and duplicates turned off", () => {
+  const strict = compileSpamConfig({ rate: false, duplicates: { minLength: 0 } });
+  assert.equal(feed(strict, ["ok", "ok", "ok"])[2].signal, "duplicate");
+  assert.equal(compileSpamConfig({ duplicates: false }).duplicates, null);
+  assert.throws(() => compileSpamConfig({ duplicates: { minLength: -1 } }), /minLength/);
+});
+
+test("the message rate is checked against every window", () => {
+  const config = compileSpamConfig({ duplicates: false });
+  const texts = Array.from({ length: 7 }, (_, i) => `update ${i}`);
+  const results = feed(config, texts, { gap: 500 });
+  assert.deepEqual(results.map(r => r && r.signal), [null, null, null, null, null, "rate", "rate"]);
+  assert.equal(results[5].detail, "6 messages in 10s");
+  // edits don't count as new messages
+  const detector = createSpamDetector();
+  for (let i = 0; i < 10; i++) assert.equal(detector.check(config, { groupId: G, user: "1", text: "typo fix", at: i, edit: i > 0 }), null);
+});
+
+test("mass mentions and long emoji / character runs are flagged", () => {
+  const detector = createSpamDetector();
+  const at = 0;
+  assert.equal(detector.check(DEFAULT_SPAM, { groupId: G, user: "1", text: "hi all", mentions: 6, at }).signal, "mentions");
+  assert.equal(detector.check(DEFAULT_SPAM, { groupId: G, user: "2", text: "😂".repeat(10), at }).signal, "emoji-run");
+  assert.equal(detector.check(DEFAULT_SPAM, { groupId: G, user: "3", text: "a".repeat(30), at }).signal, "char-run");
+  assert.equal(detector.check(DEFAULT_SPAM, { groupId: G, user: "4", text: "😂😂😂 haha", mentions: 2, at }), null);
+});
+
+test("helpers: similarity and run lengths", () => {
+  assert.equal(similarity("hello there", "hello there"), 1);
+  assert.equal(similarity("ab", "cd"), 0);
+  assert.ok(similarity("buy followers now", "buy followers now!") > 0.9);
+  assert.equal(longestEmojiRun("hi 👍🏽👍🏽 👍 ok 😂"), 3);
+  assert.equal(longestCharRun("nooooo way"), 5);
+});
+
+test("the spam block inherits, validates and can be turned off", () => {
+  assert.equal(compileSpamConfig(undefined), DEFAULT_SPAM);
+  assert.equal(compileSpamConfig(false).enabled, false);
+  assert.equal(createSpamDetector().check(compileSpamConfig(false), { groupId: G, user: "1", text: "x", mentions: 99 }), null);
+  assert.deepEqual(compileSpamConfig({ rate: { messages: 3, seconds: 5 } }).rate, [{ messages: 3, seconds: 5 }]);
+  assert.throws(() => compileSpamConfig({ rate: [{ messages: 0, seconds: 5 }] }), /spam\.rate\[0\]\.messages/);
+  assert.throws(() => compileSpamConfig([]), /"spam" must be an object/);
+});
@@ -0,0 +1,178 @@
+// lib/storage.js and its backends: JSON files, and SQLite with migrations, the one-time
+// import of the JSON files and backups (skipped where node:sqlite is missing)
+process.env.LOG_LEVEL = "silent";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStorage, createCollection, createStoredState } = require("../lib/storage");
+
+let hasSqlite = true;
+try { require("node:sqlite"); } catch (e) { hasSqlite = false; }
+const sqlite = { skip: hasSqlite ? false : `node:sqlite is not available in ${process.version}` };
+
+// A temporary directory and the options index.js passes, for either backend
+function setup(t, backend) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "modbot-storage-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = name => path.join(dir, name);
+  const options = {
+    backend,
+    files: { warnings: file("warnings.json") },
+    stateFile: file("moderation-state.json"),
+    auditFile: file("audit.jsonl"),
+    sqliteFile: file("moderation.db")
+  };
+  return { dir, file, options };
+}
+
+const read = file => JSON.parse(fs.readFileSync(file, "utf8"));
+
+test("json: collections live in their own file or in the state file", async t => {
+  const { file, options } = setup(t, "json");
+  const store = createStorage(options);
+  await store.write("warnings", { "6590000001": [{ at: "2024-01-01T00:00:00.000Z" }] });
+  await store.write("bans", { "g1@g.us": { "6590000002": { until: null } } });
+  await store.write("state", { readds: [] });
+  await store.write("warnings", { "6590000003": [], "6590000001": null });
+  assert.deepEqual(read(file("warnings.json")), { "6590000003": [] });
+  assert.deepEqual(read(file("moderation-state.json")), { bans: { "g1@g.us": { "6590000002": { until: null } } }, readds: [] });
+  assert.deepEqual(await store.readAll("bans"), { "g1@g.us": { "6590000002": { until: null } } });
+  await store.close();
+});
+
+test("json: a backup moves the file aside and leaves the collection empty", async t => {
+  const { dir, options } = setup(t, "json");
+  const store = createStorage(options);
+  await store.write("warnings", { "6590000001": [] });
+  const bak = await store.backup("warnings");
+  assert.match(path.basename(bak), /^warnings\.json\.bak\./);
+  assert.deepEqual(read(bak), { "6590000001": [] });
+  assert.deepEqual(await store.readAll("warnings"), {});
+  assert.ok(!fs.readdirSync(dir).includes("warnings.json"));
+  await assert.rejects(store.backup("bans"), /no file of its own/);
+});
+
+test("json: the audit log is appended to and filtered", async t => {
+  const { options } = setup(t, "json");
+  const store = createStorage(options);
+  await store.appendAudit({ id: 1, at: "2024-01-01T00:00:00.000Z", type: "delete", group: "g1@g.us", author: "6590000001" });
+  await store.appendAudit({ id: 2, at: "2024-01-02T00:00:00.000Z", type: "remove", group: "g2@g.us", author: "6590000001" });
+  await store.appendAudit({ id: 3, at: "2024-01-03T00:00:00.000Z", type: "delete", group: "g1@g.us", author: "6590000002" });
+  assert.deepEqual((await store.readAudit({ group: "g1@g.us" })).map(e => e.id), [1, 3]);
+  assert.deepEqual((await store.readAudit({ author: "6590000001", since: "2024-01-02" })).map(e => e.id), [2]);
+  assert.deepEqual((await store.readAudit({ limit: 2 })).map(e => e.id), [2, 3]);
+  assert.equal(await store.lastAuditId(), 3);
+});
+
+test("json: audit reads go through the file line by line", async t => {
+  const { file, options } = setup(t, "json");
+  const store = createStorage(options);
+  assert.deepEqual(await store.readAudit(), []);
+  assert.equal(await store.lastAuditId(), 0);
+  const lines = Array.from({ length: 500 }, (_, i) => JSON.stringify({ id: i + 1, type: i % 2 ? "warn" : "delete", group: "g1@g.us" }));
+  lines.splice(250, 0, '{"id": 9999, "type": "del', "");
+  fs.writeFileSync(file("audit.jsonl"), lines.join("\n") + "\n");
+  assert.deepEqual((await store.readAudit({ type: "warn", limit: 3 })).map(e => e.id), [496, 498, 500]);
+  assert.equal((await store.readAudit({ type: "delete" })).length, 250);
+  assert.equal(await store.lastAuditId(), 500);
+});
+
+test("collections and stored state only write what changed", async t => {
+  const { options } = setup(t, "json");
+  const store = createStorage(options);
+  const writes = [];
+  const write = store.write;
+  store.write = (collection, changes) => { writes.push([collection, changes]); return write(collection, changes); };
+
+  const config = createCollection(store, "config");
+  await config.load();
+  config.data["g1@g.us"] = { moderationActive: true };
+  config.data["g2@g.us"] = { moderationActive: false };
+  await config.save();
+  delete config.data["g2@g.us"];
+  await config.save();
+  await config.save();
+  assert.deepEqual(writes, [
+    ["config", { "g1@g.us": { moderationActive: true }, "g2@g.us": { moderationActive: false } }],
+    ["config", { "g2@g.us": null }]
+  ]);
+
+  writes.length = 0;
+  const state = createStoredState(store, { mutes: {}, readds: [] });
+  await state.load();
+  state.data.mutes["g1@g.us"] = { "6590000001": { until: null } };
+  await state.save();
+  // fields with nothing stored yet are written the first time
+  assert.deepEqual(writes, [["state", { readds: [] }], ["mutes", { "g1@g.us": { "6590000001": { until: null } } }]]);
+  state.data.readds = [{ id: "6590000001" }];
+  await state.save();
+  assert.deepEqual(writes.slice(2), [["state", { readds: [{ id: "6590000001" }] }]]);
+  assert.deepEqual((await createStoredState(store, { mutes: {}, readds: [] }).load()).readds, [{ id: "6590000001" }]);
+});
+
+test("an unknown backend is refused", () => {
+  assert.throws(() => createStorage({ backend: "redis" }), /Unknown storage backend "redis"/);
+});
+
+test("sqlite: the schema is migrated once and records round-trip", sqlite, async t => {
+  const { DatabaseSync } = require("node:sqlite");
+  const { MIGRATIONS } = require("../lib/sqliteStore");
+  const { options } = setup(t, "sqlite");
+  let store = createStorage(options);
+  await store.write("warnings", { "6590000001": [{ at: "2024-01-01T00:00:00.000Z" }], "123@lid": [] });
+  await store.write("warnings", { "123@lid": null });
+  await store.close();
+
+  store = createStorage(options);
+  assert.deepEqual(await store.readAll("warnings"), { "6590000001": [{ at: "2024-01-01T00:00:00.000Z" }] });
+  await store.close();
+  const db = new DatabaseSync(options.sqliteFile);
+  assert.equal(db.prepare("PRAGMA user_version").get().user_version, MIGRATIONS.length);
+  db.close();
+});
+
+test("sqlite: the JSON files are imported once, with backups as cleared history", sqlite, async t => {
+  const { file, options } = setup(t, "sqlite");
+  const strike = { at: "2024-03-01T00:00:00.000Z", group: "g1@g.us", action: "warned" };
+  fs.writeFileSync(file("warnings.json"), JSON.stringify({ "6590000001": [strike] }));
+  fs.writeFileSync(file("warnings.json.bak.2024-02-01T10-20-30-400Z"), JSON.stringify({ "6590000001@c.us": 1, "123456789@lid": 2 }));
+  fs.writeFileSync(file("moderation-state.json"), JSON.stringify({ bans: { "g1@g.us": { "6590000002": { until: null } } }, readds: [{ id: "6590000003" }] }));
+  fs.writeFileSync(file("audit.jsonl"), [{ id: 1, type: "delete", group: "g1@g.us" }, { id: 2, type: "remove", group: "g1@g.us" }].map(e => JSON.stringify(e)).join("\n") + "\n");
+
+  let store = createStorage(options);
+  const warnings = await store.readAll("warnings");
+  assert.deepEqual(warnings["6590000001"], [strike]);
+  // backup keys are kept as they were, so a LID isn't taken for a phone number
+  assert.deepEqual(Object.keys(warnings).sort(), ["123456789@lid", "6590000001", "6590000001@c.us"]);
+  assert.equal(warnings["123456789@lid"].length, 2);
+  for (const r of warnings["123456789@lid"].concat(warnings["6590000001@c.us"])) {
+    assert.equal(r.clearedAt, "2024-02-01T10:20:30.400Z");
+    assert.match(r.clearedReason, /imported from warnings\.json\.bak\.2024-02-01T10-20-30-400Z/);
+  }
+  assert.deepEqual(await store.readAll("bans"), { "g1@g.us": { "6590000002": { until: null } } });
+  assert.deepEqual(await store.readAll("state"), { readds: [{ id: "6590000003" }] });
+  assert.deepEqual((await store.readAudit({ type: "remove" })).map(e => e.id), [2]);
+  assert.equal(await store.lastAuditId(), 2);
+  await store.write("warnings", { "6590000001": null });
+  await store.close();
+
+  // the JSON files are left in place but not imported a second time
+  assert.ok(fs.existsSync(file("warnings.json")));
+  store = createStorage(options);
+  assert.equal((await store.readAll("warnings"))["6590000001"], undefined);
+  assert.equal((await store.readAudit()).length, 2);
+  await store.close();
+});
+
+test("sqlite: a backup keeps the records in a collection of their own", sqlite, async t => {
+  const { options } = setup(t, "sqlite");
+  const store = createStorage(options);
+  await store.write("warnings", { "6590000001": [] });
+  const name = await store.backup("warnings");
+  assert.match(name, /^warnings\.bak\./);
+  assert.deepEqual(await store.readAll("warnings"), {});
+  assert.deepEqual(await store.readAll(name), { "6590000001": [] });
+  await store.close();
+});
@@ -12,22 +12,36 @@
  * - Reuses previous LocalAuth session by default (so it keeps the logged-in account)
  * - If the session appears corrupted (Evaluation failed / stale / invalid), it
  *   automatically wipes the session folder and creates a fresh one (shows a new QR)
- * - Warnings are persisted to warnings.json in the same directory
+ * - Warnings are persisted through the shared storage layer (lib/storage.js):
+ *   warnings.json in the same directory, or SQLite with STORAGE_BACKEND=sqlite
+ * - Senders are identified by phone number even when WhatsApp shows them by LID
+ *   (lib/identity.js), so whitelist checks and warnings follow the person
+ * - Monitored groups are tracked by group id in groups.json; an allowed number can
+ *   send "!mod register" / "!mod unregister" inside a group to add or remove it
+ * - Commands share the main bot's registry syntax ("!mod on", "!mod off", "!help")
  */
 
-const { Client, LocalAuth } = require("whatsapp-web.js");
 const qrcode = require("qrcode-terminal");
 const fs = require("fs");
 const path = require("path");
+const { createGroupConfig } = require("../lib/groupConfig");
+const { buildMatcher } = require("../lib/normalize");
+const { createCommandRegistry } = require("../lib/commands");
+const { createClient } = require("../lib/client");
+const { createStorage, createCollection } = require("../lib/storage");
+const { parseId, createIdentityService } = require("../lib/identity");
 
 // ---------------- CONFIG ----------------
-const TARGET_GROUP_NAME = "6-3 of '25";        // group name the bot monitors
+const GROUPS_FILE = path.join(__dirname, "groups.json"); // registry of monitored groups (by group id)
 const VISIBLE = true;                            // true => Chrome window visible; false => headless
 const POLL_INTERVAL_MS = 5000;                   // how often to poll as a fallback
 const POLL_LIMIT = 500;                          // how many messages to fetch per poll
 const PROCESSED_TTL_SECONDS = 24 * 3600;         // how long to keep processed IDs before trimming
 const STATE_SAVE_INTERVAL_MS = 15000;            // autosave warnings/trim every 15 seconds
 const WARNINGS_FILE = path.join(__dirname, "warnings.json");
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || "json").toLowerCase(); // "json" or "sqlite"
+const SQLITE_FILE = path.join(__dirname, "moderation.db");
+const WHATSAPP_CLIENT = process.env.WHATSAPP_CLIENT || "whatsapp-web"; // "fake" = in-memory client (lib/fakeClient.js)
 
 // Session auto-heal config
 const SESSION_ID = "default"; // change if you want distinct session folders for multiple bots
@@ -46,34 +60,136 @@ const bannedWords = [
 // You asked for: +65 80480362 and +65 85038335
 const allowedNumbers = ["6580480362", "6585038335"];
 
+// obfuscation-tolerant matcher (leetspeak, repeats, spacing, homoglyphs)
+const bannedMatcher = buildMatcher(bannedWords);
+
 // -------- runtime state ----------
 let moderationActive = false;
-let warnings = loadWarnings(); // persisted map { participantId: count }
+const store = createStorage({
+  backend: STORAGE_BACKEND,
+  files: { warnings: WARNINGS_FILE },
+  stateFile: path.join(__dirname, "bot-state.json"),
+  auditFile: path.join(__dirname, "audit.jsonl"),
+  sqliteFile: SQLITE_FILE
+});
+const warningsStore = createCollection(store, "warnings");
+let warnings = {}; // persisted map { member key: count }, loaded before the client starts
+// member key = phone digits, or "<lid>@lid" until the number behind a LID is known
+const identity = createIdentityService(store, () => client);
+identity.onLearn(({ lid, phone }) => {
+  const from = `${lid}@lid`;
+  if (!warnings[from]) return;
+  warnings[phone] = (warnings[phone] || 0) + warnings[from];
+  delete warnings[from];
+  saveWarnings();
+});
 let processed = new Map();     // Map<msgId, timestampSeconds>
 let processedOrder = [];       // array of msgId for trimming
-let targetChat = null;
+const targetChats = new Map(); // Map<groupId, chat> polled as a fallback
+
+// group registry (shared with the main bot); only membership is used here
+const groupRegistry = createGroupConfig(GROUPS_FILE, { enabled: true, bannedWords, warningsThreshold: 3, admins: allowedNumbers });
+groupRegistry.reload();
+groupRegistry.watch();
+groupRegistry.onChange(() => {
+  for (const id of targetChats.keys()) {
+    if (!groupRegistry.list().some(g => g.id === id)) targetChats.delete(id);
+  }
+});
+
+// chat commands — same names as the main bot (see lib/commands.js)
+const commands = createCommandRegistry({ prefix: "!" });
+
+commands.register({
+  name: "help",
+  args: [{ name: "command", type: "text", optional: true }],
+  permission: "everyone",
+  description: "List the commands you can use",
+  run: async (ctx, args) => ctx.reply(await commands.helpText(ctx, args.command))
+});
+
+commands.register({
+  name: "mod register",
+  aliases: ["register"],
+  scope: "any",
+  description: "Start monitoring this group",
+  run: async (ctx) => {
+    try {
+      const added = await groupRegistry.register(ctx.chat);
+      if (added) targetChats.set(ctx.chat.id._serialized, ctx.chat);
+      await ctx.reply(added ? "✅ Group registered for moderation." : "This group is already registered.");
+    } catch (e) {
+      console.log("⚠️ Failed to update group registry:", e?.message || e);
+    }
+  }
+});
+
+commands.register({
+  name: "mod unregister",
+  aliases: ["unregister"],
+  scope: "any",
+  description: "Stop monitoring this group",
+  run: async (ctx) => {
+    try {
+      const removed = await groupRegistry.unregister(ctx.chat);
+      targetChats.delete(ctx.chat.id._serialized);
+      await ctx.reply(removed ? "🛑 Group unregistered." : "This group is not registered.");
+    } catch (e) {
+      console.log("⚠️ Failed to update group registry:", e?.message || e);
+    }
+  }
+});
+
+commands.register({
+  name: "mod on",
+  aliases: ["modon", "start"],
+  legacy: ["start moderation", "startmod", "start moderation now", "start", "enable moderation", "enable"],
+  description: "Turn moderation on",
+  run: async (ctx) => {
+    // already active -> do nothing to avoid spam
+    if (moderationActive) return;
+    moderationActive = true;
+    warnings = {}; // reset warnings as in original behaviour
+    saveWarnings();
+    await ctx.reply("✅ Moderation active.");
+    console.log("Moderation started by allowed number:", ctx.senderNumber);
+  }
+});
+
+commands.register({
+  name: "mod off",
+  aliases: ["modoff", "stop"],
+  legacy: ["stop moderation", "stopmod", "stop", "disable moderation", "disable"],
+  description: "Turn moderation off",
+  run: async (ctx) => {
+    if (!moderationActive) return;
+    moderationActive = false;
+    saveWarnings();
+    await ctx.reply("🛑 Moderation stopped.");
+    console.log("Moderation stopped by allowed number:", ctx.senderNumber);
+  }
+});
+
 // queue worker to serialize processing and avoid race conditions
 const messageQueue = [];
 let workerRunning = false;
 
 // ---------- helper functions ----------
-function loadWarnings() {
-  try {
-    if (fs.existsSync(WARNINGS_FILE)) {
-      return JSON.parse(fs.readFileSync(WARNINGS_FILE, "utf8"));
-    }
-  } catch (e) {
-    console.error("Failed to load warnings:", e);
+// Older files are keyed by the sender's WhatsApp id; counts for the same member are added up
+async function loadWarnings() {
+  await identity.load();
+  const loaded = {};
+  for (const [id, count] of Object.entries(await warningsStore.load())) {
+    const key = identity.keyOf(id) || id;
+    loaded[key] = (loaded[key] || 0) + (Number(count) || 0);
   }
-  return {};
+  return loaded;
 }
 
+// failed writes are retried by the storage layer; nothing to handle here
 function saveWarnings() {
-  try {
-    fs.writeFileSync(WARNINGS_FILE, JSON.stringify(warnings, null, 2), "utf8");
-  } catch (e) {
-    console.error("Failed to save warnings:", e);
-  }
+  warningsStore.data = warnings;
+  return warningsStore.save();
 }
 
 function getNowSec() {
@@ -114,31 +230,6 @@ function trimProcessed() {
   }
 }
 
-// get a normalized digits-only phone number for a message sender
-// try to use sender contact's number field; fallback to extracting digits from message author/from
-function getNormalizedSenderNumber(msg, senderContact) {
-  // senderContact.number often contains digits already (e.g. "6580480362")
-  let num = null;
-  if (senderContact && senderContact.number) {
-    num = String(senderContact.number);
-  } else {
-    // try msg.author (group messages) or msg.from
-    const raw = (msg.author || msg.from || "") + "";
-    // raw sometimes like "6580480362@c.us" -> extract digits
-    const digits = raw.replace(/\D/g, "");
-    if (digits) num = digits;
-  }
-  if (!num) return null;
-  // strip non-digit chars and leading plus
-  num = num.replace(/\D/g, "");
-  // Some systems store 0-leading local numbers; user provided +65 numbers, so assume full international form.
-  // If the number is 8 digits (local Singapore without country code), prefix 65:
-  if (num.length === 8) {
-    num = "65" + num;
-  }
-  return num;
-}
-
 // send a message safely (catching errors)
 async function safeSend(chat, text, opts = {}) {
   try {
@@ -221,104 +312,71 @@ async function processSingleMessage(msg) {
   }
 
   if (!chat.isGroup) return;
-  if (chat.name !== TARGET_GROUP_NAME) return;
 
-  const text = (msg.body || "").toString().trim().toLowerCase();
+  const group = groupRegistry.forChat(chat);
   const senderContact = await msg.getContact().catch(()=>null);
   const senderId = (msg.author && msg.author) || (msg.from && msg.from) || null;
-  const senderNumber = getNormalizedSenderNumber(msg, senderContact);
-
-  // normalize whitespace for command recognition
-  const normalized = text.replace(/\s+/g, " ").trim();
-
-  // ----- START commands (long & short): only allowedNumbers can start moderation -----
-  if (normalized === "start moderation" || normalized === "!mod on" || normalized === "!modon") {
-    // check allowed numbers
-    if (!senderNumber || !allowedNumbers.includes(senderNumber)) {
-      try {
-        await safeSend(chat, `❌ You are not authorized to start moderation.`, { mentions: senderContact ? [senderContact] : [] });
-      } catch (e) {}
-      // For debugging, log the attempted number in terminal
-      console.log("Unauthorized start attempt by:", senderNumber || senderId);
-      return;
-    }
-
-    // allowed -> start moderation if not active
-    if (!moderationActive) {
-      moderationActive = true;
-      warnings = {}; // reset warnings as in original behaviour
-      saveWarnings();
-      try { await safeSend(chat, "✅ Moderation active."); } catch (e) {}
-      console.log("Moderation started by allowed number:", senderNumber);
-    } else {
-      // already active -> do nothing to avoid spam
-    }
-    return;
-  }
-
-  // ----- STOP commands (long & short): only allowedNumbers can stop moderation -----
-  if (normalized === "stop moderation" || normalized === "!mod off" || normalized === "!modoff") {
-    if (!senderNumber || !allowedNumbers.includes(senderNumber)) {
-      try {
-        await safeSend(chat, `❌ You are not authorized to stop moderation.`, { mentions: senderContact ? [senderContact] : [] });
-      } catch (e) {}
-      console.log("Unauthorized stop attempt by:", senderNumber || senderId);
-      return;
-    }
+  // phone digits even when the sender shows up as a LID (null while the number is unknown)
+  const sender = senderId ? await identity.resolve(senderId) : null;
+  const senderNumber = sender ? sender.phone : null;
+
+  // ----- COMMANDS (same syntax as the main bot; "!help" lists them) -----
+  const isAdmin = !!senderNumber && allowedNumbers.includes(senderNumber);
+  const ran = await commands.dispatch({
+    message: msg,
+    chat,
+    group,
+    senderNumber,
+    registered: !!(group && group.enabled),
+    hasPermission: permission => permission === "everyone" || isAdmin,
+    reply: text => safeSend(chat, text)
+  });
+  // members' commands (run, refused or malformed) are still checked for banned words
+  if (ran && isAdmin) return;
 
-    if (moderationActive) {
-      moderationActive = false;
-      saveWarnings();
-      try { await safeSend(chat, "🛑 Moderation stopped."); } catch (e) {}
-      console.log("Moderation stopped by allowed number:", senderNumber);
-    }
-    return;
-  }
+  if (!group || !group.enabled) return;
 
   // If moderation not active, ignore everything else
   if (!moderationActive) return;
 
   // ----- BANNED WORDS moderation -----
-  // simple substring match on lowercased text
-  for (const w of bannedWords) {
-    if (!w) continue;
-    if (text.includes(w)) {
-      // try delete
-      await safeDelete(msg);
-
-      // warn / kick logic
-      if (!senderId) return;
+  // normalised match on the raw body (see lib/normalize.js)
+  const hit = bannedMatcher.test(msg.body || "");
+  if (!hit) return;
 
-      warnings[senderId] = (warnings[senderId] || 0) + 1;
-      saveWarnings();
+  // try delete
+  await safeDelete(msg);
 
-      const strikes = warnings[senderId];
+  // warn / kick logic
+  if (!senderId) return;
 
-      // send warning (1 & 2)
-      if (strikes < 3) {
-        try {
-          await chat.sendMessage(`⚠️ @${senderNumber}, warning ${strikes}/3 — avoid banned words.`, { mentions: [senderContact] });
-        } catch (e) {
-          console.log("⚠️ Could not send warning:", e?.message || e);
-        }
-        return;
-      }
+  warnings[sender.key] = (warnings[sender.key] || 0) + 1;
+  saveWarnings();
 
-      // strike 3 -> announce + kick
-      if (strikes === 3) {
-        try {
-          await chat.sendMessage(`🚫 @${senderNumber} reached 3 warnings and will be removed.`, { mentions: [senderContact] });
-        } catch (e) {
-          console.log("⚠️ Could not announce removal:", e?.message || e);
-        }
+  const strikes = warnings[sender.key];
+  const mention = `@${parseId(senderId).user}`;
 
-        // try remove participant
-        await safeRemoveParticipant(chat, senderId);
-        return;
-      }
+  // send warning (1 & 2)
+  if (strikes < 3) {
+    try {
+      await chat.sendMessage(`⚠️ ${mention}, warning ${strikes}/3 — avoid banned words.`, { mentions: [senderContact] });
+    } catch (e) {
+      console.log("⚠️ Could not send warning:", e?.message || e);
+    }
+    return;
+  }
 
-      return;
+  // strike 3 -> announce + kick
+  if (strikes === 3) {
+    try {
+      await chat.sendMessage(`🚫 ${mention} reached 3 warnings and will be removed.`, { mentions: [senderContact] });
+    } catch (e) {
+      console.log("⚠️ Could not announce removal:", e?.message || e);
     }
+
+    // try remove participant
+    await safeRemoveParticipant(chat, senderId);
+    return;
   }
 }
 
@@ -336,8 +394,8 @@ function wipeSession() {
 }
 
 function createClientInstance() {
-  return new Client({
-    authStrategy: new LocalAuth({ clientId: SESSION_ID }),
+  return createClient(WHATSAPP_CLIENT, {
+    clientId: SESSION_ID,
     puppeteer: {
       headless: !VISIBLE,
       defaultViewport: null,
@@ -369,26 +427,31 @@ function attachClientHandlers(c) {
     qrcode.generate(qr, { small: true });
   });
 
-  // ready handler: find target group, say ready, start polling fallback
+  // ready handler: find registered groups, say ready, start polling fallback
   c.on("ready", async () => {
-    console.log("Client ready. Locating target group:", TARGET_GROUP_NAME);
+    console.log("Client ready. Locating registered groups:", groupRegistry.list().map(g => g.name).join(", ") || "(none)");
     try {
       const chats = await c.getChats();
-      targetChat = chats.find(ch => ch.isGroup && ch.name === TARGET_GROUP_NAME);
-      if (!targetChat) {
-        console.log(`❌ Group "${TARGET_GROUP_NAME}" not found. Add the bot account to the group and restart.`);
-        return;
+      for (const ch of chats) {
+        if (!ch.isGroup) continue;
+        const group = groupRegistry.forChat(ch);
+        if (group && group.enabled) targetChats.set(ch.id._serialized, ch);
+      }
+      if (!targetChats.size) {
+        console.log('❌ No registered group found. Send "!mod register" inside a group to start monitoring it.');
       }
 
       // small wait for web UI to stabilise
       await new Promise(r => setTimeout(r, 1500));
 
-      // send the initial message once
-      try {
-        await targetChat.sendMessage('Bot is now active. Send "start moderation" to start moderation.');
-        console.log("Start message sent to target group.");
-      } catch (e) {
-        console.log("⚠️ Could not send start message:", e?.message || e);
+      // send the initial message once per group
+      for (const targetChat of targetChats.values()) {
+        try {
+          await targetChat.sendMessage('Bot is now active. Send "!mod on" to start moderation.');
+          console.log("Start message sent to group:", targetChat.name);
+        } catch (e) {
+          console.log("⚠️ Could not send start message:", e?.message || e);
+        }
       }
 
       // start polling fallback
@@ -445,32 +508,29 @@ async function safeRestartClient() {
   }
 }
 
-// polling fallback — fetch last messages, enqueue unseen ones
+// polling fallback — fetch last messages of every registered group, enqueue unseen ones
 async function startPollingFallback() {
   if (pollRunning) return;
   pollRunning = true;
 
   while (true) {
-    if (!targetChat) {
-      await new Promise(r => setTimeout(r, POLL_INTERVAL_MS));
-      continue;
-    }
-
-    try {
-      const msgs = await targetChat.fetchMessages({ limit: POLL_LIMIT });
-      // ensure chronological order (old -> new)
-      msgs.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
-
-      for (const m of msgs) {
-        const id = (m.id && (m.id._serialized || m.id.id)) || null;
-        if (!id) continue;
-        if (isProcessed(id)) continue;
-        // enqueue and mark early to avoid duplicates from quick successive polls
-        enqueueMessage(m);
-        markProcessed(id, m.timestamp || getNowSec());
+    for (const targetChat of Array.from(targetChats.values())) {
+      try {
+        const msgs = await targetChat.fetchMessages({ limit: POLL_LIMIT });
+        // ensure chronological order (old -> new)
+        msgs.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+        for (const m of msgs) {
+          const id = (m.id && (m.id._serialized || m.id.id)) || null;
+          if (!id) continue;
+          if (isProcessed(id)) continue;
+          // enqueue and mark early to avoid duplicates from quick successive polls
+          enqueueMessage(m);
+          markProcessed(id, m.timestamp || getNowSec());
+        }
+      } catch (err) {
+        console.log("⚠️ Poll fetch failed:", err?.message || err);
       }
-    } catch (err) {
-      console.log("⚠️ Poll fetch failed:", err?.message || err);
     }
 
     // useful heartbeat log — can remove if noisy
@@ -486,9 +546,10 @@ setInterval(() => {
 }, STATE_SAVE_INTERVAL_MS);
 
 // graceful shutdown handling
-process.on("SIGINT", () => {
+process.on("SIGINT", async () => {
   console.log("SIGINT received — saving state and exiting...");
-  saveWarnings();
+  await saveWarnings();
+  await store.close().catch(() => {});
   try { if (client) client.destroy(); } catch(e){}
   process.exit(0);
 });
@@ -522,9 +583,20 @@ async function initClient(retryCount = 0) {
   }
 }
 
-// Start client
-initClient().catch(err => {
-  console.log("Fatal init error:", err?.message || err);
-});
+// Open storage (migrating / importing if needed) and load warnings, then start client.
+// A storage error ends the process: running on empty warnings would overwrite the saved ones.
+store.open()
+  .then(loadWarnings)
+  .catch(err => {
+    console.error("Failed to open storage:", err?.message || err);
+    process.exit(1);
+  })
+  .then(loaded => {
+    warnings = loaded;
+    return initClient();
+  })
+  .catch(err => {
+    console.log("Fatal init error:", err?.message || err);
+  });
 
 console.log("Moderator script loaded — will reuse previous session if present. If a session problem occurs the script will automatically create a new one.");